@@ -8,21 +8,53 @@
 // @ts-check
 
 let { Validator } = require("./validator");
+let LoadTester = require("./load-tester");
+let MockServer = require("./mock-server");
+
+/**
+ * Exit codes
+ * 0: All test cases passed.
+ * 1: Some test cases, beforeAll or afterAll failed or raised errors, or the thresholds of the load test are exceeded.
+ * 2: The test could not be started due to invalid arguments or setting files.
+ */
+const ExitCode = {
+    passed: 0,
+    failed: 1,
+    setupError: 2
+};
 
 let specFilePath;
 let testSetFilePath;
 let logSettingFilePath;
 let verboseLog = false;
+/** @type {Array<string>} */
+let reporters = [];
+let envFilePath;
+let seed;
+/** @type {Array<string>} */
+let plugins = [];
+let concurrency;
+let timeout;
+
+// lupinus load replays the test cases as a load test, and lupinus mock serves the responses of the specification.
+let mode = process.argv[2] == "load" || process.argv[2] == "mock" ? process.argv[2] : undefined;
+/** @type {import("./load-tester").LoadOptions} */
+let loadOptions = {};
+let port;
+let host;
 
 if(process.argv.length > 2) {
     let arguments = process.argv;
-    for(let i=2; i<arguments.length; i++) {
+    for(let i=mode != null ? 3 : 2; i<arguments.length; i++) {
         let argument = arguments[i];
         if(argument.startsWith("--") && argument.length > 1) {
             let key = argument.substring(2);
             if(key == "verbose") {
                 verboseLog = true;
                 continue;
+            }else if(key == "no-validation") {
+                loadOptions.validate = false;
+                continue;
             }
             let value;
             if(i<arguments.length-1) {
@@ -36,15 +68,99 @@ if(process.argv.length > 2) {
                 testSetFilePath = value;
             }else if(key == "log") {
                 logSettingFilePath = value;
-            } 
+            }else if(key == "reporter") {
+                reporters.push(value);
+            }else if(key == "env-file") {
+                envFilePath = value;
+            }else if(key == "seed") {
+                seed = value;
+            }else if(key == "plugin") {
+                plugins.push(value);
+            }else if(key == "concurrency") {
+                concurrency = Number(value);
+            }else if(key == "timeout") {
+                timeout = Number(value);
+            }else if(key == "users") {
+                loadOptions.users = Number(value);
+            }else if(key == "ramp-up") {
+                loadOptions.rampUp = Number(value);
+            }else if(key == "duration") {
+                loadOptions.duration = Number(value);
+            }else if(key == "iterations") {
+                loadOptions.iterations = Number(value);
+            }else if(key == "scenario") {
+                if(loadOptions.testCases == null) {
+                    loadOptions.testCases = [];
+                }
+                loadOptions.testCases.push(value);
+            }else if(key == "port") {
+                port = Number(value);
+            }else if(key == "host") {
+                host = value;
+            }
         }
     }
 }
 
-if(specFilePath == null || testSetFilePath == null) {
-    console.log("npx lupinus --spec <SPEC_FILE> --testset <TESTSET_FILE> --log <LOG_SETTING_FILE> --verbose");
-    process.exit(0);
+if(mode == "mock") {
+    if(specFilePath == null) {
+        console.log("npx lupinus mock --spec <SPEC_FILE> --port <PORT> --host <HOST> --log <LOG_SETTING_FILE> --plugin <PLUGIN_FILE> --verbose");
+        process.exit(ExitCode.setupError);
+    }
+    let mockServer;
+    try {
+        mockServer = new MockServer(new Validator(specFilePath, undefined, logSettingFilePath, verboseLog, {plugins: plugins}));
+    }catch(error) {
+        console.error(error.message);
+        process.exit(ExitCode.setupError);
+    }
+    mockServer.listen(port, host).catch(error => {
+        console.error(error.message);
+        process.exitCode = ExitCode.setupError;
+    });
+}else if(specFilePath == null || testSetFilePath == null) {
+    if(mode == "load") {
+        console.log("npx lupinus load --spec <SPEC_FILE> --testcase <TESTSET_FILE> --users <NUMBER> --ramp-up <SECONDS> --duration <SECONDS> --iterations <NUMBER> --scenario <TITLE> --no-validation --log <LOG_SETTING_FILE> --reporter json[:<REPORT_FILE>] --env-file <ENV_FILE> --seed <SEED> --plugin <PLUGIN_FILE> --timeout <MILLISECONDS> --verbose");
+        process.exit(ExitCode.setupError);
+    }
+    console.log("npx lupinus --spec <SPEC_FILE> --testset <TESTSET_FILE> --log <LOG_SETTING_FILE> --reporter <FORMAT>[:<REPORT_FILE>] --env-file <ENV_FILE> --seed <SEED> --plugin <PLUGIN_FILE> --concurrency <NUMBER> --timeout <MILLISECONDS> --verbose");
+    process.exit(ExitCode.setupError);
+}else {
+    let validator;
+    try {
+        validator = new Validator(specFilePath, testSetFilePath, logSettingFilePath, verboseLog, {
+            reporter: reporters.length > 0 ? reporters : undefined,
+            envFile: envFilePath,
+            seed: seed,
+            plugins: plugins,
+            concurrency: concurrency,
+            timeout: timeout
+        });
+    }catch(error) {
+        console.error(error.message);
+        process.exit(ExitCode.setupError);
+    }
+    if(mode == "load") {
+        let loadTester;
+        try {
+            loadTester = new LoadTester(validator, loadOptions);
+        }catch(error) {
+            console.error(error.message);
+            process.exit(ExitCode.setupError);
+        }
+        loadTester.run().then(result => {
+            process.exitCode = result.passed ? ExitCode.passed : ExitCode.failed;
+        }).catch(error => {
+            console.error(error.message);
+            process.exitCode = ExitCode.setupError;
+        });
+    }else {
+        validator.validate().then(result => {
+            let hooks = [result.beforeAll, result.afterAll].filter(hook => hook != null && hook.status != "passed");
+            process.exitCode = (result.failed > 0 || result.errored > 0 || hooks.length > 0) ? ExitCode.failed : ExitCode.passed;
+        }).catch(error => {
+            console.error(error.message);
+            process.exitCode = ExitCode.setupError;
+        });
+    }
 }
-
-let validator = new Validator(specFilePath, testSetFilePath, logSettingFilePath, verboseLog);
-validator.validate();
\ No newline at end of file
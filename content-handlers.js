@@ -0,0 +1,584 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+/**
+ * @typedef {object} ContentParseOptions
+ * @property {string} contentType Content type of the response
+ * @property {object} [schema] Schema of the media type in the specification
+ * @property {(schema: object) => object} resolveSchema Resolve $ref of the schema.
+ */
+
+/**
+ * @typedef {object} ContentHandler
+ * @property {(data: Buffer, options: ContentParseOptions) => any} parse Convert the response body into the value validated against the schema.
+ * @property {(value: any, schema: object, validateJson: (data: any, schema: object) => void) => void} [validate] Validate the parsed value. By default, the value is validated as JSON.
+ * @property {(value: any, options: ContentParseOptions) => string|Buffer} [serialize] Convert the value into the body, which is the reverse of parse. Used by the mock server for the data synthesized from the schema.
+ */
+
+/**
+ * Parsers of the response bodies by content type.
+ * A handler is registered for a content type (text/csv), a wildcard (text/*) or a structured syntax suffix (+json).
+ */
+class ContentHandlers {
+
+    /**
+     * @type {Array<{mediaRange: string, handler: ContentHandler}>}
+     */
+    #handlers = [];
+
+    constructor() {
+        this.register("application/json", jsonHandler);
+        this.register("+json", jsonHandler);
+        this.register("text/*", textHandler);
+        this.register("application/xml", xmlHandler);
+        this.register("text/xml", xmlHandler);
+        this.register("+xml", xmlHandler);
+        this.register("text/csv", csvHandler);
+        this.register("application/x-ndjson", ndjsonHandler);
+        this.register("application/ndjson", ndjsonHandler);
+        this.register("application/jsonl", ndjsonHandler);
+    }
+
+    /**
+     * The handler registered later takes precedence over the one for the same media range.
+     * @param {string} mediaRange e.g. application/xml, text/*, +json
+     * @param {ContentHandler} handler
+     */
+    register(mediaRange, handler) {
+        if(mediaRange == null || handler == null || typeof handler.parse != "function") {
+            throw new Error("Invalid content handler.");
+        }
+        this.#handlers.unshift({mediaRange: mediaRange.toLowerCase(), handler: handler});
+    }
+
+    /**
+     * Find the handler in the order of the exact content type, the suffix and the wildcard.
+     * @param {string} contentType
+     * @returns {ContentHandler|null}
+     */
+    find(contentType) {
+        let mimeType = contentType.split(";")[0].trim().toLowerCase();
+        let entry = this.#handlers.find(entry => entry.mediaRange == mimeType);
+        if(entry == null && mimeType.includes("+")) {
+            let suffix = mimeType.substring(mimeType.lastIndexOf("+"));
+            entry = this.#handlers.find(entry => entry.mediaRange == suffix);
+        }
+        if(entry == null) {
+            entry = this.#handlers.find(entry => entry.mediaRange == mimeType.split("/")[0]+"/*");
+        }
+        return entry != null ? entry.handler : null;
+    }
+}
+
+/**
+ * @param {Buffer} data
+ * @returns {string}
+ */
+function decode(data) {
+    let text = data.toString("utf8");
+    return text.charCodeAt(0) == 0xfeff ? text.substring(1) : text;
+}
+
+/**
+ * @param {any} schema
+ * @param {(schema: object) => object} resolveSchema
+ * @returns {any}
+ */
+function resolve(schema, resolveSchema) {
+    if(schema != null && typeof schema == "object" && schema["$ref"] != null) {
+        return resolveSchema(schema);
+    }
+    return schema;
+}
+
+/**
+ * @param {any} schema
+ * @returns {Array<string>}
+ */
+function typesOf(schema) {
+    if(schema == null || typeof schema != "object") {
+        return [];
+    }
+    if(Array.isArray(schema.type)) {
+        return schema.type;
+    }
+    if(typeof schema.type == "string") {
+        return [schema.type];
+    }
+    if(schema.properties != null) {
+        return ["object"];
+    }
+    if(schema.items != null) {
+        return ["array"];
+    }
+    return [];
+}
+
+/**
+ * Convert the string into the type of the schema. The string is returned as it is if it cannot be converted.
+ * @param {string} value
+ * @param {any} schema
+ * @returns {any}
+ */
+function castValue(value, schema) {
+    let types = typesOf(schema);
+    if((types.includes("integer") || types.includes("number")) && value.trim().length > 0 && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if(types.includes("boolean") && (value == "true" || value == "false")) {
+        return value == "true";
+    }
+    if(types.includes("null") && value.length == 0) {
+        return null;
+    }
+    return value;
+}
+
+/** @type {ContentHandler} */
+const jsonHandler = {
+    parse: data => JSON.parse(decode(data)),
+    serialize: value => JSON.stringify(value)
+};
+
+/** @type {ContentHandler} */
+const textHandler = {
+    parse: data => decode(data),
+    serialize: value => {
+        if(value != null && typeof value == "object") {
+            throw new Error("An object cannot be written as text.");
+        }
+        return value != null ? String(value) : "";
+    }
+};
+
+/**
+ * Newline delimited JSON. The schema is applied to each line unless it is an array schema.
+ * @type {ContentHandler}
+ */
+const ndjsonHandler = {
+    parse: data => {
+        return decode(data).split(/\r?\n/).map((line, index) => {
+            if(line.trim().length == 0) {
+                return undefined;
+            }
+            try {
+                return JSON.parse(line);
+            }catch(error) {
+                throw new Error(`Line ${index+1} is not JSON. ${error.message}`);
+            }
+        }).filter(value => value !== undefined);
+    },
+    validate: (value, schema, validateJson) => {
+        if(typesOf(schema).includes("array")) {
+            validateJson(value, schema);
+        }else {
+            value.forEach(entry => validateJson(entry, schema));
+        }
+    },
+    serialize: (value, options) => {
+        let values = Array.isArray(value) && typesOf(resolve(options.schema, options.resolveSchema)).includes("array") ? value : [value];
+        return values.map(entry => JSON.stringify(entry) + "\n").join("");
+    }
+};
+
+/**
+ * CSV (RFC 4180). The first line is the header, and the records are converted into objects
+ * unless the items of the schema are arrays.
+ * @type {ContentHandler}
+ */
+const csvHandler = {
+    parse: (data, options) => {
+        let rows = parseCsv(decode(data));
+        let schema = resolve(options.schema, options.resolveSchema);
+        let itemSchema = schema != null ? resolve(schema.items, options.resolveSchema) : undefined;
+        if(typesOf(itemSchema).includes("array")) {
+            let cellSchema = resolve(itemSchema.items, options.resolveSchema);
+            return rows.map(row => row.map(cell => castValue(cell, cellSchema)));
+        }
+        let header = rows.shift();
+        if(header == null) {
+            return [];
+        }
+        let properties = itemSchema != null && itemSchema.properties != null ? itemSchema.properties : {};
+        return rows.map(row => {
+            let record = {};
+            header.forEach((name, index) => {
+                if(index < row.length) {
+                    record[name] = castValue(row[index], resolve(properties[name], options.resolveSchema));
+                }
+            });
+            return record;
+        });
+    },
+    serialize: (value, options) => {
+        if(!Array.isArray(value)) {
+            throw new Error("Only an array can be written as CSV.");
+        }
+        let schema = resolve(options.schema, options.resolveSchema);
+        let itemSchema = schema != null ? resolve(schema.items, options.resolveSchema) : undefined;
+        /** @type {Array<Array<any>>} */
+        let rows;
+        if(typesOf(itemSchema).includes("array")) {
+            rows = value;
+        }else {
+            /** @type {Array<string>} */
+            let header = itemSchema != null && itemSchema.properties != null ? Object.keys(itemSchema.properties) : [];
+            value.forEach(record => {
+                Object.keys(record != null && typeof record == "object" ? record : {}).filter(name => !header.includes(name)).forEach(name => header.push(name));
+            });
+            rows = [header].concat(value.map(record => header.map(name => record != null ? record[name] : undefined)));
+        }
+        return rows.map(row => row.map(formatCsvCell).join(",") + "\r\n").join("");
+    }
+};
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function formatCsvCell(value) {
+    let cell = value == null ? "" : (typeof value == "object" ? JSON.stringify(value) : String(value));
+    return /[",\r\n]/.test(cell) ? "\"" + cell.replace(/"/g, "\"\"") + "\"" : cell;
+}
+
+/**
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ * @throws {Error}
+ */
+function parseCsv(text) {
+    /** @type {Array<Array<string>>} */
+    let rows = [];
+    /** @type {Array<string>} */
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    let index = 0;
+    while(index < text.length) {
+        let character = text.charAt(index);
+        if(quoted) {
+            if(character == "\"") {
+                if(text.charAt(index+1) == "\"") {
+                    cell += "\"";
+                    index++;
+                }else {
+                    quoted = false;
+                }
+            }else {
+                cell += character;
+            }
+        }else if(character == "\"" && cell.length == 0) {
+            quoted = true;
+        }else if(character == ",") {
+            row.push(cell);
+            cell = "";
+        }else if(character == "\r" || character == "\n") {
+            if(character == "\r" && text.charAt(index+1) == "\n") {
+                index++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        }else {
+            cell += character;
+        }
+        index++;
+    }
+    if(quoted) {
+        throw new Error("A quoted field of the CSV is not closed.");
+    }
+    if(cell.length > 0 || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * XML converted into an object according to the xml object (name, attribute, wrapped) of the schema.
+ * @type {ContentHandler}
+ */
+const xmlHandler = {
+    parse: (data, options) => {
+        let root = parseXml(decode(data));
+        let schema = resolve(options.schema, options.resolveSchema);
+        if(schema != null && schema.xml != null && schema.xml.name != null && localName(root.name) != schema.xml.name) {
+            throw new Error(`The root element [${root.name}] differs from [${schema.xml.name}].`);
+        }
+        return convertXml(root, schema, options.resolveSchema);
+    },
+    serialize: (value, options) => {
+        return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>" + writeXml(componentName(options.schema, "root"), value, options.schema, options.resolveSchema);
+    }
+};
+
+/**
+ * @typedef {object} XmlElement
+ * @property {string} name
+ * @property {{[name: string]: string}} attributes
+ * @property {Array<XmlElement>} children
+ * @property {string} text
+ */
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function localName(name) {
+    return name.includes(":") ? name.substring(name.indexOf(":")+1) : name;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|lt|gt|amp|quot|apos);/g, (_, entity) => {
+        if(entity.startsWith("#x")) {
+            return String.fromCodePoint(parseInt(entity.substring(2), 16));
+        }else if(entity.startsWith("#")) {
+            return String.fromCodePoint(parseInt(entity.substring(1), 10));
+        }
+        return {lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'"}[entity];
+    });
+}
+
+/**
+ * @param {string} text
+ * @returns {XmlElement} The root element
+ * @throws {Error}
+ */
+function parseXml(text) {
+    /** @type {Array<XmlElement>} */
+    let stack = [];
+    /** @type {XmlElement|undefined} */
+    let root;
+    let pattern = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let index = 0;
+    let matched;
+    while((matched = pattern.exec(text)) != null) {
+        if(matched.index != index) {
+            break;
+        }
+        index = pattern.lastIndex;
+        let current = stack.length > 0 ? stack[stack.length-1] : undefined;
+        if(matched[1] != null) {
+            if(current != null) {
+                current.text += matched[1];
+            }
+        }else if(matched[2] != null) {
+            if(current == null || current.name != matched[2]) {
+                throw new Error(`The closing tag [${matched[2]}] does not match.`);
+            }
+            stack.pop();
+        }else if(matched[3] != null) {
+            /** @type {XmlElement} */
+            let element = {name: matched[3], attributes: {}, children: [], text: ""};
+            for(let attribute of matched[4].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                element.attributes[attribute[1]] = decodeEntities(attribute[2] != null ? attribute[2] : attribute[3]);
+            }
+            if(current != null) {
+                current.children.push(element);
+            }else if(root == null) {
+                root = element;
+            }else {
+                throw new Error("There are multiple root elements.");
+            }
+            if(matched[5] != "/") {
+                stack.push(element);
+            }
+        }else if(matched[6] != null) {
+            if(current != null) {
+                current.text += decodeEntities(matched[6]);
+            }else if(matched[6].trim().length > 0) {
+                throw new Error("Text is outside of the root element.");
+            }
+        }
+    }
+    if(index != text.length || stack.length > 0 || root == null) {
+        throw new Error("The XML is not well-formed.");
+    }
+    return root;
+}
+
+/**
+ * @param {XmlElement} element
+ * @param {any} schema
+ * @param {(schema: object) => object} resolveSchema
+ * @returns {any}
+ */
+function convertXml(element, schema, resolveSchema) {
+    schema = resolve(schema, resolveSchema);
+    let types = typesOf(schema);
+    if(types.includes("object")) {
+        /** @type {{[name: string]: any}} */
+        let properties = {};
+        [schema].concat(Array.isArray(schema.allOf) ? schema.allOf : []).forEach(entry => {
+            entry = resolve(entry, resolveSchema);
+            if(entry != null && entry.properties != null) {
+                Object.assign(properties, entry.properties);
+            }
+        });
+        let result = {};
+        /** @type {Set<XmlElement>} */
+        let converted = new Set();
+        Object.keys(properties).forEach(key => {
+            let propertySchema = resolve(properties[key], resolveSchema);
+            let xml = propertySchema != null && propertySchema.xml != null ? propertySchema.xml : {};
+            let name = xml.name != null ? xml.name : key;
+            if(xml.attribute) {
+                let attributeName = Object.keys(element.attributes).find(attributeName => localName(attributeName) == name);
+                if(attributeName != null) {
+                    result[key] = castValue(element.attributes[attributeName], propertySchema);
+                }
+            }else if(typesOf(propertySchema).includes("array")) {
+                let itemSchema = resolve(propertySchema.items, resolveSchema);
+                let itemName = itemSchema != null && itemSchema.xml != null && itemSchema.xml.name != null ? itemSchema.xml.name : name;
+                let container = element;
+                if(xml.wrapped) {
+                    container = element.children.find(child => localName(child.name) == name);
+                    if(container != null) {
+                        converted.add(container);
+                    }
+                }
+                if(container != null) {
+                    let children = container.children.filter(child => localName(child.name) == itemName);
+                    children.forEach(child => converted.add(child));
+                    result[key] = children.map(child => convertXml(child, itemSchema, resolveSchema));
+                }
+            }else {
+                let child = element.children.find(child => localName(child.name) == name);
+                if(child != null) {
+                    converted.add(child);
+                    result[key] = convertXml(child, propertySchema, resolveSchema);
+                }
+            }
+        });
+        // The children that the schema does not declare are kept so that additionalProperties and unevaluatedProperties can detect them.
+        element.children.filter(child => !converted.has(child)).forEach(child => {
+            let name = localName(child.name);
+            if(Object.prototype.hasOwnProperty.call(properties, name)) {
+                return;
+            }
+            appendValue(result, name, convertXml(child, undefined, resolveSchema));
+        });
+        return result;
+    }
+    if(types.includes("array")) {
+        let itemSchema = resolve(schema.items, resolveSchema);
+        let itemName = itemSchema != null && itemSchema.xml != null ? itemSchema.xml.name : undefined;
+        return element.children.filter(child => itemName == null || localName(child.name) == itemName).map(child => convertXml(child, itemSchema, resolveSchema));
+    }
+    if(types.length > 0) {
+        return castValue(element.text.trim(), schema);
+    }
+    // Without the schema, the element is converted by its structure.
+    if(element.children.length == 0 && Object.keys(element.attributes).length == 0) {
+        return element.text.trim();
+    }
+    let result = {};
+    Object.keys(element.attributes).forEach(name => {
+        result[localName(name)] = element.attributes[name];
+    });
+    element.children.forEach(child => {
+        appendValue(result, localName(child.name), convertXml(child, undefined, resolveSchema));
+    });
+    return result;
+}
+
+/**
+ * Write the value as the element according to the xml object of the schema in the same way as convertXml reads it.
+ * @param {string} name Name of the element unless the xml object of the schema names it
+ * @param {any} value
+ * @param {any} schema
+ * @param {(schema: object) => object} resolveSchema
+ * @returns {string}
+ */
+function writeXml(name, value, schema, resolveSchema) {
+    schema = resolve(schema, resolveSchema);
+    let xml = schema != null && schema.xml != null ? schema.xml : {};
+    let elementName = qualifiedName(xml.name != null ? xml.name : name, xml);
+    let attributes = xml.namespace != null ? ` xmlns${xml.prefix != null ? ":"+xml.prefix : ""}="${escapeXml(xml.namespace)}"` : "";
+    let content = "";
+    if(Array.isArray(value)) {
+        let items = schema != null ? schema.items : undefined;
+        content = value.map(item => writeXml(componentName(items, name), item, resolve(items, resolveSchema), resolveSchema)).join("");
+    }else if(value != null && typeof value == "object") {
+        /** @type {{[name: string]: any}} */
+        let properties = {};
+        [schema].concat(schema != null && Array.isArray(schema.allOf) ? schema.allOf : []).forEach(entry => {
+            entry = resolve(entry, resolveSchema);
+            if(entry != null && entry.properties != null) {
+                Object.assign(properties, entry.properties);
+            }
+        });
+        Object.keys(value).filter(key => value[key] !== undefined).forEach(key => {
+            let propertySchema = resolve(properties[key], resolveSchema);
+            let propertyXml = propertySchema != null && propertySchema.xml != null ? propertySchema.xml : {};
+            let propertyName = propertyXml.name != null ? propertyXml.name : key;
+            if(propertyXml.attribute) {
+                attributes += ` ${qualifiedName(propertyName, propertyXml)}="${escapeXml(value[key] != null ? String(value[key]) : "")}"`;
+            }else if(Array.isArray(value[key])) {
+                let itemSchema = resolve(propertySchema != null ? propertySchema.items : undefined, resolveSchema);
+                let items = value[key].map(item => writeXml(propertyName, item, itemSchema, resolveSchema)).join("");
+                content += propertyXml.wrapped ? `<${qualifiedName(propertyName, propertyXml)}>${items}</${qualifiedName(propertyName, propertyXml)}>` : items;
+            }else {
+                content += writeXml(key, value[key], propertySchema, resolveSchema);
+            }
+        });
+    }else if(value != null) {
+        content = escapeXml(String(value));
+    }
+    return `<${elementName}${attributes}>${content}</${elementName}>`;
+}
+
+/**
+ * The element that the xml object does not name is named after the component of the schema, as in OpenAPI.
+ * @param {any} schema
+ * @param {string} name Used if the schema is not a reference
+ * @returns {string}
+ */
+function componentName(schema, name) {
+    let reference = schema != null && typeof schema["$ref"] == "string" ? schema["$ref"] : undefined;
+    return reference != null ? reference.substring(reference.lastIndexOf("/")+1) : name;
+}
+
+/**
+ * @param {string} name
+ * @param {{prefix?: string}} xml
+ * @returns {string}
+ */
+function qualifiedName(name, xml) {
+    return xml.prefix != null ? `${xml.prefix}:${name}` : name;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return text.replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+}
+
+/**
+ * Set the value of the element, or make an array if the element with the same name is repeated.
+ * @param {{[name: string]: any}} result
+ * @param {string} name
+ * @param {any} value
+ */
+function appendValue(result, name, value) {
+    if(result[name] === undefined) {
+        result[name] = value;
+    }else if(Array.isArray(result[name])) {
+        result[name].push(value);
+    }else {
+        result[name] = [result[name], value];
+    }
+}
+
+module.exports = ContentHandlers;
@@ -0,0 +1,60 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const { readFileSync } = require("fs");
+
+/**
+ * Read the variables from a .env file.
+ * @param {string} filePath
+ * @returns {{[name: string]: string}}
+ */
+exports.loadEnvironmentFile = function(filePath) {
+    return exports.parseEnvironment(readFileSync(filePath, "utf8"));
+};
+
+/**
+ * Parse the lines of the form NAME=VALUE.
+ * Empty lines and lines starting with # are ignored. The value can be quoted with ' or ", and \n in double quotes is a line break.
+ * @param {string} data
+ * @returns {{[name: string]: string}}
+ */
+exports.parseEnvironment = function(data) {
+    /** @type {{[name: string]: string}} */
+    let result = {};
+    data.split(/\r?\n/).forEach(line => {
+        line = line.trim();
+        if(line.length == 0 || line.startsWith("#")) {
+            return;
+        }
+        let matched = line.match(/^(?:export\s+)?([a-zA-Z_][a-zA-Z0-9_.-]*)\s*=\s*(.*)$/);
+        if(matched == null) {
+            return;
+        }
+        let name = matched[1];
+        let value = matched[2];
+        if(/^"(?:[^"\\]|\\.)*"/.test(value)) {
+            value = value.match(/^"((?:[^"\\]|\\.)*)"/)[1]
+                .replace(/\\(.)/g, (_, character) => character == "n" ? "\n" : (character == "r" ? "\r" : (character == "t" ? "\t" : character)));
+        }else if(/^'[^']*'/.test(value)) {
+            value = value.match(/^'([^']*)'/)[1];
+        }else {
+            // Inline comment
+            value = value.replace(/\s+#.*$/, "").trim();
+        }
+        result[name] = value;
+    });
+    return result;
+};
+
+/**
+ * Whether the variable name looks like that of a credential, e.g. CLIENT_SECRET, DB_PASSWORD, API_KEY.
+ * @param {string} name
+ * @returns {boolean}
+ */
+exports.isCredentialName = function(name) {
+    return /secret|passw(or)?d|pwd|token|key|credential|auth|private|session|cookie/i.test(name);
+};
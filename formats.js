@@ -0,0 +1,203 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+/**
+ * @typedef {object} Format
+ * @property {Array<string>} types Types of the values to which the format applies. The values of the other types are not checked, as in JSON Schema.
+ * @property {(value: any) => boolean} validate
+ */
+
+/**
+ * Validators of the format keyword by format name.
+ * The formats of JSON Schema and OpenAPI are registered by default, and others can be added.
+ */
+class Formats {
+
+    /**
+     * @type {Map<string, Format>}
+     */
+    #formats = new Map();
+
+    constructor() {
+        this.register("date-time", isDateTime);
+        this.register("date", isDate);
+        this.register("time", isTime);
+        this.register("duration", /^P(?!$)([0-9]+Y)?([0-9]+M)?([0-9]+W)?([0-9]+D)?(T(?=[0-9])([0-9]+H)?([0-9]+M)?([0-9]+(\.[0-9]+)?S)?)?$/);
+        this.register("email", /^[A-Za-z0-9!#$%&'*+\/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+\/=?^_`{|}~-]+)*@(([A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?\.)+[A-Za-z]([A-Za-z0-9-]*[A-Za-z0-9])?|\[[0-9.]+\])$/);
+        this.register("hostname", isHostname);
+        this.register("ipv4", isIpv4);
+        this.register("ipv6", isIpv6);
+        this.register("uri", value => isUriReference(value) && /^[A-Za-z][A-Za-z0-9+.-]*:/.test(value));
+        this.register("uri-reference", isUriReference);
+        this.register("uuid", /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/);
+        this.register("json-pointer", /^(\/([^~\/]|~[01])*)*$/);
+        this.register("regex", isRegex);
+        // Formats of OpenAPI
+        this.register("int32", {types: ["number"], validate: value => Number.isInteger(value) && value >= -0x80000000 && value <= 0x7fffffff});
+        this.register("int64", {types: ["number", "string"], validate: isInt64});
+        this.register("float", {types: ["number"], validate: value => isFinite(value) && Math.abs(value) <= 3.4028234663852886e38});
+        this.register("double", {types: ["number"], validate: value => isFinite(value)});
+        this.register("byte", /^(?:[A-Za-z0-9+\/]{4})*(?:[A-Za-z0-9+\/]{2}==|[A-Za-z0-9+\/]{3}=)?$/);
+        // The contents are not restricted.
+        this.register("binary", () => true);
+        this.register("password", () => true);
+    }
+
+    /**
+     * The format registered later replaces the one with the same name.
+     * @param {string} name e.g. date-time, int32
+     * @param {RegExp|((value: any) => boolean)|Format} format A regular expression or a function is applied to the strings.
+     */
+    register(name, format) {
+        if(name == null || format == null) {
+            throw new Error("Invalid format.");
+        }
+        if(format instanceof RegExp) {
+            let expression = format;
+            format = {types: ["string"], validate: value => expression.test(value)};
+        }else if(typeof format == "function") {
+            format = {types: ["string"], validate: format};
+        }else if(typeof format.validate != "function") {
+            throw new Error(`Invalid format [${name}].`);
+        }
+        this.#formats.set(name, {types: format.types != null ? format.types : ["string"], validate: format.validate});
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Format|null}
+     */
+    get(name) {
+        let format = this.#formats.get(name);
+        return format != null ? format : null;
+    }
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isDate(value) {
+    let matched = value.match(/^([0-9]{4})-([0-9]{2})-([0-9]{2})$/);
+    if(matched == null) {
+        return false;
+    }
+    let year = Number(matched[1]);
+    let month = Number(matched[2]);
+    let day = Number(matched[3]);
+    let leap = year % 4 == 0 && (year % 100 != 0 || year % 400 == 0);
+    let days = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    return month >= 1 && month <= 12 && day >= 1 && day <= days[month-1];
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isTime(value) {
+    let matched = value.match(/^([0-9]{2}):([0-9]{2}):([0-9]{2})(\.[0-9]+)?([Zz]|[+-]([0-9]{2}):([0-9]{2}))$/);
+    if(matched == null) {
+        return false;
+    }
+    // 60 seconds is a leap second.
+    return Number(matched[1]) <= 23 && Number(matched[2]) <= 59 && Number(matched[3]) <= 60 &&
+        (matched[6] == null || (Number(matched[6]) <= 23 && Number(matched[7]) <= 59));
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isDateTime(value) {
+    let separator = value.search(/[Tt ]/);
+    return separator == 10 && isDate(value.substring(0, separator)) && isTime(value.substring(separator+1));
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isHostname(value) {
+    let hostname = value.endsWith(".") ? value.substring(0, value.length-1) : value;
+    return hostname.length > 0 && hostname.length <= 253 && hostname.split(".").every(label => /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/.test(label));
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isIpv4(value) {
+    return /^((25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9]?[0-9])\.){3}(25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9]?[0-9])$/.test(value);
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isIpv6(value) {
+    let address = value;
+    // The last 32 bits can be written as IPv4.
+    let groups = 8;
+    let lastColon = address.lastIndexOf(":");
+    if(lastColon != -1 && address.substring(lastColon+1).includes(".")) {
+        if(!isIpv4(address.substring(lastColon+1))) {
+            return false;
+        }
+        address = address.substring(0, lastColon+1) + "0";
+        groups = 7;
+    }
+    let parts = address.split("::");
+    if(parts.length > 2) {
+        return false;
+    }
+    let head = parts[0].length > 0 ? parts[0].split(":") : [];
+    let tail = parts.length == 2 && parts[1].length > 0 ? parts[1].split(":") : [];
+    if(![...head, ...tail].every(group => /^[0-9A-Fa-f]{1,4}$/.test(group))) {
+        return false;
+    }
+    let count = head.length + tail.length;
+    return parts.length == 2 ? count < groups : count == groups;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isUriReference(value) {
+    return /^([A-Za-z][A-Za-z0-9+.-]*:)?([A-Za-z0-9\-._~!$&'()*+,;=:@\/?#\[\]]|%[0-9A-Fa-f]{2})*$/.test(value);
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isRegex(value) {
+    try {
+        new RegExp(value, "u");
+        return true;
+    }catch(error) {
+        return false;
+    }
+}
+
+/**
+ * int64 is also written as a string because it can exceed the precision of the numbers of JSON.
+ * @param {number|string} value
+ * @returns {boolean}
+ */
+function isInt64(value) {
+    if(typeof value == "number") {
+        return Number.isInteger(value) && value >= -9223372036854775808 && value <= 9223372036854775807;
+    }
+    if(!/^-?[0-9]+$/.test(value)) {
+        return false;
+    }
+    let number = BigInt(value);
+    return number >= -9223372036854775808n && number <= 9223372036854775807n;
+}
+
+module.exports = Formats;
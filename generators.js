@@ -0,0 +1,140 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const { formatToIso8601String, parseIso8601String } = require("./date-utils");
+
+/**
+ * Functions that generate dynamic values in the placeholders of the test set, e.g. {uuid()}, {now(+1d)}.
+ */
+class Generators {
+
+    /**
+     * @type {number|string}
+     */
+    seed;
+
+    #state = 0;
+
+    /**
+     * @param {number|string} [seed] Seed of random values. If omitted, a random seed is used.
+     */
+    constructor(seed) {
+        if(seed == null) {
+            seed = Math.floor(Math.random() * 0x100000000);
+        }
+        this.seed = seed;
+        // Hash the seed into a 32 bit integer (FNV-1a).
+        let hash = 0x811c9dc5;
+        for(let character of String(seed)) {
+            hash ^= character.charCodeAt(0);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        this.#state = hash;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return ["uuid", "now", "date", "randomInt", "randomString", "base64"].includes(name);
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} argument The string between the parentheses
+     * @returns {any}
+     * @throws {Error}
+     */
+    call(name, argument) {
+        let args = argument.trim().length > 0 ? argument.split(",").map(entry => entry.trim()) : [];
+        if(name == "uuid") {
+            return this.uuid();
+        }else if(name == "now") {
+            return this.date(new Date(), args[0]);
+        }else if(name == "date") {
+            let date = parseIso8601String(args[0]);
+            if(date == null) {
+                throw new Error(`[${args[0]}] is not a date in ISO 8601 format.`);
+            }
+            return this.date(date, args[1]);
+        }else if(name == "randomInt") {
+            let min = args.length > 0 ? Number(args[0]) : 0;
+            let max = args.length > 1 ? Number(args[1]) : 0x7fffffff;
+            if(isNaN(min) || isNaN(max) || min > max) {
+                throw new Error(`The arguments of randomInt(${argument}) are invalid.`);
+            }
+            return Math.floor(this.random() * (Math.floor(max) - Math.ceil(min) + 1)) + Math.ceil(min);
+        }else if(name == "randomString") {
+            let length = args.length > 0 ? Number(args[0]) : 16;
+            if(isNaN(length) || length < 0) {
+                throw new Error(`The arguments of randomString(${argument}) are invalid.`);
+            }
+            let characters = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+            let result = "";
+            for(let i=0; i<length; i++) {
+                result += characters.charAt(Math.floor(this.random() * characters.length));
+            }
+            return result;
+        }else if(name == "base64") {
+            // The argument is not split because it may contain commas.
+            return Buffer.from(argument).toString("base64");
+        }
+        throw new Error(`The function [${name}] is not defined.`);
+    }
+
+    /**
+     * UUID version 4 generated from the seeded random numbers
+     * @returns {string}
+     */
+    uuid() {
+        let bytes = [];
+        for(let i=0; i<16; i++) {
+            bytes.push(Math.floor(this.random() * 256));
+        }
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        let hex = bytes.map(byte => ("0"+byte.toString(16)).slice(-2)).join("");
+        return hex.substring(0, 8) + "-" + hex.substring(8, 12) + "-" + hex.substring(12, 16) + "-" + hex.substring(16, 20) + "-" + hex.substring(20);
+    }
+
+    /**
+     * @param {Date} date
+     * @param {string} [offset] e.g. +1d, -2h, +1d12h, +30m, +10s, +1w
+     * @returns {string}
+     * @throws {Error}
+     */
+    date(date, offset) {
+        if(offset != null && offset.length > 0) {
+            let matched = offset.match(/^([+-])((?:[0-9]+(?:ms|[smhdw]))+)$/);
+            if(matched == null) {
+                throw new Error(`The offset [${offset}] is invalid.`);
+            }
+            let sign = matched[1] == "-" ? -1 : 1;
+            let units = {ms: 1, s: 1000, m: 60*1000, h: 60*60*1000, d: 24*60*60*1000, w: 7*24*60*60*1000};
+            let milliseconds = 0;
+            for(let part of matched[2].matchAll(/([0-9]+)(ms|[smhdw])/g)) {
+                milliseconds += Number(part[1]) * units[part[2]];
+            }
+            date = new Date(date.getTime() + sign * milliseconds);
+        }
+        return formatToIso8601String(date, true);
+    }
+
+    /**
+     * Random number in [0, 1) (Mulberry32)
+     * @returns {number}
+     */
+    random() {
+        this.#state = (this.#state + 0x6d2b79f5) >>> 0;
+        let value = this.#state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    }
+}
+module.exports = Generators;
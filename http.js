@@ -6,28 +6,161 @@
 // @ts-check
 
 const querystring = require("node:querystring");
+const { readFileSync } = require("fs");
+const Path = require("path");
+const { randomBytes } = require("crypto");
+
+/**
+ * Content types guessed from the file extensions
+ * @type {{[extension: string]: string}}
+ */
+const mimeTypes = {
+    ".txt": "text/plain",
+    ".csv": "text/csv",
+    ".html": "text/html",
+    ".xml": "application/xml",
+    ".json": "application/json",
+    ".yaml": "application/yaml",
+    ".yml": "application/yaml",
+    ".pdf": "application/pdf",
+    ".zip": "application/zip",
+    ".gz": "application/gzip",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".svg": "image/svg+xml",
+    ".mp3": "audio/mpeg",
+    ".mp4": "video/mp4"
+};
+
+/**
+ * File sent as the request body or a part of multipart/form-data
+ */
+class FileContent {
+
+    /**
+     * @type {string}
+     */
+    filename;
+
+    /**
+     * @type {string|undefined}
+     */
+    contentType;
+
+    /**
+     * @type {Buffer}
+     */
+    data;
+
+    /**
+     * @param {string} filename 
+     * @param {Buffer} data 
+     * @param {string} [contentType] 
+     */
+    constructor(filename, data, contentType) {
+        this.filename = filename;
+        this.data = data;
+        this.contentType = contentType;
+    }
+}
+exports.FileContent = FileContent;
+
+/**
+ * @param {string} filePath 
+ * @param {string} [filename] Defaults to the name of the file.
+ * @param {string} [contentType] Defaults to the type guessed from the extension.
+ * @returns {FileContent}
+ * @throws {Error}
+ */
+exports.loadFile = function(filePath, filename, contentType) {
+    let data;
+    try {
+        data = readFileSync(filePath);
+    }catch(error) {
+        throw new Error(`The file [${filePath}] could not be loaded. ${error.message}`);
+    }
+    if(contentType == null) {
+        contentType = mimeTypes[Path.extname(filePath).toLowerCase()];
+    }
+    return new FileContent(filename != null ? filename : Path.basename(filePath), data, contentType);
+};
+
+/**
+ * Error thrown when the response is not completed within the timeout
+ */
+class TimeoutError extends Error {
+
+    /**
+     * Milliseconds
+     * @type {number}
+     */
+    timeout;
+
+    /**
+     * @param {string} message 
+     * @param {number} timeout 
+     */
+    constructor(message, timeout) {
+        super(message);
+        this.name = "TimeoutError";
+        this.timeout = timeout;
+    }
+}
+exports.TimeoutError = TimeoutError;
 
 /**
  * @typedef {object} HttpResponse
  * @property {number|undefined} status
  * @property {import("node:http").IncomingHttpHeaders} headers
  * @property {object} body
+ * @property {Timings} timings
+ * @property {Error} [parseError] Set if the body of a JSON type cannot be parsed, and the body is left as a string.
+ */
+
+/**
+ * Milliseconds from the start of the request
+ * @typedef {object} Timings
+ * @property {number} firstByte Until the status line and the headers of the response are received
+ * @property {number} total Until the whole body of the response is received
  */
 
 /**
  * @param {"get"|"post"|"patch"|"put"|"delete"|"option"|"head"} method 
  * @param {string} requestPath 
  * @param {import("node:http").IncomingHttpHeaders} [requestHeader] 
- * @param {object} [requestBody] 
+ * @param {any} [requestBody] 
+ * @param {import("./openapi3.1").Encodings} [encoding] Encoding of the parts of multipart/form-data
+ * @param {number} [timeout] Milliseconds until the whole response is received. 0 or omitted means no timeout.
  * @returns {Promise<HttpResponse>}
+ * @throws {TimeoutError} If the response is not completed within the timeout.
  */
-exports.request = async function(method, requestPath, requestHeader, requestBody) {
+exports.request = async function(method, requestPath, requestHeader, requestBody, encoding, timeout) {
     return new Promise((resolve, reject) => {
         const Http = requestPath.startsWith("https") ? require("https") : require("http");
+        let data;
+        if(requestBody != null) {
+            requestHeader = Object.assign({}, requestHeader);
+            try {
+                data = serializeBody(requestHeader, requestBody, encoding);
+            }catch(error) {
+                reject(error);
+                return;
+            }
+            if(data != null && getHeaderKey(requestHeader, "content-length") == null) {
+                requestHeader["content-length"] = String(Buffer.byteLength(data));
+            }
+        }
+        let startTime = performance.now();
+        /** @type {NodeJS.Timeout|undefined} */
+        let timer;
         let connection = Http.request(requestPath, {
             method: method,
             headers: requestHeader
         }, response => {
+            let firstByte = Math.round(performance.now() - startTime);
             let contentType = response.headers["content-type"];
             let status = response.statusCode;
             let buffer;
@@ -35,41 +168,194 @@ exports.request = async function(method, requestPath, requestHeader, requestBody
                 if(buffer == null) buffer = chunk;
                 else buffer = Buffer.concat([buffer, chunk]);
             });
+            // The response is aborted when the connection is destroyed by the timeout.
+            response.on("error", error => {
+                clearTimeout(timer);
+                reject(error);
+            });
             response.on("end", () => {
+                clearTimeout(timer);
+                let total = Math.round(performance.now() - startTime);
                 let result = buffer;
+                let parseError;
                 if(result != null) {
                     if(contentType != null) {
-                        if(contentType.startsWith("application/json")) {
+                        let mimeType = contentType.split(";")[0].trim().toLowerCase();
+                        if(mimeType == "application/json" || mimeType.endsWith("+json")) {
                             result = result.toString("utf8");
                             try {
                                 result = JSON.parse(result);
                             }catch(error) {
-                                console.error(error);
+                                parseError = error;
                             }
                         }
                     }
                 }
-                resolve({status: status, headers: response.headers, body: result});
+                resolve({status: status, headers: response.headers, body: result, timings: {firstByte: firstByte, total: total}, parseError: parseError});
             });
         });
         connection.on("error", error => {
+            clearTimeout(timer);
             reject(error);
         });
-        if(requestBody != null) {
-            if(requestHeader != null) {
-                let contentType = requestHeader["content-type"];
-                if(contentType != null) {
-                    if(contentType.startsWith("application/json")) {
-                        requestBody = JSON.stringify(requestBody);
-                    }else if(contentType.startsWith("application/x-www-form-urlencoded")) {
-                        requestBody = querystring.stringify(requestBody);
-                    }else if(contentType.startsWith("application/cloudevents+json")) {
-                        requestBody = JSON.stringify(requestBody);
-                    }
-                    connection.write(requestBody);
-                }
-            }
+        if(timeout != null && timeout > 0) {
+            // The timeout of the socket is not used because it is reset by each chunk of a slow response.
+            timer = setTimeout(() => {
+                reject(new TimeoutError(`The response was not completed within ${timeout}ms.`, timeout));
+                connection.destroy();
+            }, timeout);
+        }
+        if(data != null) {
+            connection.write(data);
         }
         connection.end();
     });
-}
\ No newline at end of file
+};
+
+/**
+ * Serialize the request body according to its content type.
+ * The boundary is added to the content type of multipart/form-data if it is not specified.
+ * An object without content type is sent as application/json.
+ * @param {import("node:http").IncomingHttpHeaders} requestHeader 
+ * @param {any} requestBody 
+ * @param {import("./openapi3.1").Encodings} [encoding] 
+ * @returns {Buffer|string}
+ * @throws {Error}
+ */
+function serializeBody(requestHeader, requestBody, encoding) {
+    let contentTypeKey = getHeaderKey(requestHeader, "content-type");
+    let contentType = contentTypeKey != null ? String(requestHeader[contentTypeKey]) : undefined;
+    if(requestBody instanceof FileContent) {
+        if(contentType == null) {
+            requestHeader["content-type"] = requestBody.contentType != null ? requestBody.contentType : "application/octet-stream";
+        }
+        return requestBody.data;
+    }
+    if(requestBody instanceof Buffer) {
+        return requestBody;
+    }
+    if(contentType == null && typeof requestBody == "object") {
+        contentType = "application/json";
+        requestHeader["content-type"] = contentType;
+    }
+    let mimeType = contentType != null ? contentType.split(";")[0].trim().toLowerCase() : undefined;
+    if(mimeType != null && (mimeType == "application/json" || mimeType.endsWith("+json"))) {
+        return JSON.stringify(requestBody);
+    }
+    if(typeof requestBody == "string") {
+        return requestBody;
+    }
+    if(contentType == null || mimeType == null) {
+        return String(requestBody);
+    }
+    if(mimeType == "application/x-www-form-urlencoded") {
+        return querystring.stringify(requestBody);
+    }else if(mimeType == "multipart/form-data") {
+        let matched = contentType.match(/;\s*boundary="?([^";]+)"?/i);
+        let boundary = matched != null ? matched[1] : undefined;
+        if(boundary == null) {
+            boundary = "lupinus-" + randomBytes(12).toString("hex");
+            requestHeader[/** @type {string} */(contentTypeKey)] = contentType + "; boundary=" + boundary;
+        }
+        return serializeMultipart(requestBody, boundary, encoding);
+    }else if(mimeType.startsWith("text/")) {
+        return typeof requestBody == "object" ? JSON.stringify(requestBody) : String(requestBody);
+    }
+    throw new Error(`The request body of content type [${contentType}] must be a string or a file.`);
+}
+
+/**
+ * Serialize the properties of the object into the parts of multipart/form-data.
+ * The items of an array are sent as the parts with the same name.
+ * @param {any} requestBody 
+ * @param {string} boundary 
+ * @param {import("./openapi3.1").Encodings} [encoding] 
+ * @returns {Buffer}
+ * @throws {Error}
+ */
+function serializeMultipart(requestBody, boundary, encoding) {
+    if(requestBody == null || typeof requestBody != "object" || Array.isArray(requestBody)) {
+        throw new Error("The request body of multipart/form-data must be an object.");
+    }
+    /** @type {Array<Buffer>} */
+    let chunks = [];
+    Object.keys(requestBody).forEach(name => {
+        let values = Array.isArray(requestBody[name]) ? requestBody[name] : [requestBody[name]];
+        let declaredType = encoding != null && encoding[name] != null ? encoding[name].contentType : undefined;
+        values.forEach(value => {
+            if(value === undefined) {
+                return;
+            }
+            let disposition = `form-data; name="${escapeQuoted(name)}"`;
+            let contentType;
+            let data;
+            if(value instanceof FileContent) {
+                disposition += `; filename="${escapeQuoted(value.filename)}"`;
+                contentType = selectContentType(declaredType, value.contentType != null ? value.contentType : "application/octet-stream");
+                data = value.data;
+            }else if(value instanceof Buffer) {
+                contentType = selectContentType(declaredType, "application/octet-stream");
+                data = value;
+            }else if(value != null && typeof value == "object") {
+                contentType = selectContentType(declaredType, "application/json");
+                data = JSON.stringify(value);
+            }else {
+                // text/plain is the default of the part and is not written.
+                contentType = declaredType != null ? selectContentType(declaredType, "text/plain") : undefined;
+                data = value == null ? "" : String(value);
+            }
+            let header = `--${boundary}\r\nContent-Disposition: ${disposition}\r\n`;
+            if(contentType != null) {
+                header += `Content-Type: ${contentType}\r\n`;
+            }
+            chunks.push(Buffer.from(header + "\r\n"), Buffer.from(data), Buffer.from("\r\n"));
+        });
+    });
+    chunks.push(Buffer.from(`--${boundary}--\r\n`));
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Select the content type of the part from the ones declared in the encoding, e.g. "image/png, image/jpeg" or "image/*".
+ * @param {string|undefined} declaredType 
+ * @param {string} actualType 
+ * @returns {string}
+ */
+function selectContentType(declaredType, actualType) {
+    if(declaredType == null || matchContentType(declaredType, actualType)) {
+        return actualType;
+    }
+    let concrete = declaredType.split(",").map(entry => entry.trim()).find(entry => entry.length > 0 && !entry.includes("*"));
+    return concrete != null ? concrete : actualType;
+}
+
+/**
+ * Whether the content type is one of the ones declared in the encoding, e.g. "image/png, image/jpeg" or "image/*".
+ * @param {string} declaredType 
+ * @param {string} actualType 
+ * @returns {boolean}
+ */
+function matchContentType(declaredType, actualType) {
+    let mimeType = actualType.split(";")[0].trim().toLowerCase();
+    return declaredType.split(",").map(entry => entry.trim().toLowerCase()).filter(entry => entry.length > 0).some(candidate => {
+        return candidate == mimeType || candidate == "*/*" || (candidate.endsWith("/*") && mimeType.startsWith(candidate.substring(0, candidate.length-1)));
+    });
+}
+exports.matchContentType = matchContentType;
+
+/**
+ * @param {string} value 
+ * @returns {string}
+ */
+function escapeQuoted(value) {
+    return value.replace(/"/g, "%22").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+}
+
+/**
+ * @param {import("node:http").IncomingHttpHeaders|undefined} headers 
+ * @param {string} name Lower case
+ * @returns {string|undefined}
+ */
+function getHeaderKey(headers, name) {
+    return headers != null ? Object.keys(headers).find(key => key.toLowerCase() == name) : undefined;
+}
@@ -4,27 +4,356 @@
  */
 
 import { OpenAPI } from "./openapi3.1";
-import { TestSet } from "./testset";
-import { LoggerSetting } from "./logger";
+import { TestSet, TestCase, Invoke } from "./testset";
+import { LoggerSetting, ReporterSetting } from "./logger-setting";
 import { JsonSchema } from "./json-schema";
+import { IncomingHttpHeaders } from "http";
+import { EventEmitter } from "events";
 
-export class Validator {
+export class Validator extends EventEmitter {
     
     /**
      * 
-     * @param specFilePath Path to the Open API definition file
+     * @param specFilePath Path to the Open API definition file. OpenAPI 3.0 and Swagger 2.0 are converted into 3.1.
      * @param testSetFilePath Path to the test case file
      * @param logSettingFilePath Path to the log setting file
      * @param verboseLog Output detailed logs.
+     * @param options Additional options
      */
-    constructor(spec: string|OpenAPI, testSet?: string|TestSet, logSetting?: string|LoggerSetting, verboseLog?: boolean);
+    constructor(spec: string|OpenAPI|object, testSet?: string|TestSet, logSetting?: string|LoggerSetting, verboseLog?: boolean, options?: ValidatorOptions);
 
     /**
      * Call the API server according to the test case and verify the returned value.
      */
-    async validate(): void;
+    validate(): Promise<ValidationResult>;
+
+    on(event: "testCaseStart", listener: (result: TestCaseResult, testCase: TestCase) => void): this;
+    on(event: "stepStart", listener: (result: StepResult, invoke: Invoke) => void): this;
+    on(event: "assertionFailed", listener: (assertion: AssertionResult, step: StepResult) => void): this;
+    on(event: "stepEnd", listener: (result: StepResult) => void): this;
+    on(event: "testCaseEnd", listener: (result: TestCaseResult) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+
+    once(event: "testCaseStart", listener: (result: TestCaseResult, testCase: TestCase) => void): this;
+    once(event: "stepStart", listener: (result: StepResult, invoke: Invoke) => void): this;
+    once(event: "assertionFailed", listener: (assertion: AssertionResult, step: StepResult) => void): this;
+    once(event: "stepEnd", listener: (result: StepResult) => void): this;
+    once(event: "testCaseEnd", listener: (result: TestCaseResult) => void): this;
+    once(event: string | symbol, listener: (...args: any[]) => void): this;
 
     validateJson(data: any, schema: JsonSchema): void;
 
-    getComponent(path: string): JsonSchema | null;
+    /**
+     * Resolve the reference in the specification.
+     * JSON pointers into the specification (`#/components/schemas/A/properties/b`) and into other files (`common.yaml#/Foo`) are supported.
+     * @param path Value of $ref
+     * @returns The referred object, or null if the JSON pointer does not exist
+     */
+    getComponent(path: string): JsonSchema | any | null;
+
+    /** Parsers of the response bodies by content type. Handlers for other formats can be registered. */
+    contentHandlers: ContentHandlers;
+
+    /** Validators of the format keyword by format name. Formats can be added or replaced. */
+    formats: Formats;
+
+    /** Validators of the vendor keywords (`x-`) of the schemas */
+    keywords: Keywords;
+
+    /**
+     * Register the formats, keywords and content handlers of the plugin module.
+     * @param filePath Absolute path to the module
+     */
+    loadPlugin(filePath: string): void;
+
+    /** Validate the requests and the responses against the specification. The expected values of the test cases are verified regardless. Defaults to true. */
+    contractValidation: boolean;
+}
+
+/**
+ * Replays the test cases with virtual users and measures the latency of each operation.
+ */
+export class LoadTester {
+    /**
+     * @param validator Validator of the specification and the test set. The `load` setting of the test set is used.
+     * @param options Overrides the `load` setting of the test set.
+     */
+    constructor(validator: Validator, options?: LoadOptions);
+
+    /**
+     * Execute the load test. beforeAll and afterAll of the test set are executed once.
+     */
+    run(): Promise<LoadResult>;
+}
+
+/**
+ * HTTP server that responds according to the specification.
+ * The requests are validated against the specification, and the responses are the examples of the specification or the data synthesized from their schemas.
+ */
+export class MockServer {
+    /**
+     * @param validator Validator of the specification. The test set can be omitted.
+     */
+    constructor(validator: Validator);
+
+    /** Upper limit of the request body in bytes. A larger request is returned with 413. Defaults to 10 MiB. */
+    maxBodySize: number;
+
+    /**
+     * @param port Defaults to 4010. 0 means an arbitrary port.
+     * @param host Defaults to all the interfaces.
+     * @returns The port listened to
+     */
+    listen(port?: number, host?: string): Promise<number>;
+
+    close(): Promise<void>;
+}
+
+export interface LoadOptions {
+    /** Number of the virtual users */
+    users?: number;
+    /** Seconds until all the virtual users are started */
+    rampUp?: number;
+    /** Seconds to repeat the test cases */
+    duration?: number;
+    /** Number of the iterations of each virtual user */
+    iterations?: number;
+    /** Titles of the test cases replayed */
+    testCases?: Array<string>;
+    /** Validate the requests and the responses against the specification. */
+    validate?: boolean;
+}
+
+export interface LoadResult {
+    /** False if a threshold is exceeded or beforeAll did not pass */
+    passed: boolean;
+    users: number;
+    /** Number of the completed iterations of all the virtual users */
+    iterations: number;
+    /** Duration in milliseconds */
+    duration: number;
+    /** Statistics of all the operations */
+    total: OperationResult;
+    operations: Array<OperationResult>;
+    thresholds: Array<ThresholdResult>;
+    /** Number of the occurrences by error message */
+    errors: {[message: string]: number};
+}
+
+export interface OperationResult {
+    /** Method and path of the specification, e.g. `GET /items/{id}` */
+    operation: string;
+    requests: number;
+    /** Number of the requests that failed or errored */
+    errors: number;
+    errorRate: number;
+    /** Requests per second */
+    throughput: number;
+    /** Latency in milliseconds */
+    latency: {min: number, mean: number, p50: number, p90: number, p99: number, max: number};
+}
+
+export interface ThresholdResult {
+    /** Omitted for the thresholds of all the operations */
+    operation?: string;
+    metric: "mean" | "p50" | "p90" | "p99" | "max" | "errorRate" | "throughput";
+    limit: number;
+    actual: number;
+    passed: boolean;
+}
+
+export class Formats {
+    /**
+     * Register the format. The format registered later replaces the one with the same name.
+     * A regular expression or a function is applied to the strings.
+     */
+    register(name: string, format: RegExp | ((value: any) => boolean) | Format): void;
+    get(name: string): Format | null;
+}
+
+export interface Format {
+    /** Types of the values to which the format applies. Defaults to `["string"]`. */
+    types?: Array<"string"|"number"|"integer"|"boolean"|"array"|"object"|"null">;
+    validate(value: any): boolean;
+}
+
+export class Keywords {
+    /**
+     * Register the validator of the vendor keyword. The name must start with `x-`.
+     */
+    register(name: string, keyword: Keyword): void;
+    get(name: string): Keyword | null;
+}
+
+/**
+ * Validator of the vendor keyword.
+ * @param data The value validated against the schema
+ * @param value The value of the keyword in the schema
+ * @param schema The schema that contains the keyword
+ * @returns false or a message if the data does not satisfy the keyword
+ */
+export type Keyword = (data: any, value: any, schema: JsonSchema) => boolean | string | void;
+
+/**
+ * Module loaded with `plugins` of the test set or the `--plugin` option. A function is called with the validator.
+ */
+export type Plugin = ((validator: Validator) => void) | {
+    formats?: {[name: string]: RegExp | ((value: any) => boolean) | Format};
+    keywords?: {[name: string]: Keyword};
+    contentHandlers?: {[mediaRange: string]: ContentHandler};
+};
+
+export class ContentHandlers {
+    /**
+     * Register the handler for the media range. The handler registered later takes precedence.
+     * @param mediaRange Content type (`text/csv`), wildcard (`text/*`) or structured syntax suffix (`+json`)
+     */
+    register(mediaRange: string, handler: ContentHandler): void;
+    /**
+     * Find the handler in the order of the exact content type, the suffix and the wildcard.
+     */
+    find(contentType: string): ContentHandler | null;
+}
+
+export interface ContentHandler {
+    /** Convert the response body into the value validated against the schema and referred to by the later steps. */
+    parse(data: Buffer, options: ContentParseOptions): any;
+    /** Validate the parsed value. By default, the value is validated as JSON. */
+    validate?(value: any, schema: JsonSchema, validateJson: (data: any, schema: JsonSchema) => void): void;
+    /** Convert the value into the body, which is the reverse of parse. Used by the mock server for the data synthesized from the schema. */
+    serialize?(value: any, options: ContentParseOptions): string | Buffer;
+}
+
+export interface ContentParseOptions {
+    /** Content type of the response */
+    contentType: string;
+    /** Schema of the media type in the specification */
+    schema?: JsonSchema;
+    /** Resolve $ref of the schema. */
+    resolveSchema(schema: JsonSchema): JsonSchema;
+}
+
+export interface ValidatorOptions {
+    /**
+     * Overrides the reporter in the log setting.
+     * A string is either a format name (e.g. `junit`) or a format name and output path separated by a colon (e.g. `junit:report.xml`).
+     */
+    reporter?: string | ReporterSetting | Array<string | ReporterSetting>;
+    /** Path to the .env file. The variables of the process environment take precedence. */
+    envFile?: string;
+    /** Seed of the random values generated in the placeholders, e.g. {uuid()}, {randomInt(1,100)} */
+    seed?: number | string;
+    /** Paths to the plugin modules that register formats, keywords and content handlers. Relative paths are resolved from the current directory. */
+    plugins?: Array<string>;
+    /** Maximum number of the test cases executed in parallel. Defaults to 1. */
+    concurrency?: number;
+    /** Default timeout of the requests in milliseconds. Overrides the test set. Defaults to 30000. 0 means no timeout. */
+    timeout?: number;
+}
+
+export class ValidationError extends Error {
+    /** The schema that the data did not match */
+    schema?: object;
+    data?: any;
+    /** The property name of the data that did not match */
+    key?: string;
+    /** All the locations where the data did not match the schema */
+    violations?: Array<Violation>;
+    constructor(message: string, schema?: object, data?: any, key?: string, violations?: Array<Violation>);
+}
+
+/**
+ * Error of the step whose response is not completed within the timeout. The step is counted as failed.
+ */
+export class TimeoutError extends Error {
+    /** Timeout in milliseconds */
+    timeout: number;
+    constructor(message: string, timeout: number);
+}
+
+export interface Violation {
+    /** JSON pointer to the data, e.g. `/items/3/price` */
+    instanceLocation: string;
+    /** JSON pointer to the keyword in the schema, e.g. `#/properties/items/items/properties/price/minimum` */
+    schemaLocation: string;
+    /** The keyword that the data did not satisfy, e.g. `required`, `minimum` */
+    keyword: string;
+    message: string;
+}
+
+export type ResultStatus = "passed" | "failed" | "errored" | "skipped";
+
+export interface ValidationResult {
+    passed: number;
+    failed: number;
+    errored: number;
+    /** Total duration in milliseconds */
+    duration: number;
+    testCases: Array<TestCaseResult>;
+    /** Not counted in passed, failed and errored. Reported as a test case only if it does not pass. */
+    beforeAll?: TestCaseResult;
+    /** Not counted in passed, failed and errored. Reported as a test case only if it does not pass. */
+    afterAll?: TestCaseResult;
+}
+
+export interface TestCaseResult {
+    title: string;
+    status: ResultStatus;
+    /** Duration in milliseconds */
+    duration: number;
+    steps: Array<StepResult>;
+    error?: Error;
+}
+
+export interface StepResult {
+    method: string;
+    path: string;
+    /** Path of the specification that the step is matched to, e.g. `/items/{id}` */
+    specPath?: string;
+    requestPath?: string;
+    responseStatus?: number;
+    status: ResultStatus;
+    /** Duration in milliseconds */
+    duration: number;
+    request?: RequestRecord;
+    response?: ResponseRecord;
+    assertions: Array<AssertionResult>;
+    error?: Error;
+    /** Omitted for the steps of the sequence */
+    phase?: "setup" | "teardown";
+    /** Number of the attempts of the step with retry. The result is that of the last attempt. */
+    attempts?: number;
+    /** Omitted if the response was not received */
+    timings?: Timings;
+}
+
+/** Milliseconds from the start of the request */
+export interface Timings {
+    /** Until the status line and the headers of the response are received */
+    firstByte: number;
+    /** Until the whole body of the response is received */
+    total: number;
+}
+
+export type AssertionKind = "request" | "schema" | "status" | "headers" | "body" | "duration" | "timeout";
+
+export interface AssertionResult {
+    kind: AssertionKind;
+    passed: boolean;
+    /** The expected value written in the test case */
+    expected?: any;
+    error?: Error;
+}
+
+export interface RequestRecord {
+    method: string;
+    url: string;
+    headers?: IncomingHttpHeaders;
+    body?: any;
+}
+
+export interface ResponseRecord {
+    status?: number;
+    headers: IncomingHttpHeaders;
+    body: any;
 }
\ No newline at end of file
@@ -5,5 +5,9 @@
 
 // @ts-check
 
-let { Validator } = require("./validator");
+let { Validator, ValidationError } = require("./validator");
 exports.Validator = Validator;
+exports.ValidationError = ValidationError;
+exports.LoadTester = require("./load-tester");
+exports.TimeoutError = require("./http").TimeoutError;
+exports.MockServer = require("./mock-server");
@@ -8,6 +8,7 @@ export interface JsonSchema {
     $id?: URI;
     $ref?: URI;
     $def?: JsonSchemas;
+    $defs?: JsonSchemas;
     $comment?: string;
     $vocabulary?: Vocabulary;
     $dynamicRef?: URI;
@@ -22,11 +23,11 @@ export interface JsonSchema {
     else?: JsonSchema;
     not?: JsonSchema;
     properties?: JsonSchemas;
-    additionalProperties?: JsonSchema;
+    additionalProperties?: JsonSchema | boolean;
     patternProperties?: JsonSchemas;
     dependentSchemas?: JsonSchemas;
     propertyNames?: JsonSchema;
-    items?: JsonSchema;
+    items?: JsonSchema | boolean;
     prefixItems?: Array<JsonSchema>;
     contains?: JsonSchema;
 
@@ -61,8 +62,8 @@ export interface JsonSchema {
 
     format?: Format;
 
-    unevaluatedProperties?: JsonSchema;
-    unevaluatedItems?: JsonSchema;
+    unevaluatedProperties?: JsonSchema | boolean;
+    unevaluatedItems?: JsonSchema | boolean;
     contentSchema?: JsonSchema;
     contentMediaType?: string;
     contentEncoding?: string;
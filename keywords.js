@@ -0,0 +1,50 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+/**
+ * Validator of the vendor keyword.
+ * Returns false or a message if the data does not satisfy the keyword.
+ * @typedef {(data: any, value: any, schema: object) => boolean|string|void} Keyword
+ */
+
+/**
+ * Validators of the vendor keywords (x-) of the schemas by keyword name.
+ * The keywords that are not registered are ignored as annotations.
+ */
+class Keywords {
+
+    /**
+     * @type {Map<string, Keyword>}
+     */
+    #keywords = new Map();
+
+    /**
+     * The keyword registered later replaces the one with the same name.
+     * @param {string} name e.g. x-currency-code
+     * @param {Keyword} keyword
+     */
+    register(name, keyword) {
+        if(name == null || typeof keyword != "function") {
+            throw new Error("Invalid keyword.");
+        }
+        if(!name.startsWith("x-")) {
+            throw new Error(`The keyword [${name}] must start with x-.`);
+        }
+        this.#keywords.set(name, keyword);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Keyword|null}
+     */
+    get(name) {
+        let keyword = this.#keywords.get(name);
+        return keyword != null ? keyword : null;
+    }
+}
+
+module.exports = Keywords;
@@ -0,0 +1,530 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const { writeFileSync } = require("fs");
+const { LogBuffer } = require("./logger");
+
+/**
+ * @typedef {object} LoadOptions
+ * @property {number} [users] Number of the virtual users. Overrides the test set.
+ * @property {number} [rampUp] Seconds until all the virtual users are started. Overrides the test set.
+ * @property {number} [duration] Seconds to repeat the test cases. Overrides the test set.
+ * @property {number} [iterations] Number of the iterations of each virtual user. Overrides the test set.
+ * @property {Array<string>} [testCases] Titles of the test cases replayed. Overrides the test set.
+ * @property {boolean} [validate] Validate the requests and the responses against the specification. Overrides the test set.
+ */
+
+/**
+ * @typedef {object} Latency
+ * @property {number} min
+ * @property {number} mean
+ * @property {number} p50
+ * @property {number} p90
+ * @property {number} p99
+ * @property {number} max
+ */
+
+/**
+ * @typedef {object} OperationResult
+ * @property {string} operation Method and path of the specification, e.g. GET /items/{id}
+ * @property {number} requests
+ * @property {number} errors Number of the requests that failed or errored
+ * @property {number} errorRate
+ * @property {number} throughput Requests per second
+ * @property {Latency} latency Milliseconds
+ */
+
+/**
+ * @typedef {object} ThresholdResult
+ * @property {string} [operation] Omitted for the threshold of all the operations
+ * @property {string} metric
+ * @property {number} limit
+ * @property {number} actual
+ * @property {boolean} passed
+ */
+
+/**
+ * @typedef {object} Sample
+ * @property {number} requests
+ * @property {number} errors
+ * @property {Array<number>} latencies Milliseconds of the requests whose responses were received
+ */
+
+/**
+ * @typedef {object} LoadResult
+ * @property {boolean} passed False if a threshold is exceeded or beforeAll did not pass.
+ * @property {number} users
+ * @property {number} iterations Number of the completed iterations of all the virtual users
+ * @property {number} duration Milliseconds
+ * @property {OperationResult} total
+ * @property {Array<OperationResult>} operations
+ * @property {Array<ThresholdResult>} thresholds
+ * @property {{[message: string]: number}} errors Number of the occurrences by error message
+ */
+
+/**
+ * Metrics of the thresholds
+ */
+const metrics = ["mean", "p50", "p90", "p99", "max", "errorRate", "throughput"];
+
+/**
+ * Replays the test cases with virtual users and measures the latency of each operation.
+ * Each virtual user executes the selected test cases in order repeatedly until the duration passes or the iterations complete.
+ */
+class LoadTester {
+
+    /**
+     * @type {import("./validator").Validator}
+     */
+    validator;
+
+    /**
+     * @type {number}
+     */
+    users;
+
+    /**
+     * Milliseconds
+     * @type {number}
+     */
+    rampUp;
+
+    /**
+     * Milliseconds
+     * @type {number|undefined}
+     */
+    duration;
+
+    /**
+     * @type {number|undefined}
+     */
+    iterations;
+
+    /**
+     * @type {Array<import("./testset").TestCase>}
+     */
+    testCases;
+
+    /**
+     * @type {import("./testset").Thresholds}
+     */
+    thresholds;
+
+    /**
+     * Samples of the requests by operation
+     * @type {Map<string, Sample>}
+     */
+    #samples = new Map();
+
+    /**
+     * @type {{[message: string]: number}}
+     */
+    #errors = {};
+
+    #completedIterations = 0;
+
+    /**
+     * @param {import("./validator").Validator} validator
+     * @param {LoadOptions} [options]
+     * @throws {Error} If the setting is invalid.
+     */
+    constructor(validator, options) {
+        this.validator = validator;
+        if(validator.testSet == null || validator.testSet.testCases == null || validator.testSet.testCases.length == 0) {
+            throw new Error("Invalid test set.");
+        }
+        /** @type {import("./testset").LoadSetting} */
+        let setting = Object.assign({}, validator.testSet.load);
+        if(options != null) {
+            Object.keys(options).filter(key => options[key] !== undefined).forEach(key => {
+                setting[key] = options[key];
+            });
+        }
+
+        this.users = setting.users != null ? setting.users : 1;
+        if(!Number.isInteger(this.users) || this.users < 1) {
+            throw new Error(`Invalid users [${this.users}].`);
+        }
+        let rampUp = setting.rampUp != null ? setting.rampUp : 0;
+        if(typeof rampUp != "number" || isNaN(rampUp) || rampUp < 0) {
+            throw new Error(`Invalid ramp-up [${rampUp}].`);
+        }
+        this.rampUp = rampUp * 1000;
+        if(setting.duration != null) {
+            if(typeof setting.duration != "number" || isNaN(setting.duration) || setting.duration <= 0) {
+                throw new Error(`Invalid duration [${setting.duration}].`);
+            }
+            this.duration = setting.duration * 1000;
+        }
+        if(setting.iterations != null) {
+            if(!Number.isInteger(setting.iterations) || setting.iterations < 1) {
+                throw new Error(`Invalid iterations [${setting.iterations}].`);
+            }
+            this.iterations = setting.iterations;
+        }else if(this.duration == null) {
+            this.iterations = 1;
+        }
+
+        let testCases = validator.testSet.testCases;
+        if(setting.testCases != null && setting.testCases.length > 0) {
+            let titles = setting.testCases;
+            titles.forEach(title => {
+                if(!testCases.some(testCase => testCase.title == title)) {
+                    throw new Error(`The test case [${title}] is not found.`);
+                }
+            });
+            testCases = testCases.filter(testCase => titles.includes(testCase.title));
+        }
+        this.testCases = validator.expandTestCases(testCases).filter(testCase => testCase.sequence != null && testCase.sequence.length > 0);
+        if(this.testCases.length == 0) {
+            throw new Error("There are no test cases to replay.");
+        }
+
+        if(setting.validate != null) {
+            validator.contractValidation = setting.validate;
+        }
+        this.thresholds = setting.thresholds != null ? setting.thresholds : {};
+        this.validateThresholds(this.thresholds);
+    }
+
+    /**
+     * @param {import("./testset").Thresholds} thresholds
+     * @throws {Error} If the threshold is invalid.
+     */
+    validateThresholds(thresholds) {
+        if(thresholds == null || typeof thresholds != "object" || Array.isArray(thresholds)) {
+            throw new Error(`Invalid thresholds [${JSON.stringify(thresholds)}].`);
+        }
+        /**
+         * @param {import("./testset").Threshold} threshold
+         */
+        let validateThreshold = threshold => {
+            Object.keys(threshold).filter(metric => metric != "operations").forEach(metric => {
+                if(!metrics.includes(metric)) {
+                    throw new Error(`The threshold [${metric}] is not supported.`);
+                }
+                let limit = threshold[metric];
+                if(typeof limit != "number" || !isFinite(limit) || limit < 0 || (metric == "errorRate" && limit > 1)) {
+                    throw new Error(`Invalid threshold [${metric}: ${limit}].`);
+                }
+            });
+        };
+        validateThreshold(thresholds);
+        if(thresholds.operations == null) {
+            return;
+        }
+        let operations = thresholds.operations;
+        if(typeof operations != "object" || Array.isArray(operations)) {
+            throw new Error(`Invalid operations of the thresholds [${JSON.stringify(operations)}].`);
+        }
+        // The paths of the steps are also accepted for the operations outside the specification, e.g. spec: oauth2.ClientCredentials.
+        let paths = this.testCases.flatMap(testCase => [testCase.setup, testCase.sequence, testCase.teardown]).flatMap(steps => steps != null ? steps.filter(step => step.spec != null).map(step => step.path) : []);
+        Object.keys(operations).forEach(key => {
+            let matched = key.match(/^(get|post|put|patch|delete|head|options?) (\/\S*)$/i);
+            if(matched == null) {
+                throw new Error(`Invalid operation [${key}] of the thresholds. Write the method and the path of the specification such as GET /items/{id}.`);
+            }
+            if(this.validator.findPath(matched[2]) == null && !paths.includes(matched[2])) {
+                throw new Error(`The operation [${key}] of the thresholds is not found in the specification.`);
+            }
+            let threshold = operations[key];
+            if(threshold == null || typeof threshold != "object" || Array.isArray(threshold)) {
+                throw new Error(`Invalid threshold of the operation [${key}].`);
+            }
+            validateThreshold(threshold);
+        });
+    }
+
+    /**
+     * @returns {Promise<LoadResult>}
+     */
+    async run() {
+        let validator = this.validator;
+        validator.prepareEnvironment(Object.assign({}, validator.testSet, {testCases: this.testCases}));
+        if(validator.verbose) {
+            validator.logger.writeLog(`Random seed: ${validator.generators.seed}`);
+        }
+        let globals = Object.assign({}, validator.testSet.variables);
+        let prepared = true;
+        if(validator.testSet.beforeAll != null && validator.testSet.beforeAll.length > 0) {
+            let beforeAll = await validator.executeSuiteSequence("beforeAll", validator.testSet.beforeAll, globals, false);
+            prepared = beforeAll.status == "passed";
+        }
+
+        let startTime = Date.now();
+        if(prepared) {
+            validator.logger.writeLog(`Load test is started with ${this.users} users.`);
+            let endTime = this.duration != null ? startTime + this.duration : undefined;
+            /** @type {Array<Promise<void>>} */
+            let users = [];
+            for(let user=0; user<this.users; user++) {
+                users.push(this.runUser(user, globals, endTime));
+            }
+            await Promise.all(users);
+        }else {
+            validator.logger.writeLog(`The load test is skipped because beforeAll did not pass.`);
+        }
+        let duration = Date.now() - startTime;
+
+        if(validator.testSet.afterAll != null && validator.testSet.afterAll.length > 0) {
+            await validator.executeSuiteSequence("afterAll", validator.testSet.afterAll, globals, true);
+        }
+
+        let { total, operations } = this.summarize(duration);
+        let thresholds = this.evaluateThresholds(total, operations);
+        /** @type {LoadResult} */
+        let result = {
+            passed: prepared && thresholds.every(threshold => threshold.passed),
+            users: this.users,
+            iterations: this.#completedIterations,
+            duration: duration,
+            total: total,
+            operations: operations,
+            thresholds: thresholds,
+            errors: this.#errors
+        };
+        this.writeSummary(result);
+        this.writeReports(result);
+        return result;
+    }
+
+    /**
+     * Execute the test cases repeatedly as a virtual user.
+     * @param {number} user Index of the virtual user
+     * @param {object} globals
+     * @param {number} [endTime]
+     */
+    async runUser(user, globals, endTime) {
+        let delay = this.rampUp * user / this.users;
+        if(delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        for(let iteration=0; this.iterations == null || iteration < this.iterations; iteration++) {
+            // The steps after the end time are skipped, so that the load test does not overrun by a whole iteration.
+            for(let testCase of this.testCases) {
+                if(endTime != null && Date.now() >= endTime) {
+                    return;
+                }
+                // The logs of each test case are written only with --verbose, because they would be too many.
+                let logger = new LogBuffer(this.validator.logger);
+                let result = await this.validator.executeTestCase(testCase, globals, logger, endTime);
+                if(this.validator.verbose) {
+                    logger.flush();
+                }
+                this.record(result);
+            }
+            if(endTime != null && Date.now() >= endTime) {
+                return;
+            }
+            this.#completedIterations++;
+        }
+    }
+
+    /**
+     * Add the steps of the sequence to the samples of their operations. The steps of the setup and the teardown are not measured.
+     * @param {import("./validator").TestCaseResult} result
+     */
+    record(result) {
+        result.steps.filter(step => step.phase == null && step.status != "skipped").forEach(step => {
+            // The steps are grouped by the path of the specification, e.g. /items/{id} for /items/1 and /items/2.
+            let operation = `${step.method.toUpperCase()} ${step.specPath != null ? step.specPath : step.path}`;
+            let sample = this.#samples.get(operation);
+            if(sample == null) {
+                sample = {requests: 0, errors: 0, latencies: []};
+                this.#samples.set(operation, sample);
+            }
+            sample.requests++;
+            // The duration of the step includes the validation and the intervals of the retry.
+            if(step.timings != null) {
+                sample.latencies.push(step.timings.total);
+            }
+            if(step.status == "failed" || step.status == "errored") {
+                sample.errors++;
+                let message = step.error != null ? step.error.message.split("\n")[0] : step.status;
+                this.#errors[message] = (this.#errors[message] != null ? this.#errors[message] : 0) + 1;
+            }
+        });
+    }
+
+    /**
+     * Aggregate the recorded samples of each operation and of all the operations.
+     * @param {number} duration Milliseconds of the load test
+     * @returns {{total: OperationResult, operations: Array<OperationResult>}}
+     */
+    summarize(duration) {
+        let operations = Array.from(this.#samples.keys()).sort().map(operation => {
+            return this.aggregate(operation, /** @type {Sample} */(this.#samples.get(operation)), duration);
+        });
+        let samples = Array.from(this.#samples.values());
+        /** @type {Sample} */
+        let sample = {
+            requests: samples.reduce((requests, sample) => requests + sample.requests, 0),
+            errors: samples.reduce((errors, sample) => errors + sample.errors, 0),
+            latencies: samples.flatMap(sample => sample.latencies)
+        };
+        return {total: this.aggregate("Total", sample, duration), operations: operations};
+    }
+
+    /**
+     * @param {string} operation
+     * @param {Sample} sample
+     * @param {number} duration Milliseconds of the load test
+     * @returns {OperationResult}
+     */
+    aggregate(operation, sample, duration) {
+        let sorted = sample.latencies.slice().sort((latency1, latency2) => latency1 - latency2);
+        let requests = sample.requests;
+        return {
+            operation: operation,
+            requests: requests,
+            errors: sample.errors,
+            errorRate: requests > 0 ? sample.errors / requests : 0,
+            throughput: duration > 0 ? requests / (duration / 1000) : 0,
+            latency: {
+                min: sorted.length > 0 ? sorted[0] : 0,
+                mean: sorted.length > 0 ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : 0,
+                p50: this.percentile(sorted, 50),
+                p90: this.percentile(sorted, 90),
+                p99: this.percentile(sorted, 99),
+                max: sorted.length > 0 ? sorted[sorted.length-1] : 0
+            }
+        };
+    }
+
+    /**
+     * Nearest-rank percentile
+     * @param {Array<number>} sorted Values in ascending order
+     * @param {number} percentile
+     * @returns {number}
+     */
+    percentile(sorted, percentile) {
+        if(sorted.length == 0) {
+            return 0;
+        }
+        let index = Math.ceil(percentile / 100 * sorted.length) - 1;
+        return sorted[Math.max(index, 0)];
+    }
+
+    /**
+     * @param {OperationResult} total
+     * @param {Array<OperationResult>} operations
+     * @returns {Array<ThresholdResult>}
+     */
+    evaluateThresholds(total, operations) {
+        /** @type {Array<ThresholdResult>} */
+        let results = this.evaluateThreshold(this.thresholds, total);
+        if(this.thresholds.operations != null) {
+            let _operations = this.thresholds.operations;
+            Object.keys(_operations).forEach(key => {
+                // The method is case-insensitive, e.g. get /items.
+                let separator = key.indexOf(" ");
+                let name = separator != -1 ? key.substring(0, separator).toUpperCase() + key.substring(separator) : key;
+                let operation = operations.find(operation => operation.operation == name);
+                if(operation == null) {
+                    this.validator.writeWarning(`The operation [${key}] of the thresholds is not executed.`);
+                    return;
+                }
+                this.evaluateThreshold(_operations[key], operation).forEach(result => {
+                    result.operation = operation.operation;
+                    results.push(result);
+                });
+            });
+        }
+        return results;
+    }
+
+    /**
+     * @param {import("./testset").Threshold} threshold Validated in the constructor
+     * @param {OperationResult} operation
+     * @returns {Array<ThresholdResult>}
+     */
+    evaluateThreshold(threshold, operation) {
+        /** @type {Array<ThresholdResult>} */
+        let results = [];
+        Object.keys(threshold).filter(metric => metric != "operations").forEach(metric => {
+            let limit = threshold[metric];
+            let actual;
+            let passed;
+            if(metric == "p50" || metric == "p90" || metric == "p99" || metric == "mean" || metric == "max") {
+                actual = operation.latency[metric];
+                passed = actual <= limit;
+            }else if(metric == "errorRate") {
+                actual = operation.errorRate;
+                passed = actual <= limit;
+            }else {
+                // The lower limit of the requests per second
+                actual = operation.throughput;
+                passed = actual >= limit;
+            }
+            results.push({metric: metric, limit: limit, actual: actual, passed: passed});
+        });
+        return results;
+    }
+
+    /**
+     * @param {LoadResult} result
+     */
+    writeSummary(result) {
+        let logger = this.validator.logger;
+        let rows = [["Operation", "Requests", "Errors", "Error rate", "Throughput", "Mean", "p50", "p90", "p99", "Max"]];
+        result.operations.concat([result.total]).forEach(operation => {
+            rows.push([
+                operation.operation,
+                String(operation.requests),
+                String(operation.errors),
+                `${(operation.errorRate * 100).toFixed(2)}%`,
+                `${operation.throughput.toFixed(2)}/s`,
+                `${Math.round(operation.latency.mean)}ms`,
+                `${operation.latency.p50}ms`,
+                `${operation.latency.p90}ms`,
+                `${operation.latency.p99}ms`,
+                `${operation.latency.max}ms`
+            ]);
+        });
+        let widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+        rows.forEach(row => {
+            logger.writeLog(row.map((cell, column) => column == 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join("  "));
+        });
+        let errors = Object.keys(result.errors);
+        if(errors.length > 0) {
+            logger.writeLog(`Errors:`);
+            errors.sort((message1, message2) => result.errors[message2] - result.errors[message1]).forEach(message => {
+                logger.writeLog(`  - ${message} (${result.errors[message]})`);
+            });
+        }
+        result.thresholds.forEach(threshold => {
+            let status = threshold.passed ? "\u001b[32mPASS\u001b[0m" : "\u001b[31mNG\u001b[0m";
+            let target = threshold.operation != null ? threshold.operation : "Total";
+            let actual = threshold.metric == "errorRate" ? threshold.actual.toFixed(4) : threshold.metric == "throughput" ? threshold.actual.toFixed(2) : String(Math.round(threshold.actual));
+            let operator = threshold.metric == "throughput" ? ">=" : "<=";
+            logger.writeLog(`${status} ${threshold.metric} of ${target}: ${actual} ${operator} ${threshold.limit}`);
+        });
+        let status = result.passed ? "\u001b[32mpassed\u001b[0m" : "\u001b[31mfailed\u001b[0m";
+        logger.writeLog(`Summary: ${status}, ${result.users} users, ${result.iterations} iterations, ${result.total.requests} requests (${(result.duration/1000).toFixed(3)}s)`);
+    }
+
+    /**
+     * Only the JSON report is written because the other formats are for the test cases.
+     * @param {LoadResult} result
+     */
+    writeReports(result) {
+        this.validator.reporters.forEach(setting => {
+            if(setting.format != "json") {
+                this.validator.writeWarning(`The reporter [${setting.format}] is not supported in the load test.`);
+                return;
+            }
+            let report = JSON.stringify(this.validator.maskSecrets(result), null, 4);
+            if(setting.output != null) {
+                writeFileSync(setting.output, report);
+            }else {
+                process.stdout.write(report + "\n");
+            }
+        });
+    }
+}
+
+module.exports = LoadTester;
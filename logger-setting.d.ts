@@ -7,4 +7,12 @@ export interface LoggerSetting {
     threshold?: "debug"|"info"|"warning"|"error"|"critical";
     output?: string;
     errorOutput?: string;
+    waitForWriting?: boolean;
+    reporter?: string | ReporterSetting | Array<string | ReporterSetting>;
+}
+
+export interface ReporterSetting {
+    format: "junit" | "tap" | "json" | "html";
+    /** Path of the report file. If omitted, the report is written to the standard output and the logs are written to the standard error. */
+    output?: string;
 }
\ No newline at end of file
@@ -23,6 +23,7 @@ exports.LogLevel = LogLevel;
  * @property {string} [output]
  * @property {string} [errorOutput]
  * @property {boolean} [waitForWriting]
+ * @property {string|import("./reporter").ReporterSetting|Array<string|import("./reporter").ReporterSetting>} [reporter]
  */
 
 class Logger {
@@ -34,6 +35,14 @@ class Logger {
 
     #waitForWriting = false;
 
+    /**
+     * The logs for the standard output are written to the standard error.
+     */
+    #redirected = false;
+
+    /** @type {Array<string>} */
+    #secrets = [];
+
     /**
      * @param {string} [caller] 
      * @param {string|LoggerSetting} [setting]
@@ -94,15 +103,16 @@ class Logger {
      * @param {string} message 
      * @param {number} [logLevel] 
      * @param {boolean} [force] 
+     * @param {Date} [date] Time of the log. Defaults to the current time.
      */
-    writeLog(message, logLevel, force) {
+    writeLog(message, logLevel, force, date) {
         if(logLevel == undefined) {
             logLevel = 2;
         }
         if((force == undefined || !force) && logLevel < this.#threshold) {
             return;
         }
-        message = this.dateString() + " " + message + "\n";
+        message = this.dateString(date) + " " + this.maskSecrets(String(message)) + "\n";
         if(this.#output !== undefined) {
             message = message.replaceAll(/\u001b\[[0-9]{1,2}m/g, "");
             if(this.#waitForWriting) {
@@ -110,6 +120,8 @@ class Logger {
             }else {
                 appendFile(this.#output, message, function(){});
             }
+        }else if(this.#redirected) {
+            process.stderr.write(message);
         }else {
             process.stdout.write(message);
         }
@@ -119,15 +131,16 @@ class Logger {
      * @param {string} message 
      * @param {number} [logLevel] 
      * @param {boolean} [force] 
+     * @param {Date} [date] Time of the log. Defaults to the current time.
      */
-    writeError(message, logLevel, force) {
+    writeError(message, logLevel, force, date) {
         if(logLevel == undefined) {
             logLevel = 4;
         }
         if((force == undefined || !force) && logLevel < this.#threshold) {
             return;
         }
-        message = this.dateString() + " " + message + "\n";
+        message = this.dateString(date) + " " + this.maskSecrets(String(message)) + "\n";
         if(this.#errorOutput !== undefined) {
             message = message.replaceAll(/\u001b\[[0-9]{1,2}m/g, "");
             if(this.#waitForWriting) {
@@ -140,8 +153,56 @@ class Logger {
         }
     }
 
-    dateString() {
-        let date = new Date();
+    /**
+     * Write the logs to the standard error instead of the standard output, e.g. when the standard output is used for a report.
+     * The logs written to the file of output are not affected.
+     */
+    redirectToStandardError() {
+        this.#redirected = true;
+    }
+
+    /**
+     * Register a value that must not be output. It is replaced with *** in the logs.
+     * @param {string} secret 
+     */
+    addSecret(secret) {
+        if(secret == null || secret.length == 0) {
+            return;
+        }
+        // The forms escaped in JSON and in URL are also masked.
+        [secret, JSON.stringify(secret).slice(1, -1), encodeURIComponent(secret)].forEach(secret => {
+            if(!this.#secrets.includes(secret)) {
+                this.#secrets.push(secret);
+            }
+        });
+        // Longer secrets are replaced first so that a secret containing another is not partially left.
+        this.#secrets.sort((secret1, secret2) => secret2.length - secret1.length);
+    }
+
+    /**
+     * @param {string} message 
+     * @returns {boolean}
+     */
+    containsSecret(message) {
+        return this.#secrets.some(secret => message.includes(secret));
+    }
+
+    /**
+     * @param {string} message 
+     * @returns {string}
+     */
+    maskSecrets(message) {
+        this.#secrets.forEach(secret => {
+            message = message.replaceAll(secret, "***");
+        });
+        return message;
+    }
+
+    /**
+     * @param {Date} [date] 
+     * @returns {string}
+     */
+    dateString(date = new Date()) {
         return date.getFullYear() + "/" + 
             ("00"+(date.getMonth()+1)).slice(-2) + "/" + 
             ("00"+date.getDate()).slice(-2) + " " + 
@@ -151,4 +212,57 @@ class Logger {
             ("000"+date.getMilliseconds()).slice(-3)
     }
 }
-exports.Logger = Logger;
\ No newline at end of file
+exports.Logger = Logger;
+
+/**
+ * Keeps the logs and writes them to the logger at once,
+ * so that the logs of the tasks executed in parallel are not interleaved.
+ */
+class LogBuffer {
+
+    /** @type {Logger} */
+    #logger;
+
+    /** @type {Array<{message: string, logLevel: number|undefined, force: boolean|undefined, error: boolean, date: Date}>} */
+    #entries = [];
+
+    /**
+     * @param {Logger} logger 
+     */
+    constructor(logger) {
+        this.#logger = logger;
+    }
+
+    /**
+     * @param {string} message 
+     * @param {number} [logLevel] 
+     * @param {boolean} [force] 
+     */
+    writeLog(message, logLevel, force) {
+        this.#entries.push({message: message, logLevel: logLevel, force: force, error: false, date: new Date()});
+    }
+
+    /**
+     * @param {string} message 
+     * @param {number} [logLevel] 
+     * @param {boolean} [force] 
+     */
+    writeError(message, logLevel, force) {
+        this.#entries.push({message: message, logLevel: logLevel, force: force, error: true, date: new Date()});
+    }
+
+    /**
+     * Write the kept logs to the logger.
+     */
+    flush() {
+        this.#entries.forEach(entry => {
+            if(entry.error) {
+                this.#logger.writeError(entry.message, entry.logLevel, entry.force, entry.date);
+            }else {
+                this.#logger.writeLog(entry.message, entry.logLevel, entry.force, entry.date);
+            }
+        });
+        this.#entries = [];
+    }
+}
+exports.LogBuffer = LogBuffer;
@@ -0,0 +1,867 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const Http = require("http");
+const querystring = require("node:querystring");
+
+/**
+ * Values of the string formats used when the response is synthesized from the schema
+ * @type {{[format: string]: string}}
+ */
+const formatExamples = {
+    "date-time": "2024-01-01T00:00:00Z",
+    "date": "2024-01-01",
+    "time": "00:00:00Z",
+    "duration": "P1D",
+    "email": "user@example.com",
+    "hostname": "example.com",
+    "ipv4": "192.0.2.1",
+    "ipv6": "2001:db8::1",
+    "uri": "https://example.com/",
+    "uri-reference": "/",
+    "uuid": "00000000-0000-4000-8000-000000000000",
+    "json-pointer": "/",
+    "regex": ".*",
+    "byte": "c3RyaW5n",
+    "password": "password"
+};
+
+/**
+ * Nesting of the synthesized values is limited in case the schemas nest deeply without references.
+ */
+const maxDepth = 10;
+
+/**
+ * @typedef {object} Route
+ * @property {string} path Path of the specification, e.g. /items/{id}
+ * @property {import("./openapi3.1").PathItem} pathItem
+ * @property {{[name: string]: string}} parameters Values of the path parameters
+ */
+
+/**
+ * HTTP server that responds according to the specification.
+ * The requests are validated against the specification, and the responses are the examples of the specification or the data synthesized from their schemas.
+ */
+class MockServer {
+
+    /**
+     * @type {import("./validator").Validator}
+     */
+    validator;
+
+    /**
+     * Upper limit of the request body in bytes. A larger request is returned with 413.
+     * @type {number}
+     */
+    maxBodySize = 10 * 1024 * 1024;
+
+    /**
+     * @type {Http.Server|undefined}
+     */
+    #server;
+
+    /**
+     * Path prefixes of the servers of the specification, e.g. /v1
+     * @type {Array<string>}
+     */
+    #basePaths = [];
+
+    /**
+     * @param {import("./validator").Validator} validator Validator of the specification
+     */
+    constructor(validator) {
+        this.validator = validator;
+        if(validator.spec == null || validator.spec.paths == null) {
+            throw new Error("Invalid specification.");
+        }
+        if(validator.spec.servers != null) {
+            validator.spec.servers.forEach(server => {
+                if(server.url == null) {
+                    return;
+                }
+                // Variables of the server URL are not resolved.
+                let basePath = new URL(server.url.replace(/{[^}]+}/g, "x"), "http://localhost").pathname.replace(/\/$/, "");
+                if(basePath.length > 0 && !this.#basePaths.includes(basePath)) {
+                    this.#basePaths.push(basePath);
+                }
+            });
+        }
+    }
+
+    /**
+     * @param {number} [port] Defaults to 4010. 0 means an arbitrary port.
+     * @param {string} [host]
+     * @returns {Promise<number>} The port listened to
+     */
+    async listen(port, host) {
+        if(this.#server != null) {
+            throw new Error("The mock server is already started.");
+        }
+        let server = Http.createServer((request, response) => {
+            this.handle(request, response).catch(error => {
+                this.validator.logger.writeError(error.stack);
+                if(!response.headersSent) {
+                    this.send(response, 500, {message: error.message});
+                }else {
+                    response.destroy();
+                }
+            });
+        });
+        this.#server = server;
+        return new Promise((resolve, reject) => {
+            server.once("error", reject);
+            server.listen(port != null ? port : 4010, host, () => {
+                server.off("error", reject);
+                let address = server.address();
+                let _port = address != null && typeof address == "object" ? address.port : /** @type {number} */(port);
+                this.validator.logger.writeLog(`Mock server is listening on port ${_port}.`);
+                resolve(_port);
+            });
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async close() {
+        let server = this.#server;
+        if(server == null) {
+            return;
+        }
+        this.#server = undefined;
+        return new Promise((resolve, reject) => {
+            server.close(error => error != null ? reject(error) : resolve());
+            server.closeAllConnections();
+        });
+    }
+
+    /**
+     * @param {Http.IncomingMessage} request
+     * @param {Http.ServerResponse} response
+     */
+    async handle(request, response) {
+        let method = /** @type {string} */(request.method).toLowerCase();
+        let url = new URL(/** @type {string} */(request.url), "http://localhost");
+        let validator = this.validator;
+
+        // Preflight requests of the browsers
+        if(method == "options" && request.headers["access-control-request-method"] != null) {
+            response.writeHead(204, {
+                "access-control-allow-origin": "*",
+                "access-control-allow-methods": "GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS",
+                "access-control-allow-headers": request.headers["access-control-request-headers"] != null ? request.headers["access-control-request-headers"] : "*",
+                "access-control-max-age": "86400"
+            });
+            response.end();
+            return;
+        }
+
+        let route = this.findRoute(decodeURI(url.pathname));
+        if(route == null) {
+            this.writeLog(method, url, 404);
+            this.send(response, 404, {message: `[${url.pathname}] is not defined in the specification.`});
+            return;
+        }
+        let pathItem = route.pathItem;
+        /** @type {import("./openapi3.1").Operation|undefined} */
+        let operation = pathItem[method];
+        if(operation == null && method == "head") {
+            operation = pathItem.get;
+        }
+        if(operation == null) {
+            let methods = ["get", "put", "post", "delete", "options", "head", "patch", "trace"].filter(method => pathItem[method] != null);
+            this.writeLog(method, url, 405);
+            this.send(response, 405, {message: `The method [${method.toUpperCase()}] of [${route.path}] is not defined in the specification.`}, undefined, {allow: methods.map(method => method.toUpperCase()).join(", ")});
+            return;
+        }
+
+        let body = await this.readBody(request);
+        if(body === null) {
+            this.writeLog(method, url, 413);
+            this.send(response, 413, {message: `The request body exceeds ${this.maxBodySize} bytes.`}, undefined, {connection: "close"});
+            return;
+        }
+        let errors = this.validateRequest(route, operation, url, request.headers, body);
+        if(errors.length > 0) {
+            this.writeLog(method, url, 400);
+            errors.forEach(error => {
+                validator.logger.writeLog(`\u001b[31mNG\u001b[0m ${error.message}`);
+            });
+            this.send(response, 400, {message: "The request does not match the specification.", errors: errors.map(error => error.message)});
+            return;
+        }
+
+        let prefer = this.parsePrefer(validator.getHeader(request.headers, "prefer"));
+        let selected = this.selectResponse(operation, prefer.code);
+        if(selected == null) {
+            let message = prefer.code != null ? `The response [${prefer.code}] of [${method.toUpperCase()} ${route.path}] is not defined in the specification.` : `The responses of [${method.toUpperCase()} ${route.path}] are not defined in the specification.`;
+            this.writeLog(method, url, 500);
+            this.send(response, 500, {message: message});
+            return;
+        }
+
+        /** @type {{[name: string]: string}} */
+        let headers = {};
+        let responseSpec = selected.response;
+        if(responseSpec.headers != null) {
+            Object.keys(responseSpec.headers).filter(name => name.toLowerCase() != "content-type").forEach(name => {
+                let header = /** @type {import("./openapi3.1").Header|import("./openapi3.1").Reference} */(/** @type {object} */(responseSpec.headers)[name]);
+                if(header["$ref"] != null) {
+                    header = validator.getComponent(header["$ref"]);
+                }
+                if(header == null) {
+                    return;
+                }
+                header = /** @type {import("./openapi3.1").Header} */(header);
+                let value = header.example !== undefined ? header.example : this.synthesize(header.schema, 0, []);
+                if(value != null) {
+                    headers[name] = Array.isArray(value) ? value.join(",") : (typeof value == "object" ? Object.keys(value).map(key => `${key},${value[key]}`).join(",") : String(value));
+                }
+            });
+        }
+        let contentType;
+        let data;
+        if(responseSpec.content != null && Object.keys(responseSpec.content).length > 0) {
+            contentType = this.selectContentType(responseSpec.content, validator.getHeader(request.headers, "accept"));
+            let mediaType = responseSpec.content[contentType];
+            data = this.createExample(mediaType, prefer.example);
+            // A wildcard of the specification cannot be used as the content type of the response.
+            if(contentType.includes("*")) {
+                contentType = typeof data == "string" ? "text/plain" : "application/json";
+            }
+            try {
+                data = this.serialize(data, contentType, mediaType != null ? mediaType.schema : undefined);
+            }catch(error) {
+                this.writeLog(method, url, 501);
+                this.send(response, 501, {message: `The response of [${contentType}] cannot be produced. ${error.message}`});
+                return;
+            }
+        }
+        this.writeLog(method, url, selected.status);
+        this.send(response, selected.status, data, contentType, headers, request.method == "HEAD");
+    }
+
+    /**
+     * Find the path of the specification. The paths without templates take precedence over the templated paths.
+     * @param {string} pathname
+     * @returns {Route|null}
+     */
+    findRoute(pathname) {
+        let paths = /** @type {import("./openapi3.1").PathItems} */(this.validator.spec.paths);
+        let candidates = [pathname];
+        this.#basePaths.forEach(basePath => {
+            if(pathname.startsWith(basePath + "/")) {
+                candidates.push(pathname.substring(basePath.length));
+            }
+        });
+        for(let candidate of candidates) {
+            if(paths[candidate] != null) {
+                return {path: candidate, pathItem: this.validator.resolvePathItem(paths[candidate]), parameters: {}};
+            }
+            /** @type {Route|null} */
+            let matched = null;
+            let templateCount = Infinity;
+            Object.keys(paths).forEach(path => {
+                /** @type {Array<string>} */
+                let names = [];
+                let pattern = path.split(/({[^}]+})/).map(part => {
+                    if(/^{[^}]+}$/.test(part)) {
+                        names.push(part.substring(1, part.length-1));
+                        return "([^/]+)";
+                    }
+                    return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+                }).join("");
+                let values = candidate.match(new RegExp("^"+pattern+"$"));
+                if(values == null || names.length >= templateCount) {
+                    return;
+                }
+                /** @type {{[name: string]: string}} */
+                let parameters = {};
+                names.forEach((name, index) => {
+                    parameters[name] = decodeURIComponent(/** @type {RegExpMatchArray} */(values)[index+1]);
+                });
+                matched = {path: path, pathItem: this.validator.resolvePathItem(paths[path]), parameters: parameters};
+                templateCount = names.length;
+            });
+            if(matched != null) {
+                return matched;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {Http.IncomingMessage} request
+     * @returns {Promise<Buffer|undefined|null>} Null if the body exceeds maxBodySize
+     */
+    async readBody(request) {
+        let contentLength = this.validator.getHeader(request.headers, "content-length");
+        if(contentLength != null && Number(contentLength) > this.maxBodySize) {
+            return null;
+        }
+        /** @type {Array<Buffer>} */
+        let chunks = [];
+        let size = 0;
+        for await (let chunk of request) {
+            size += chunk.length;
+            if(size > this.maxBodySize) {
+                return null;
+            }
+            chunks.push(chunk);
+        }
+        return chunks.length > 0 ? Buffer.concat(chunks) : undefined;
+    }
+
+    /**
+     * Validate the parameters and the body of the request against the operation.
+     * @param {Route} route
+     * @param {import("./openapi3.1").Operation} operation
+     * @param {URL} url
+     * @param {Http.IncomingHttpHeaders} headers
+     * @param {Buffer|undefined} data
+     * @returns {Array<Error>} Violations of all the parameters and the body
+     */
+    validateRequest(route, operation, url, headers, data) {
+        let validator = this.validator;
+        /** @type {Array<Error>} */
+        let errors = [];
+        /** @type {{[name: string]: string}} */
+        let cookies = {};
+        let cookie = validator.getHeader(headers, "cookie");
+        if(cookie != null) {
+            cookie.split(";").forEach(entry => {
+                let separator = entry.indexOf("=");
+                if(separator != -1) {
+                    cookies[entry.substring(0, separator).trim()] = decodeURIComponent(entry.substring(separator+1).trim());
+                }
+            });
+        }
+        validator.getParameters(route.pathItem, operation).forEach(parameter => {
+            if(parameter["$ref"] != null) {
+                return;
+            }
+            parameter = /** @type {import("./openapi3.1").Parameter} */(parameter);
+            if(parameter.name == null) {
+                return;
+            }
+            if(parameter.in == "header" && ["accept", "content-type", "authorization"].includes(parameter.name.toLowerCase())) {
+                return;
+            }
+            let schema = parameter.schema != null && parameter.schema["$ref"] != null ? validator.getComponent(parameter.schema["$ref"]) : parameter.schema;
+            try {
+                let value;
+                if(parameter.in == "path") {
+                    let _value = route.parameters[parameter.name];
+                    value = _value != null && schema != null ? validator.deserializeHeader(_value, schema, parameter.explode != null && parameter.explode) : _value;
+                }else if(parameter.in == "query") {
+                    value = this.getQueryParameter(url.searchParams, parameter, schema);
+                }else if(parameter.in == "header") {
+                    let _value = validator.getHeader(headers, parameter.name);
+                    value = _value != null && schema != null ? validator.deserializeHeader(_value, schema, parameter.explode != null && parameter.explode) : _value;
+                }else if(parameter.in == "cookie") {
+                    value = cookies[parameter.name] != null ? this.castParameter(cookies[parameter.name], schema) : undefined;
+                }
+                if(value === undefined) {
+                    if(parameter.required != null && parameter.required) {
+                        throw new Error(`Parameter [${parameter.name}] is required.`);
+                    }
+                    return;
+                }
+                if(schema != null) {
+                    validator.validateJson(value, schema, parameter.name);
+                }
+            }catch(error) {
+                errors.push(error);
+            }
+        });
+        if(operation.requestBody != null) {
+            try {
+                validator.validateRequestBody(operation.requestBody, headers, this.parseBody(operation.requestBody, headers, data));
+            }catch(error) {
+                errors.push(error);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Read the query parameter according to its style and convert it into the type of the schema.
+     * @param {URLSearchParams} searchParams
+     * @param {import("./openapi3.1").Parameter} parameter
+     * @param {import("./json-schema").JsonSchema|undefined} schema
+     * @returns {any} Undefined if the parameter is not included.
+     */
+    getQueryParameter(searchParams, parameter, schema) {
+        let name = /** @type {string} */(parameter.name);
+        let style = parameter.style != null ? parameter.style : "form";
+        let explode = parameter.explode != null ? parameter.explode : style == "form";
+        let types = schema == null ? [] : (Array.isArray(schema.type) ? schema.type : (schema.type != null ? [schema.type] : []));
+        if(types.includes("array")) {
+            let values = searchParams.getAll(name);
+            if(values.length == 0) {
+                return undefined;
+            }
+            if(!explode) {
+                let delimiter = style == "spaceDelimited" ? " " : (style == "pipeDelimited" ? "|" : ",");
+                values = values[0].split(delimiter);
+            }
+            return this.castParameter(values, schema);
+        }else if(types.includes("object")) {
+            /** @type {{[name: string]: string}} */
+            let value = {};
+            if(style == "deepObject") {
+                searchParams.forEach((entry, key) => {
+                    let matched = key.match(/^(.+)\[([^\]]+)\]$/);
+                    if(matched != null && matched[1] == name) {
+                        value[matched[2]] = entry;
+                    }
+                });
+            }else if(explode) {
+                let properties = schema != null && schema.properties != null ? Object.keys(schema.properties) : [];
+                properties.filter(property => searchParams.has(property)).forEach(property => {
+                    value[property] = /** @type {string} */(searchParams.get(property));
+                });
+            }else {
+                let entries = searchParams.get(name);
+                if(entries == null) {
+                    return undefined;
+                }
+                let values = entries.split(",");
+                for(let i=0; i+1<values.length; i+=2) {
+                    value[values[i]] = values[i+1];
+                }
+            }
+            return Object.keys(value).length > 0 ? this.castParameter(value, schema) : undefined;
+        }
+        let value = searchParams.get(name);
+        return value != null ? this.castParameter(value, schema) : undefined;
+    }
+
+    /**
+     * Convert the strings of the parameter, the items of the array and the properties of the object into the types of the schema.
+     * @param {any} value
+     * @param {import("./json-schema").JsonSchema|undefined} schema
+     * @returns {any}
+     */
+    castParameter(value, schema) {
+        let validator = this.validator;
+        if(schema == null) {
+            return value;
+        }
+        if(Array.isArray(value)) {
+            let items = schema.items != null && schema.items["$ref"] != null ? validator.getComponent(schema.items["$ref"]) : schema.items;
+            return value.map(entry => validator.castValue(entry, items));
+        }
+        if(validator.isPlainObject(value)) {
+            let properties = schema.properties != null ? schema.properties : {};
+            let result = {};
+            Object.keys(value).forEach(key => {
+                result[key] = validator.castValue(value[key], properties[key]);
+            });
+            return result;
+        }
+        return validator.castValue(value, schema);
+    }
+
+    /**
+     * Parse the request body of JSON or application/x-www-form-urlencoded, which are validated against the schema.
+     * @param {import("./openapi3.1").RequestBody|import("./openapi3.1").Reference} requestBodySpec
+     * @param {Http.IncomingHttpHeaders} headers
+     * @param {Buffer|undefined} data
+     * @returns {any}
+     * @throws {Error} If the body cannot be parsed.
+     */
+    parseBody(requestBodySpec, headers, data) {
+        let validator = this.validator;
+        if(data == null) {
+            return undefined;
+        }
+        let contentType = validator.getHeader(headers, "content-type");
+        if(contentType == null) {
+            return data;
+        }
+        let mimeType = contentType.split(";")[0].trim().toLowerCase();
+        if(mimeType == "application/json" || mimeType.endsWith("+json")) {
+            try {
+                return JSON.parse(data.toString("utf8"));
+            }catch(error) {
+                throw new Error(`The request body is not JSON. ${error.message}`);
+            }
+        }else if(mimeType == "application/x-www-form-urlencoded") {
+            let body = Object.assign({}, querystring.parse(data.toString("utf8")));
+            let requestBody = requestBodySpec["$ref"] != null ? validator.getComponent(requestBodySpec["$ref"]) : requestBodySpec;
+            let mediaType = requestBody != null && requestBody.content != null ? validator.getMediaType(requestBody.content, contentType) : null;
+            if(mediaType != null && mediaType.schema != null) {
+                let schema = mediaType.schema["$ref"] != null ? validator.getComponent(mediaType.schema["$ref"]) : mediaType.schema;
+                return this.castParameter(body, schema);
+            }
+            return body;
+        }
+        return data;
+    }
+
+    /**
+     * Parse the Prefer header, e.g. code=404, example=notFound.
+     * @param {string|undefined} prefer
+     * @returns {{code?: string, example?: string}}
+     */
+    parsePrefer(prefer) {
+        /** @type {{code?: string, example?: string}} */
+        let result = {};
+        if(prefer == null) {
+            return result;
+        }
+        prefer.split(/[,;]/).forEach(entry => {
+            let separator = entry.indexOf("=");
+            if(separator == -1) {
+                return;
+            }
+            let name = entry.substring(0, separator).trim().toLowerCase();
+            let value = entry.substring(separator+1).trim().replace(/^"(.*)"$/, "$1");
+            if(name == "code" || name == "example") {
+                result[name] = value;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Select the response of the status code. If it is omitted, the first successful response is selected.
+     * @param {import("./openapi3.1").Operation} operation
+     * @param {string} [code]
+     * @returns {{status: number, response: import("./openapi3.1").Response}|null}
+     */
+    selectResponse(operation, code) {
+        let responses = operation.responses;
+        if(responses == null) {
+            return null;
+        }
+        /** @type {string|undefined} */
+        let key;
+        let status;
+        if(code != null) {
+            status = Number(code);
+            if(!Number.isInteger(status) || status < 100 || status > 599) {
+                return null;
+            }
+            // The exact code takes precedence over the range, e.g. 4XX, and the default.
+            key = [code, code.charAt(0)+"XX", code.charAt(0)+"xx", "default"].find(key => responses[key] != null);
+        }else {
+            let keys = Object.keys(responses).filter(key => /^[1-5]([0-9]{2}|XX|xx)$/.test(key)).sort();
+            key = keys.find(key => key.startsWith("2"));
+            if(key == null) {
+                key = responses["default"] != null ? "default" : keys[0];
+            }
+            if(key != null) {
+                status = key == "default" ? 200 : Number(key.replace(/xx$/i, "00"));
+            }
+        }
+        if(key == null || status == null) {
+            return null;
+        }
+        let response = responses[key];
+        if(response["$ref"] != null) {
+            response = this.validator.getComponent(response["$ref"]);
+            if(response == null) {
+                return null;
+            }
+        }
+        return {status: status, response: /** @type {import("./openapi3.1").Response} */(response)};
+    }
+
+    /**
+     * Select the media type of the response acceptable for the Accept header. If none is acceptable, the first one is selected.
+     * @param {import("./openapi3.1").Content} content
+     * @param {string} [accept]
+     * @returns {string}
+     */
+    selectContentType(content, accept) {
+        let contentTypes = Object.keys(content);
+        if(accept != null) {
+            let ranges = accept.split(",").map(entry => entry.split(";")[0].trim().toLowerCase()).filter(entry => entry.length > 0);
+            let contentType = contentTypes.find(contentType => {
+                let mimeType = contentType.toLowerCase();
+                return ranges.some(range => range == mimeType || range == "*/*" || (range.endsWith("/*") && mimeType.startsWith(range.substring(0, range.length-1))));
+            });
+            if(contentType != null) {
+                return contentType;
+            }
+        }
+        return contentTypes[0];
+    }
+
+    /**
+     * The example of the media type, the first one of the examples, the example of the schema or the data synthesized from the schema in this order.
+     * @param {import("./openapi3.1").MediaType|undefined} mediaType
+     * @param {string} [exampleName] Name of the example selected with the Prefer header
+     * @returns {any}
+     */
+    createExample(mediaType, exampleName) {
+        if(mediaType == null) {
+            return undefined;
+        }
+        if(mediaType.examples != null) {
+            let examples = mediaType.examples;
+            let name = exampleName != null && examples[exampleName] != null ? exampleName : undefined;
+            if(name == null && mediaType.example === undefined) {
+                name = Object.keys(examples)[0];
+            }
+            if(name != null) {
+                /** @type {import("./openapi3.1").Example|null} */
+                let example = examples[name]["$ref"] != null ? this.validator.getComponent(examples[name]["$ref"]) : examples[name];
+                if(example != null && example.value !== undefined) {
+                    return example.value;
+                }
+            }
+        }
+        if(mediaType.example !== undefined) {
+            return mediaType.example;
+        }
+        return this.synthesize(mediaType.schema, 0, []);
+    }
+
+    /**
+     * Create the data that satisfies the schema. The examples, const, default and enum of the schema are used if they exist.
+     * The values are fixed so that the responses are the same each time.
+     * @param {import("./json-schema").JsonSchema|undefined} schema
+     * @param {number} depth
+     * @param {Array<string>} references References being synthesized, which are not followed again.
+     * @returns {any}
+     */
+    synthesize(schema, depth, references) {
+        if(depth == 0) {
+            // The references in the schema are resolved against the schema itself, e.g. #/$defs/a.
+            this.validator.schemaValidator.addSchema(schema);
+        }
+        let reference = referenceOf(schema);
+        if(reference != null) {
+            if(references.includes(reference)) {
+                return null;
+            }
+            references = references.concat([reference]);
+            schema = this.resolveReference(schema);
+        }
+        if(schema == null || typeof schema != "object" || depth > maxDepth) {
+            return null;
+        }
+        if(schema.const !== undefined) {
+            return schema.const;
+        }
+        if(schema["example"] !== undefined) {
+            return schema["example"];
+        }
+        if(schema.examples != null && schema.examples.length > 0) {
+            return schema.examples[0];
+        }
+        if(schema.default !== undefined) {
+            return schema.default;
+        }
+        if(schema.enum != null && schema.enum.length > 0) {
+            return schema.enum[0];
+        }
+        if(schema.allOf != null) {
+            let values = schema.allOf.map(_schema => this.synthesize(_schema, depth+1, references));
+            let objects = values.filter(value => this.validator.isPlainObject(value));
+            if(objects.length > 0) {
+                let result = Object.assign({}, ...objects);
+                let own = this.synthesizeObject(schema, depth, references);
+                return Object.assign(result, own);
+            }
+            return values.length > 0 ? values[values.length-1] : null;
+        }
+        let alternatives = schema.oneOf != null ? schema.oneOf : schema.anyOf;
+        if(alternatives != null && alternatives.length > 0) {
+            // A schema other than null is preferred so that the response has contents.
+            let alternative = alternatives.find(_schema => _schema == null || _schema.type != "null");
+            return this.synthesize(alternative != null ? alternative : alternatives[0], depth+1, references);
+        }
+
+        let types = Array.isArray(schema.type) ? schema.type : (schema.type != null ? [schema.type] : []);
+        let type = types.find(type => type != "null");
+        if(type == null && types.length == 0) {
+            if(schema.properties != null || schema.additionalProperties != null) {
+                type = "object";
+            }else if(schema.items != null || schema.prefixItems != null) {
+                type = "array";
+            }
+        }
+        if(type == "object") {
+            return this.synthesizeObject(schema, depth, references);
+        }else if(type == "array") {
+            /** @type {Array<any>} */
+            let result = [];
+            if(schema.prefixItems != null) {
+                schema.prefixItems.forEach(item => result.push(this.synthesize(item, depth+1, references)));
+            }
+            // The array is empty if the items refer to the schemas being synthesized.
+            let count = Math.max(schema.minItems != null ? schema.minItems : (this.isRecursive(/** @type {import("./json-schema").JsonSchema} */(schema.items), references) ? 0 : 1), result.length);
+            if(schema.maxItems != null) {
+                count = Math.min(count, schema.maxItems);
+            }
+            while(result.length < count && schema.items != null && typeof schema.items == "object") {
+                result.push(this.synthesize(schema.items, depth+1, references));
+            }
+            return result.slice(0, count);
+        }else if(type == "string") {
+            let value = schema.format != null && formatExamples[schema.format] != null ? formatExamples[schema.format] : "string";
+            if(schema.minLength != null && value.length < schema.minLength) {
+                value = value.padEnd(schema.minLength, "x");
+            }
+            if(schema.maxLength != null && value.length > schema.maxLength) {
+                value = value.substring(0, schema.maxLength);
+            }
+            return value;
+        }else if(type == "integer" || type == "number") {
+            let value = 0;
+            if(schema.minimum != null) {
+                value = schema.minimum;
+            }else if(typeof schema.exclusiveMinimum == "number") {
+                value = Math.floor(schema.exclusiveMinimum) + 1;
+            }else if(schema.maximum != null && schema.maximum < 0) {
+                value = schema.maximum;
+            }else if(typeof schema.exclusiveMaximum == "number" && schema.exclusiveMaximum <= 0) {
+                value = Math.ceil(schema.exclusiveMaximum) - 1;
+            }
+            if(schema.multipleOf != null && schema.multipleOf > 0) {
+                value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+            }
+            return type == "integer" ? Math.ceil(value) : value;
+        }else if(type == "boolean") {
+            return true;
+        }
+        return null;
+    }
+
+    /**
+     * The properties other than writeOnly are included. The optional properties that refer to the schemas being synthesized are omitted.
+     * @param {import("./json-schema").JsonSchema} schema
+     * @param {number} depth
+     * @param {Array<string>} references
+     * @returns {{[name: string]: any}}
+     */
+    synthesizeObject(schema, depth, references) {
+        /** @type {{[name: string]: any}} */
+        let result = {};
+        let properties = schema.properties != null ? schema.properties : {};
+        let required = schema.required != null ? schema.required : [];
+        Object.keys(properties).forEach(name => {
+            let property = properties[name];
+            let resolved = referenceOf(property) != null ? this.resolveReference(property) : property;
+            if(resolved != null && resolved.writeOnly === true && !required.includes(name)) {
+                return;
+            }
+            if(!required.includes(name) && this.isRecursive(property, references)) {
+                return;
+            }
+            result[name] = this.synthesize(property, depth+1, references);
+        });
+        return result;
+    }
+
+    /**
+     * Whether the schema, its items or its alternatives refer to the schemas being synthesized.
+     * @param {import("./json-schema").JsonSchema} schema
+     * @param {Array<string>} references
+     * @returns {boolean}
+     */
+    isRecursive(schema, references) {
+        if(schema == null || typeof schema != "object") {
+            return false;
+        }
+        /** @type {Array<any>} */
+        let schemas = [schema, schema.items].concat(schema.anyOf != null ? schema.anyOf : [], schema.oneOf != null ? schema.oneOf : [], schema.allOf != null ? schema.allOf : []);
+        return schemas.some(_schema => {
+            let reference = referenceOf(_schema);
+            return reference != null && references.includes(reference);
+        });
+    }
+
+    /**
+     * The schema initially referred to by $dynamicRef is used because the values do not have to satisfy the extended schemas.
+     * @param {import("./json-schema").JsonSchema} schema The schema that has $ref or $dynamicRef
+     * @returns {any}
+     */
+    resolveReference(schema) {
+        let schemaValidator = this.validator.schemaValidator;
+        return schemaValidator.resolveReference(referenceOf(schema), schemaValidator.getBaseUri(schema));
+    }
+
+    /**
+     * Convert the example or the synthesized data into the body with the content handler of the media type.
+     * The examples written as strings, such as XML, are sent as they are unless the media type is JSON.
+     * @param {any} data
+     * @param {string} contentType
+     * @param {import("./json-schema").JsonSchema} [schema] Schema of the media type
+     * @returns {string|Buffer|undefined}
+     * @throws {Error} If the data cannot be written in the media type.
+     */
+    serialize(data, contentType, schema) {
+        if(data === undefined || data instanceof Buffer) {
+            return data;
+        }
+        let mimeType = contentType.split(";")[0].trim().toLowerCase();
+        if(typeof data == "string" && !(mimeType == "application/json" || mimeType.endsWith("+json"))) {
+            return data;
+        }
+        let handler = this.validator.contentHandlers.find(contentType);
+        if(handler == null || handler.serialize == null) {
+            throw new Error("The media type is not supported.");
+        }
+        return handler.serialize(data, {
+            contentType: contentType,
+            schema: schema,
+            resolveSchema: schema => this.resolveReference(schema)
+        });
+    }
+
+    /**
+     * @param {Http.ServerResponse} response
+     * @param {number} status
+     * @param {any} body Sent as JSON unless it is a string or a Buffer
+     * @param {string} [contentType] Defaults to application/json.
+     * @param {{[name: string]: string}} [headers]
+     * @param {boolean} [omitBody] The body is not sent for HEAD.
+     */
+    send(response, status, body, contentType, headers, omitBody) {
+        /** @type {{[name: string]: string}} */
+        let _headers = Object.assign({"access-control-allow-origin": "*"}, headers);
+        let data;
+        if(body !== undefined) {
+            if(contentType == null) {
+                contentType = "application/json";
+            }
+            data = body instanceof Buffer || typeof body == "string" ? body : JSON.stringify(body);
+            _headers["content-type"] = contentType;
+            _headers["content-length"] = String(Buffer.byteLength(data));
+        }
+        response.writeHead(status, _headers);
+        response.end(omitBody ? undefined : data);
+    }
+
+    /**
+     * @param {string} method
+     * @param {URL} url
+     * @param {number} status
+     */
+    writeLog(method, url, status) {
+        let color = status < 400 ? "\u001b[32m" : "\u001b[31m";
+        this.validator.logger.writeLog(`${method.toUpperCase()} ${url.pathname}${url.search} ${color}${status}\u001b[0m`);
+    }
+}
+
+/**
+ * @param {any} schema
+ * @returns {string|undefined} The reference of $ref or $dynamicRef
+ */
+function referenceOf(schema) {
+    if(schema == null || typeof schema != "object") {
+        return undefined;
+    }
+    return typeof schema["$ref"] == "string" ? schema["$ref"] : (typeof schema["$dynamicRef"] == "string" ? schema["$dynamicRef"] : undefined);
+}
+
+module.exports = MockServer;
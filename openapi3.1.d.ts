@@ -186,9 +186,15 @@ export interface Headers {
 }
 
 export interface Header {
-    name: string;
     description?: string;
-    externalDocs: ExternalDocumentation;
+    required?: boolean;
+    deprecated?: boolean;
+    style?: string;
+    explode?: boolean;
+    schema?: Schema;
+    example?: any;
+    examples?: Examples;
+    content?: Content;
 }
 
 export interface Responses {
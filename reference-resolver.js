@@ -0,0 +1,175 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const Path = require("path");
+
+/**
+ * Resolves $ref of the specification, including JSON pointers into the same document (#/components/schemas/A/properties/b)
+ * and references to other files (common.yaml#/Foo).
+ */
+class ReferenceResolver {
+
+    /**
+     * @type {object}
+     */
+    #document;
+
+    /**
+     * Directory of the root document
+     * @type {string}
+     */
+    #baseDirectory;
+
+    /**
+     * @type {(filePath: string) => object}
+     */
+    #loader;
+
+    /**
+     * Loaded documents by absolute file path
+     * @type {Map<string, object>}
+     */
+    #documents = new Map();
+
+    /**
+     * Resolved targets by absolute reference
+     * @type {Map<string, any>}
+     */
+    #cache = new Map();
+
+    /**
+     * @param {object} document The root document
+     * @param {string|undefined} filePath Path of the root document. Relative file references are resolved from its directory.
+     * @param {(filePath: string) => object} loader
+     */
+    constructor(document, filePath, loader) {
+        this.#document = document;
+        this.#baseDirectory = filePath != null ? Path.dirname(Path.resolve(filePath)) : process.cwd();
+        this.#loader = loader;
+    }
+
+    /**
+     * @param {string} reference
+     * @returns {any} The referred object or null if the JSON pointer does not exist.
+     * @throws {Error} If the file cannot be loaded or the references are circular.
+     */
+    resolve(reference) {
+        /** @type {Array<string>} */
+        let visited = [];
+        let target;
+        while(true) {
+            let absoluteReference = this.absoluteReference(reference);
+            if(visited.includes(absoluteReference)) {
+                throw new Error(`The reference [${visited.concat(absoluteReference).join(" -> ")}] is circular.`);
+            }
+            visited.push(absoluteReference);
+            if(this.#cache.has(absoluteReference)) {
+                target = this.#cache.get(absoluteReference);
+            }else {
+                target = this.resolvePointer(absoluteReference);
+            }
+            if(target == null || typeof target != "object" || typeof target["$ref"] != "string") {
+                break;
+            }
+            reference = target["$ref"];
+        }
+        visited.forEach(absoluteReference => {
+            this.#cache.set(absoluteReference, target);
+        });
+        return target;
+    }
+
+    /**
+     * @param {string} reference
+     * @returns {string} "#/pointer" for the root document or "/absolute/path/to/file#/pointer"
+     */
+    absoluteReference(reference) {
+        if(reference.startsWith("#")) {
+            return reference;
+        }
+        let separator = reference.indexOf("#");
+        let filePath = separator != -1 ? reference.substring(0, separator) : reference;
+        let pointer = separator != -1 ? reference.substring(separator) : "#";
+        if(/^[a-z][a-z0-9+.-]*:\/\//i.test(filePath)) {
+            throw new Error(`The reference [${reference}] is not supported. Only local files can be referred to.`);
+        }
+        return Path.resolve(this.#baseDirectory, decodeURIComponent(filePath)) + pointer;
+    }
+
+    /**
+     * @param {string} absoluteReference
+     * @returns {any}
+     */
+    resolvePointer(absoluteReference) {
+        let separator = absoluteReference.indexOf("#");
+        let document = separator == 0 ? this.#document : this.loadDocument(absoluteReference.substring(0, separator));
+        let pointer = absoluteReference.substring(separator+1);
+        if(pointer.length == 0) {
+            return document;
+        }
+        if(!pointer.startsWith("/")) {
+            throw new Error(`The JSON pointer [${pointer}] is invalid.`);
+        }
+        let target = document;
+        for(let token of pointer.substring(1).split("/")) {
+            token = decodeURIComponent(token).replaceAll("~1", "/").replaceAll("~0", "~");
+            if(target == null || typeof target != "object" || !Object.prototype.hasOwnProperty.call(target, token)) {
+                return null;
+            }
+            target = target[token];
+        }
+        return target;
+    }
+
+    /**
+     * Load the file and rewrite the references in it to absolute ones so that they can be resolved from anywhere.
+     * @param {string} filePath Absolute path
+     * @returns {object}
+     */
+    loadDocument(filePath) {
+        let document = this.#documents.get(filePath);
+        if(document != null) {
+            return document;
+        }
+        try {
+            document = this.#loader(filePath);
+        }catch(error) {
+            throw new Error(`The referred file [${filePath}] could not be loaded. ${error.message}`);
+        }
+        if(document == null) {
+            throw new Error(`The referred file [${filePath}] is not a JSON or YAML file.`);
+        }
+        let directory = Path.dirname(filePath);
+        /**
+         * @param {any} value
+         */
+        let rewrite = value => {
+            if(Array.isArray(value)) {
+                value.forEach(entry => rewrite(entry));
+            }else if(value != null && typeof value == "object") {
+                Object.keys(value).forEach(key => {
+                    if(key == "$ref" && typeof value[key] == "string") {
+                        let reference = value[key];
+                        if(reference.startsWith("#")) {
+                            value[key] = filePath + reference;
+                        }else if(!/^[a-z][a-z0-9+.-]*:\/\//i.test(reference)) {
+                            let separator = reference.indexOf("#");
+                            let _filePath = separator != -1 ? reference.substring(0, separator) : reference;
+                            value[key] = Path.resolve(directory, decodeURIComponent(_filePath)) + (separator != -1 ? reference.substring(separator) : "");
+                        }
+                    }else {
+                        rewrite(value[key]);
+                    }
+                });
+            }
+        };
+        rewrite(document);
+        this.#documents.set(filePath, document);
+        return document;
+    }
+}
+module.exports = ReferenceResolver;
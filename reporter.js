@@ -0,0 +1,434 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const { writeFileSync } = require("fs");
+
+/**
+ * @typedef {"junit"|"tap"|"json"|"html"} ReportFormat
+ */
+
+/**
+ * @typedef {object} ReporterSetting
+ * @property {ReportFormat} format
+ * @property {string} [output] Path of the report file. If omitted, the report is written to the standard output.
+ */
+
+class Reporter {
+
+    /**
+     * @param {string|ReporterSetting|Array<string|ReporterSetting>|undefined} setting
+     * @returns {Array<ReporterSetting>}
+     */
+    static parseSetting(setting) {
+        if(setting == null) {
+            return [];
+        }
+        if(!Array.isArray(setting)) {
+            setting = [setting];
+        }
+        let settings = setting.map(entry => {
+            if(typeof entry == "string") {
+                // "junit" or "junit:report.xml"
+                let separator = entry.indexOf(":");
+                if(separator != -1) {
+                    return /** @type {ReporterSetting} */({format: entry.substring(0, separator), output: entry.substring(separator+1)});
+                }
+                return /** @type {ReporterSetting} */({format: entry});
+            }
+            return entry;
+        }).map(entry => {
+            if(Reporter.getFormatter(entry.format) == null) {
+                throw new Error(`The reporter [${entry.format}] is not supported.`);
+            }
+            return entry;
+        });
+        if(settings.filter(entry => entry.output == null).length > 1) {
+            throw new Error("Only one reporter can write to the standard output.");
+        }
+        return settings;
+    }
+
+    /**
+     * @param {Array<ReporterSetting>} settings
+     * @returns {boolean} True if a report is written to the standard output.
+     */
+    static usesStandardOutput(settings) {
+        return settings.some(setting => setting.output == null);
+    }
+
+    /**
+     * @param {string} format
+     * @returns {((result: import("./validator").ValidationResult) => string) | null}
+     */
+    static getFormatter(format) {
+        if(format == "junit") {
+            return Reporter.formatJUnit;
+        }else if(format == "tap") {
+            return Reporter.formatTap;
+        }else if(format == "json") {
+            return Reporter.formatJson;
+        }else if(format == "html") {
+            return Reporter.formatHtml;
+        }
+        return null;
+    }
+
+    /**
+     * The test cases with beforeAll and afterAll that did not pass, which are reported as test cases but are not counted.
+     * @param {import("./validator").ValidationResult} result
+     * @returns {Array<import("./validator").TestCaseResult>}
+     */
+    static listTestCases(result) {
+        let before = result.beforeAll != null && result.beforeAll.status != "passed" ? [result.beforeAll] : [];
+        let after = result.afterAll != null && result.afterAll.status != "passed" ? [result.afterAll] : [];
+        return before.concat(result.testCases, after);
+    }
+
+    /**
+     * @param {Array<ReporterSetting>} settings
+     * @param {import("./validator").ValidationResult} result
+     */
+    static write(settings, result) {
+        settings.forEach(setting => {
+            let formatter = Reporter.getFormatter(setting.format);
+            if(formatter == null) {
+                throw new Error(`The reporter [${setting.format}] is not supported.`);
+            }
+            let report = formatter(result);
+            if(setting.output != null) {
+                writeFileSync(setting.output, report);
+            }else {
+                process.stdout.write(report);
+            }
+        });
+    }
+
+    /**
+     * @param {import("./validator").ValidationResult} result
+     * @returns {string}
+     */
+    static formatJUnit(result) {
+        let steps = Reporter.listTestCases(result).flatMap(testCase => testCase.steps);
+        let lines = [];
+        lines.push(`<?xml version="1.0" encoding="UTF-8"?>`);
+        lines.push(`<testsuites name="lupinus" tests="${steps.length}" failures="${Reporter.count(steps, "failed")}" errors="${Reporter.count(steps, "errored")}" skipped="${Reporter.count(steps, "skipped")}" time="${Reporter.seconds(result.duration)}">`);
+        Reporter.listTestCases(result).forEach(testCase => {
+            let steps = testCase.steps;
+            lines.push(`    <testsuite name="${Reporter.escapeXml(testCase.title)}" tests="${steps.length}" failures="${Reporter.count(steps, "failed")}" errors="${Reporter.count(steps, "errored")}" skipped="${Reporter.count(steps, "skipped")}" time="${Reporter.seconds(testCase.duration)}">`);
+            steps.forEach(step => {
+                let name = Reporter.escapeXml(Reporter.requestLine(step));
+                let classname = Reporter.escapeXml(testCase.title);
+                let time = Reporter.seconds(step.duration);
+                if(step.status == "passed" && step.responseStatus == null) {
+                    lines.push(`        <testcase name="${name}" classname="${classname}" time="${time}"/>`);
+                    return;
+                }
+                lines.push(`        <testcase name="${name}" classname="${classname}" time="${time}">`);
+                if(step.status == "skipped") {
+                    lines.push(`            <skipped/>`);
+                }else if(step.status != "passed") {
+                    let tag = step.status == "failed" ? "failure" : "error";
+                    let error = step.error;
+                    let message = error != null ? Reporter.errorMessage(error) : "";
+                    let type = error != null ? error.name : "";
+                    lines.push(`            <${tag} message="${Reporter.escapeXml(message.split("\n")[0])}" type="${Reporter.escapeXml(type)}">${Reporter.escapeXml(message)}</${tag}>`);
+                }
+                if(step.responseStatus != null) {
+                    lines.push(`            <system-out>${Reporter.escapeXml(`${Reporter.requestLine(step)}\nStatus: ${step.responseStatus}`)}</system-out>`);
+                }
+                lines.push(`        </testcase>`);
+            });
+            lines.push(`    </testsuite>`);
+        });
+        lines.push(`</testsuites>`);
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * @param {import("./validator").ValidationResult} result
+     * @returns {string}
+     */
+    static formatTap(result) {
+        let steps = Reporter.listTestCases(result).flatMap(testCase => testCase.steps);
+        let lines = [];
+        lines.push(`TAP version 13`);
+        lines.push(`1..${steps.length}`);
+        let number = 0;
+        Reporter.listTestCases(result).forEach(testCase => {
+            lines.push(`# ${testCase.title}`);
+            testCase.steps.forEach(step => {
+                number++;
+                let description = `${number} - ${Reporter.requestLine(step).replaceAll("#", "\\#")}`;
+                if(step.status == "passed") {
+                    lines.push(`ok ${description}`);
+                }else if(step.status == "skipped") {
+                    lines.push(`ok ${description} # SKIP`);
+                }else {
+                    lines.push(`not ok ${description}`);
+                    lines.push(`  ---`);
+                    if(step.error != null) {
+                        lines.push(`  message: |-`);
+                        Reporter.errorMessage(step.error).split("\n").forEach(line => {
+                            lines.push(`    ${line}`);
+                        });
+                    }
+                    lines.push(`  severity: ${step.status == "failed" ? "fail" : "error"}`);
+                    if(step.responseStatus != null) {
+                        lines.push(`  status: ${step.responseStatus}`);
+                    }
+                    lines.push(`  duration_ms: ${step.duration}`);
+                    lines.push(`  ...`);
+                }
+            });
+        });
+        lines.push(`# passed ${result.passed}`);
+        lines.push(`# failed ${result.failed}`);
+        lines.push(`# errored ${result.errored}`);
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * @param {import("./validator").ValidationResult} result
+     * @returns {string}
+     */
+    static formatJson(result) {
+        return JSON.stringify(result, function(key, value) {
+            // Buffer has been converted by toJSON before the replacer is called.
+            let original = this[key];
+            if(original instanceof Buffer) {
+                return original.toString("utf8");
+            }
+            if(value instanceof Error) {
+                return {
+                    name: value.name,
+                    message: Reporter.errorMessage(value)
+                };
+            }
+            return value;
+        }, 4) + "\n";
+    }
+
+    /**
+     * Output a single HTML file that does not depend on external resources.
+     * @param {import("./validator").ValidationResult} result
+     * @returns {string}
+     */
+    static formatHtml(result) {
+        let escape = Reporter.escapeHtml;
+        let lines = [];
+        lines.push(`<!DOCTYPE html>`);
+        lines.push(`<html>`);
+        lines.push(`<head>`);
+        lines.push(`<meta charset="UTF-8">`);
+        lines.push(`<title>lupinus report</title>`);
+        lines.push(`<style>`);
+        lines.push(Reporter.htmlStyle);
+        lines.push(`</style>`);
+        lines.push(`</head>`);
+        lines.push(`<body>`);
+        lines.push(`<h1>lupinus report</h1>`);
+        lines.push(`<p class="summary"><span class="passed">${result.passed} passed</span> <span class="failed">${result.failed} failed</span> <span class="errored">${result.errored} errored</span> <span class="duration">${Reporter.seconds(result.duration)}s</span></p>`);
+        Reporter.listTestCases(result).forEach(testCase => {
+            lines.push(`<details class="test-case ${testCase.status}"${testCase.status != "passed" ? " open" : ""}>`);
+            lines.push(`<summary><span class="status">${testCase.status.toUpperCase()}</span> ${escape(testCase.title)} <span class="duration">${Reporter.seconds(testCase.duration)}s</span></summary>`);
+            testCase.steps.forEach(step => {
+                let errors = step.error != null ? Reporter.flattenErrors(step.error) : [];
+                let keys = errors.flatMap(error => {
+                    if(error["violations"] != null) {
+                        return error["violations"].map(violation => violation.instanceLocation.split("/").pop().replaceAll("~1", "/").replaceAll("~0", "~"));
+                    }
+                    return [error["key"]];
+                }).filter(key => key != null && key.length > 0);
+                lines.push(`<details class="step ${step.status}"${step.status == "failed" || step.status == "errored" ? " open" : ""}>`);
+                lines.push(`<summary><span class="status">${step.status.toUpperCase()}</span> ${escape(Reporter.requestLine(step))}${step.responseStatus != null ? " &rarr; "+step.responseStatus : ""} <span class="duration">${step.duration}ms</span></summary>`);
+                errors.forEach(error => {
+                    lines.push(`<div class="error">`);
+                    let violations = error["violations"];
+                    if(Array.isArray(violations) && violations.length > 0) {
+                        // The violations are listed in the message as well, so only its first line is shown.
+                        lines.push(`<pre>${escape(error.message.split("\n")[0])}</pre>`);
+                        lines.push(`<ul class="violations">`);
+                        violations.forEach(violation => {
+                            lines.push(`<li><code>${escape(violation.instanceLocation.length > 0 ? violation.instanceLocation : "(root)")}</code> <span class="keyword">${escape(violation.keyword)}</span> ${escape(violation.message)}</li>`);
+                        });
+                        lines.push(`</ul>`);
+                    }else {
+                        lines.push(`<pre>${escape(error.message)}</pre>`);
+                    }
+                    if(error["schema"] != null) {
+                        lines.push(`<h4>Schema</h4>`);
+                        lines.push(`<pre>${Reporter.highlightKeys(Reporter.stringifyBody(error["schema"]), keys)}</pre>`);
+                    }
+                    lines.push(`</div>`);
+                });
+                if(step.request != null) {
+                    lines.push(`<h3>Request</h3>`);
+                    lines.push(`<pre>${escape(`${step.request.method} ${step.request.url}`)}</pre>`);
+                    if(step.request.headers != null) {
+                        lines.push(`<h4>Headers</h4>`);
+                        lines.push(`<pre>${escape(Reporter.stringifyHeaders(step.request.headers))}</pre>`);
+                    }
+                    if(step.request.body != null) {
+                        lines.push(`<h4>Body</h4>`);
+                        lines.push(`<pre>${escape(Reporter.stringifyBody(step.request.body))}</pre>`);
+                    }
+                }
+                if(step.response != null) {
+                    lines.push(`<h3>Response</h3>`);
+                    lines.push(`<pre>Status: ${escape(String(step.response.status))}</pre>`);
+                    if(step.response.headers != null) {
+                        lines.push(`<h4>Headers</h4>`);
+                        lines.push(`<pre>${escape(Reporter.stringifyHeaders(step.response.headers))}</pre>`);
+                    }
+                    if(step.response.body != null) {
+                        lines.push(`<h4>Body</h4>`);
+                        lines.push(`<pre>${Reporter.highlightKeys(Reporter.stringifyBody(step.response.body), keys)}</pre>`);
+                    }
+                }
+                lines.push(`</details>`);
+            });
+            lines.push(`</details>`);
+        });
+        lines.push(`</body>`);
+        lines.push(`</html>`);
+        return lines.join("\n") + "\n";
+    }
+
+    static htmlStyle = [
+        `body { font-family: sans-serif; margin: 2em; color: #222; }`,
+        `pre { background: #f6f8fa; padding: 0.5em; overflow-x: auto; white-space: pre-wrap; word-break: break-all; }`,
+        `details { margin: 0.5em 0; }`,
+        `details.test-case { border: 1px solid #ccc; border-radius: 4px; padding: 0.5em; }`,
+        `details.step { margin-left: 1.5em; }`,
+        `summary { cursor: pointer; }`,
+        `.status { display: inline-block; min-width: 5em; font-weight: bold; }`,
+        `.duration { color: #888; }`,
+        `.passed > summary .status, .summary .passed { color: #1a7f37; }`,
+        `.failed > summary .status, .summary .failed { color: #cf222e; }`,
+        `.errored > summary .status, .summary .errored { color: #bf8700; }`,
+        `.skipped > summary .status { color: #888; }`,
+        `.error pre { background: #ffebe9; }`,
+        `.violations code { background: #ffebe9; padding: 0 0.3em; }`,
+        `.violations .keyword { color: #888; }`,
+        `mark { background: #ffd33d; }`
+    ].join("\n");
+
+    /**
+     * @param {Error} error
+     * @returns {Array<Error>}
+     */
+    static flattenErrors(error) {
+        if(error instanceof AggregateError) {
+            return error.errors.flatMap(_error => Reporter.flattenErrors(_error));
+        }
+        return [error];
+    }
+
+    /**
+     * @param {import("node:http").IncomingHttpHeaders} headers
+     * @returns {string}
+     */
+    static stringifyHeaders(headers) {
+        return Object.keys(headers).map(key => `${key}: ${headers[key]}`).join("\n");
+    }
+
+    /**
+     * @param {any} body
+     * @returns {string}
+     */
+    static stringifyBody(body) {
+        if(body instanceof Buffer) {
+            return body.toString("utf8");
+        }else if(typeof body == "object") {
+            return JSON.stringify(body, null, 2);
+        }
+        return String(body);
+    }
+
+    /**
+     * Escape the string for HTML and highlight the lines of the specified property names.
+     * @param {string} string
+     * @param {Array<string>} keys
+     * @returns {string}
+     */
+    static highlightKeys(string, keys) {
+        return string.split("\n").map(line => {
+            let _line = Reporter.escapeHtml(line);
+            if(keys.some(key => line.trimStart().startsWith(JSON.stringify(key)+":"))) {
+                return `<mark>${_line}</mark>`;
+            }
+            return _line;
+        }).join("\n");
+    }
+
+    /**
+     * @param {string} string
+     * @returns {string}
+     */
+    static escapeHtml(string) {
+        if(string == null) return "";
+        return string
+            .replaceAll("&", "&amp;")
+            .replaceAll("<", "&lt;")
+            .replaceAll(">", "&gt;")
+            .replaceAll("\"", "&quot;")
+            .replaceAll("'", "&#39;");
+    }
+
+    /**
+     * @param {import("./validator").StepResult} step
+     * @returns {string}
+     */
+    static requestLine(step) {
+        return `${step.phase != null ? `[${step.phase}] ` : ""}${step.method != null ? step.method.toUpperCase() : ""} ${step.requestPath != null ? step.requestPath : step.path}`;
+    }
+
+    /**
+     * @param {Error} error
+     * @returns {string}
+     */
+    static errorMessage(error) {
+        if(error instanceof AggregateError) {
+            return error.errors.map(_error => Reporter.errorMessage(_error)).join("\n");
+        }
+        return error.message;
+    }
+
+    /**
+     * @param {Array<import("./validator").StepResult>} steps
+     * @param {import("./validator").ResultStatus} status
+     * @returns {number}
+     */
+    static count(steps, status) {
+        return steps.filter(step => step.status == status).length;
+    }
+
+    /**
+     * @param {number} milliseconds
+     * @returns {string}
+     */
+    static seconds(milliseconds) {
+        return (milliseconds/1000).toFixed(3);
+    }
+
+    /**
+     * @param {string} string
+     * @returns {string}
+     */
+    static escapeXml(string) {
+        if(string == null) return "";
+        return string
+            .replaceAll("&", "&amp;")
+            .replaceAll("<", "&lt;")
+            .replaceAll(">", "&gt;")
+            .replaceAll("\"", "&quot;")
+            .replaceAll("'", "&apos;")
+            // Remove characters that are not allowed in XML 1.0.
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+    }
+}
+module.exports = Reporter;
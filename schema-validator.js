@@ -0,0 +1,812 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+/**
+ * @typedef {object} SchemaError
+ * @property {string} keyword The keyword that the data did not satisfy, e.g. required, type
+ * @property {string} instanceLocation JSON pointer to the data
+ * @property {string} schemaLocation JSON pointer to the keyword in the schema
+ * @property {string} message
+ * @property {any} schema The schema that contains the keyword
+ * @property {any} data
+ */
+
+/**
+ * @typedef {object} Evaluation
+ * @property {Array<SchemaError>} errors
+ * @property {Set<string>} properties Properties evaluated by the schema and its valid subschemas, used by unevaluatedProperties
+ * @property {Set<number>} items Indices of the items evaluated by the schema and its valid subschemas, used by unevaluatedItems
+ */
+
+/**
+ * @typedef {object} SchemaValidatorOptions
+ * @property {import("./formats")} [formats] Validators of the format keyword. If omitted, the format is not checked.
+ * @property {import("./keywords")} [keywords] Validators of the vendor keywords
+ * @property {(message: string) => void} [warn] Output the warning, e.g. for the unknown formats.
+ */
+
+/**
+ * @typedef {object} Scope
+ * @property {string} base Base URI of the schema resource being evaluated, against which the references are resolved
+ * @property {Array<string>} dynamicScope Base URIs of the schema resources entered from the root, used by $dynamicRef
+ */
+
+/**
+ * Keywords whose values are subschemas
+ */
+const schemaKeywords = ["additionalProperties", "propertyNames", "items", "additionalItems", "contains", "not", "if", "then", "else", "unevaluatedItems", "unevaluatedProperties", "contentSchema"];
+
+/**
+ * Keywords whose values are arrays of subschemas
+ */
+const schemaArrayKeywords = ["allOf", "anyOf", "oneOf", "prefixItems", "items"];
+
+/**
+ * Keywords whose values are objects of subschemas
+ */
+const schemaMapKeywords = ["properties", "patternProperties", "dependentSchemas", "$defs", "definitions"];
+
+/**
+ * Validator of the JSON Schema 2020-12 dialect used by OpenAPI 3.1.
+ * All violations are collected instead of stopping at the first one.
+ */
+class SchemaValidator {
+
+    /**
+     * @type {(reference: string) => any}
+     */
+    #resolveReference;
+
+    /**
+     * Compiled patterns
+     * @type {Map<string, RegExp>}
+     */
+    #patterns = new Map();
+
+    /**
+     * @type {SchemaValidatorOptions}
+     */
+    #options;
+
+    /**
+     * Unknown formats that have been warned
+     * @type {Set<string>}
+     */
+    #unknownFormats = new Set();
+
+    /**
+     * Schema resources and the schemas with anchors by absolute URI, e.g. https://example.com/tree, https://example.com/tree#node
+     * @type {Map<string, any>}
+     */
+    #resources = new Map();
+
+    /**
+     * Schemas with $dynamicAnchor by absolute URI
+     * @type {Map<string, any>}
+     */
+    #dynamicAnchors = new Map();
+
+    /**
+     * Base URIs of the registered schemas and their subschemas
+     * @type {WeakMap<object, string>}
+     */
+    #baseUris = new WeakMap();
+
+    /**
+     * Number of the schemas registered without URI, used to name them
+     */
+    #anonymousCount = 0;
+
+    /**
+     * @param {(reference: string) => any} resolveReference Resolve $ref into the schema. Returns null if it does not exist.
+     * @param {SchemaValidatorOptions} [options]
+     */
+    constructor(resolveReference, options) {
+        this.#resolveReference = resolveReference;
+        this.#options = options != null ? options : {};
+    }
+
+    /**
+     * @param {any} data
+     * @param {any} schema
+     * @returns {Array<SchemaError>} Empty if the data is valid.
+     * @throws {Error} If the schema is invalid.
+     */
+    validate(data, schema) {
+        let base = this.addSchema(schema);
+        return this.evaluate(data, schema, "", "#", {base: base, dynamicScope: [base]}).errors;
+    }
+
+    /**
+     * Register the schema so that the references can refer to it and to the $id, $anchor and $dynamicAnchor in it.
+     * The schemas passed to validate are registered automatically.
+     * @param {any} schema
+     * @param {string} [uri] URI from which the schema is retrieved, e.g. https://example.com/schemas/tree. If omitted, a URN is assigned unless the schema has an absolute $id.
+     * @returns {string} Base URI of the schema
+     */
+    addSchema(schema, uri) {
+        let base = schema != null && typeof schema == "object" ? this.#baseUris.get(schema) : undefined;
+        if(base != null && uri == null) {
+            return base;
+        }
+        if(uri == null) {
+            this.#anonymousCount++;
+            uri = `urn:lupinus:schema:${this.#anonymousCount}`;
+        }
+        let absoluteUri = resolveUri(uri);
+        uri = stripFragment(absoluteUri != null ? absoluteUri : uri);
+        if(base != null) {
+            // The schema that has been registered can be retrieved from another URI.
+            this.#resources.set(uri, schema);
+            return base;
+        }
+        this.indexSchema(schema, uri);
+        base = schema != null && typeof schema == "object" ? this.#baseUris.get(schema) : undefined;
+        return base != null ? base : uri;
+    }
+
+    /**
+     * Record the base URIs of the schema and its subschemas, and register the schema resources and the anchors.
+     * @param {any} schema
+     * @param {string} base Base URI of the enclosing schema resource
+     */
+    indexSchema(schema, base) {
+        if(schema == null || typeof schema != "object" || Array.isArray(schema) || this.#baseUris.has(schema)) {
+            return;
+        }
+        if(typeof schema["$id"] == "string") {
+            let uri = resolveUri(schema["$id"], base);
+            if(uri != null) {
+                base = stripFragment(uri);
+            }
+        }
+        this.#baseUris.set(schema, base);
+        if(!this.#resources.has(base)) {
+            this.#resources.set(base, schema);
+        }
+        if(typeof schema["$anchor"] == "string") {
+            this.#resources.set(base + "#" + schema["$anchor"], schema);
+        }
+        if(typeof schema["$dynamicAnchor"] == "string") {
+            // The dynamic anchor can also be referred to by $ref as a normal anchor.
+            this.#resources.set(base + "#" + schema["$dynamicAnchor"], schema);
+            this.#dynamicAnchors.set(base + "#" + schema["$dynamicAnchor"], schema);
+        }
+        schemaKeywords.forEach(keyword => {
+            if(!Array.isArray(schema[keyword])) {
+                this.indexSchema(schema[keyword], base);
+            }
+        });
+        schemaArrayKeywords.filter(keyword => Array.isArray(schema[keyword])).forEach(keyword => {
+            schema[keyword].forEach(subschema => this.indexSchema(subschema, base));
+        });
+        schemaMapKeywords.filter(keyword => schema[keyword] != null && typeof schema[keyword] == "object").forEach(keyword => {
+            Object.keys(schema[keyword]).forEach(key => this.indexSchema(schema[keyword][key], base));
+        });
+    }
+
+    /**
+     * @param {any} schema
+     * @returns {string|undefined} Base URI of the schema, or undefined if it has not been registered.
+     */
+    getBaseUri(schema) {
+        return schema != null && typeof schema == "object" ? this.#baseUris.get(schema) : undefined;
+    }
+
+    /**
+     * Resolve the reference of $ref or $dynamicRef against the base URI, e.g. #/$defs/a refers to the enclosing schema resource.
+     * The references that are not found in the registered schemas are resolved in the specification, e.g. #/components/schemas/A.
+     * @param {string} reference
+     * @param {string} [base] Base URI of the schema that contains the reference
+     * @returns {any} The referred schema or null if it does not exist.
+     * @throws {Error}
+     */
+    resolveReference(reference, base) {
+        let target = base != null ? this.findSchema(resolveUri(reference, base)) : undefined;
+        if(target === undefined) {
+            target = this.#resolveReference(reference);
+            // The references in the schema of the specification are resolved against the schema itself first.
+            this.addSchema(target);
+        }
+        return target !== undefined ? target : null;
+    }
+
+    /**
+     * @param {string|null} uri Absolute URI with an optional JSON pointer or anchor as the fragment
+     * @returns {any} The registered schema or undefined if it does not exist.
+     */
+    findSchema(uri) {
+        if(uri == null) {
+            return undefined;
+        }
+        let separator = uri.indexOf("#");
+        let fragment = separator != -1 ? uri.substring(separator+1) : "";
+        if(fragment.length > 0 && !fragment.startsWith("/")) {
+            return this.#resources.get(uri);
+        }
+        let target = this.#resources.get(stripFragment(uri));
+        if(target === undefined || fragment.length == 0) {
+            return target;
+        }
+        for(let token of fragment.substring(1).split("/")) {
+            token = decodeURIComponent(token).replaceAll("~1", "/").replaceAll("~0", "~");
+            if(target == null || typeof target != "object" || !Object.prototype.hasOwnProperty.call(target, token)) {
+                return undefined;
+            }
+            target = target[token];
+        }
+        return target;
+    }
+
+    /**
+     * @param {any} data
+     * @param {any} schema
+     * @param {string} instanceLocation
+     * @param {string} schemaLocation
+     * @param {Scope} scope
+     * @returns {Evaluation}
+     * @throws {Error}
+     */
+    evaluate(data, schema, instanceLocation, schemaLocation, scope) {
+        /** @type {Evaluation} */
+        let evaluation = {errors: [], properties: new Set(), items: new Set()};
+        if(schema === true || schema == null) {
+            return evaluation;
+        }
+        if(schema === false) {
+            evaluation.errors.push({keyword: "false", instanceLocation: instanceLocation, schemaLocation: schemaLocation, message: "No value is allowed.", schema: schema, data: data});
+            return evaluation;
+        }
+        if(typeof schema != "object" || Array.isArray(schema)) {
+            throw new Error(`Schema is invalid.\n${JSON.stringify(schema, null, 4)}`);
+        }
+        let base = this.#baseUris.get(schema);
+        if(base != null && base != scope.base) {
+            scope = {base: base, dynamicScope: scope.dynamicScope.concat([base])};
+        }
+
+        /**
+         * @param {string} keyword
+         * @param {string} message
+         * @param {string|number} [property] The property or the index where the violation is
+         */
+        let fail = (keyword, message, property) => {
+            evaluation.errors.push({
+                keyword: keyword,
+                instanceLocation: property != null ? instanceLocation + "/" + escapePointer(property) : instanceLocation,
+                schemaLocation: schemaLocation + "/" + keyword,
+                message: message,
+                schema: schema,
+                data: property != null && data != null ? data[property] : data
+            });
+        };
+        /**
+         * @param {any} value
+         * @param {any} subschema
+         * @param {string|number|null} property
+         * @param {string} schemaPath Path from the current schema, e.g. properties/name
+         * @returns {Evaluation}
+         */
+        let evaluateChild = (value, subschema, property, schemaPath) => {
+            return this.evaluate(value, subschema, property != null ? instanceLocation + "/" + escapePointer(property) : instanceLocation, schemaLocation + "/" + schemaPath, scope);
+        };
+        /**
+         * Annotations of the valid subschema applied to the same instance
+         * @param {Evaluation} subevaluation
+         */
+        let merge = subevaluation => {
+            subevaluation.properties.forEach(property => evaluation.properties.add(property));
+            subevaluation.items.forEach(index => evaluation.items.add(index));
+        };
+
+        if(typeof schema["$ref"] == "string") {
+            let target = this.resolveReference(schema["$ref"], scope.base);
+            if(target == null) {
+                throw new Error(`The schema [${schema["$ref"]}] is not found in the specification.`);
+            }
+            let subevaluation = evaluateChild(data, target, null, "$ref");
+            evaluation.errors.push(...subevaluation.errors);
+            if(subevaluation.errors.length == 0) {
+                merge(subevaluation);
+            }
+        }
+        if(typeof schema["$dynamicRef"] == "string") {
+            let reference = schema["$dynamicRef"];
+            let target = this.resolveReference(reference, scope.base);
+            // If the schema initially referred to has the $dynamicAnchor, the outermost schema resource in the dynamic scope that has the same anchor is used instead.
+            let anchor = reference.includes("#") ? reference.substring(reference.indexOf("#")+1) : "";
+            if(target != null && typeof target == "object" && anchor.length > 0 && target["$dynamicAnchor"] == anchor) {
+                let uri = scope.dynamicScope.find(uri => this.#dynamicAnchors.has(uri + "#" + anchor));
+                if(uri != null) {
+                    target = this.#dynamicAnchors.get(uri + "#" + anchor);
+                }
+            }
+            if(target == null) {
+                throw new Error(`The schema [${reference}] is not found in the specification.`);
+            }
+            let subevaluation = evaluateChild(data, target, null, "$dynamicRef");
+            evaluation.errors.push(...subevaluation.errors);
+            if(subevaluation.errors.length == 0) {
+                merge(subevaluation);
+            }
+        }
+
+        // Type and values
+        if(schema.type != null) {
+            let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if(!types.some(type => matchesType(data, type))) {
+                fail("type", `Type mismatch. [${types.join(", ")}] is expected but [${typeOf(data)}] is given.`);
+                // The other keywords are meaningless for the value of another type.
+                return evaluation;
+            }
+        }
+        if(schema.enum != null && !schema.enum.some(value => equals(value, data))) {
+            fail("enum", "The value is not included in the available values.");
+        }
+        if(schema["const"] !== undefined && !equals(schema["const"], data)) {
+            fail("const", "The value differs from the constant.");
+        }
+
+        if(typeof data == "number") {
+            if(schema.maximum != null && data > schema.maximum) {
+                fail("maximum", "The value is above the maximum value.");
+            }
+            if(schema.minimum != null && data < schema.minimum) {
+                fail("minimum", "The value is below the minimum value.");
+            }
+            if(typeof schema.exclusiveMaximum == "number" && data >= schema.exclusiveMaximum) {
+                fail("exclusiveMaximum", "The value is not below the exclusive maximum value.");
+            }
+            if(typeof schema.exclusiveMinimum == "number" && data <= schema.exclusiveMinimum) {
+                fail("exclusiveMinimum", "The value is not above the exclusive minimum value.");
+            }
+            if(schema.multipleOf != null && schema.multipleOf > 0 && !isMultipleOf(data, schema.multipleOf)) {
+                fail("multipleOf", `The value is not a multiple of ${schema.multipleOf}.`);
+            }
+        }
+
+        if(typeof data == "string") {
+            let length = Array.from(data).length;
+            if(schema.maxLength != null && length > schema.maxLength) {
+                fail("maxLength", "The value is above the maximum length.");
+            }
+            if(schema.minLength != null && length < schema.minLength) {
+                fail("minLength", "The value is below the minimum length.");
+            }
+            if(schema.pattern != null && !this.getPattern(schema.pattern).test(data)) {
+                fail("pattern", "The value does not follow format.");
+            }
+        }
+
+        if(typeof schema.format == "string" && this.#options.formats != null) {
+            let format = this.#options.formats.get(schema.format);
+            if(format == null) {
+                if(!this.#unknownFormats.has(schema.format)) {
+                    this.#unknownFormats.add(schema.format);
+                    if(this.#options.warn != null) {
+                        this.#options.warn(`The format [${schema.format}] is unknown and not checked.`);
+                    }
+                }
+            }else if(format.types.some(type => matchesType(data, type)) && !format.validate(data)) {
+                fail("format", `Format mismatch. [${schema.format}] is expected.`);
+            }
+        }
+
+        if(Array.isArray(data)) {
+            if(schema.maxItems != null && data.length > schema.maxItems) {
+                fail("maxItems", "The value is above the maximum length.");
+            }
+            if(schema.minItems != null && data.length < schema.minItems) {
+                fail("minItems", "The value is below the minimum length.");
+            }
+            if(schema.uniqueItems) {
+                let duplicated = data.findIndex((value, index) => data.findIndex(_value => equals(value, _value)) != index);
+                if(duplicated != -1) {
+                    fail("uniqueItems", "The items are not unique.", duplicated);
+                }
+            }
+            // items in the array form is the tuple of the earlier drafts.
+            let prefixItems = Array.isArray(schema.prefixItems) ? schema.prefixItems : (Array.isArray(schema.items) ? schema.items : null);
+            let prefixKeyword = Array.isArray(schema.prefixItems) ? "prefixItems" : "items";
+            let prefixLength = 0;
+            if(prefixItems != null) {
+                prefixLength = Math.min(prefixItems.length, data.length);
+                for(let index=0; index<prefixLength; index++) {
+                    let subevaluation = evaluateChild(data[index], prefixItems[index], index, prefixKeyword+"/"+index);
+                    evaluation.errors.push(...subevaluation.errors);
+                    evaluation.items.add(index);
+                }
+            }
+            let itemsSchema = !Array.isArray(schema.items) ? schema.items : schema.additionalItems;
+            if(itemsSchema !== undefined) {
+                for(let index=prefixLength; index<data.length; index++) {
+                    let subevaluation = evaluateChild(data[index], itemsSchema, index, !Array.isArray(schema.items) ? "items" : "additionalItems");
+                    evaluation.errors.push(...subevaluation.errors);
+                    evaluation.items.add(index);
+                }
+            }
+            if(schema.contains !== undefined) {
+                let matched = 0;
+                data.forEach((value, index) => {
+                    if(evaluateChild(value, schema.contains, index, "contains").errors.length == 0) {
+                        matched++;
+                        evaluation.items.add(index);
+                    }
+                });
+                let minContains = schema.minContains != null ? schema.minContains : 1;
+                if(matched < minContains) {
+                    fail("contains", minContains == 1 ? "No item matches the schema of contains." : `Only ${matched} items match the schema of contains while ${minContains} are required.`);
+                }
+                if(schema.maxContains != null && matched > schema.maxContains) {
+                    fail("maxContains", `${matched} items match the schema of contains while at most ${schema.maxContains} are allowed.`);
+                }
+            }
+        }
+
+        if(isObject(data)) {
+            let keys = Object.keys(data).filter(key => data[key] !== undefined);
+            if(schema.maxProperties != null && keys.length > schema.maxProperties) {
+                fail("maxProperties", "The number of properties is above the maximum.");
+            }
+            if(schema.minProperties != null && keys.length < schema.minProperties) {
+                fail("minProperties", "The number of properties is below the minimum.");
+            }
+            if(Array.isArray(schema.required)) {
+                schema.required.forEach(property => {
+                    if(!hasProperty(data, property)) {
+                        fail("required", "Required property is not included.", property);
+                    }
+                });
+            }
+            if(schema.dependentRequired != null) {
+                Object.keys(schema.dependentRequired).filter(property => hasProperty(data, property)).forEach(property => {
+                    schema.dependentRequired[property].forEach(dependent => {
+                        if(!hasProperty(data, dependent)) {
+                            fail("dependentRequired", `Required property is not included when [${property}] is included.`, dependent);
+                        }
+                    });
+                });
+            }
+            if(schema.propertyNames !== undefined) {
+                keys.forEach(key => {
+                    let subevaluation = this.evaluate(key, schema.propertyNames, instanceLocation + "/" + escapePointer(key), schemaLocation + "/propertyNames", scope);
+                    evaluation.errors.push(...subevaluation.errors);
+                });
+            }
+            /** @type {Set<string>} */
+            let matchedProperties = new Set();
+            if(schema.properties != null) {
+                keys.filter(key => Object.prototype.hasOwnProperty.call(schema.properties, key)).forEach(key => {
+                    let subevaluation = evaluateChild(data[key], schema.properties[key], key, "properties/"+escapePointer(key));
+                    evaluation.errors.push(...subevaluation.errors);
+                    matchedProperties.add(key);
+                });
+            }
+            if(schema.patternProperties != null) {
+                Object.keys(schema.patternProperties).forEach(pattern => {
+                    let expression = this.getPattern(pattern);
+                    keys.filter(key => expression.test(key)).forEach(key => {
+                        let subevaluation = evaluateChild(data[key], schema.patternProperties[pattern], key, "patternProperties/"+escapePointer(pattern));
+                        evaluation.errors.push(...subevaluation.errors);
+                        matchedProperties.add(key);
+                    });
+                });
+            }
+            if(schema.additionalProperties !== undefined) {
+                keys.filter(key => !matchedProperties.has(key)).forEach(key => {
+                    if(schema.additionalProperties === false) {
+                        fail("additionalProperties", "The property is not defined in the schema.", key);
+                    }else {
+                        let subevaluation = evaluateChild(data[key], schema.additionalProperties, key, "additionalProperties");
+                        evaluation.errors.push(...subevaluation.errors);
+                    }
+                    matchedProperties.add(key);
+                });
+            }
+            matchedProperties.forEach(key => evaluation.properties.add(key));
+            if(schema.dependentSchemas != null) {
+                Object.keys(schema.dependentSchemas).filter(property => hasProperty(data, property)).forEach(property => {
+                    let subevaluation = evaluateChild(data, schema.dependentSchemas[property], null, "dependentSchemas/"+escapePointer(property));
+                    evaluation.errors.push(...subevaluation.errors);
+                    if(subevaluation.errors.length == 0) {
+                        merge(subevaluation);
+                    }
+                });
+            }
+        }
+
+        // Combinations
+        if(Array.isArray(schema.allOf)) {
+            schema.allOf.forEach((subschema, index) => {
+                let subevaluation = evaluateChild(data, subschema, null, "allOf/"+index);
+                evaluation.errors.push(...subevaluation.errors);
+                if(subevaluation.errors.length == 0) {
+                    merge(subevaluation);
+                }
+            });
+        }
+        // The discriminator of OpenAPI selects the schema of oneOf or anyOf by the value of the property.
+        let discriminated = false;
+        if(schema.discriminator != null && schema.discriminator.propertyName != null && isObject(data) && (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf))) {
+            discriminated = true;
+            let keyword = Array.isArray(schema.oneOf) ? "oneOf" : "anyOf";
+            let propertyName = schema.discriminator.propertyName;
+            let value = data[propertyName];
+            if(typeof value != "string") {
+                fail("discriminator", `The discriminator property [${propertyName}] is not included.`, propertyName);
+            }else {
+                let index = this.selectByDiscriminator(schema[keyword], schema.discriminator, value);
+                if(index == -1) {
+                    fail("discriminator", `The value [${value}] of the discriminator property [${propertyName}] does not correspond to any schema of ${keyword}.`, propertyName);
+                }else {
+                    let subevaluation = evaluateChild(data, schema[keyword][index], null, keyword+"/"+index);
+                    evaluation.errors.push(...subevaluation.errors);
+                    if(subevaluation.errors.length == 0) {
+                        merge(subevaluation);
+                    }
+                }
+            }
+        }
+        if(Array.isArray(schema.anyOf) && !discriminated) {
+            let subevaluations = schema.anyOf.map((subschema, index) => evaluateChild(data, subschema, null, "anyOf/"+index));
+            let valid = subevaluations.filter(subevaluation => subevaluation.errors.length == 0);
+            if(valid.length == 0) {
+                fail("anyOf", "The value does not match any of the schemas of anyOf.");
+                evaluation.errors.push(...closest(subevaluations).errors);
+            }
+            valid.forEach(subevaluation => merge(subevaluation));
+        }
+        if(Array.isArray(schema.oneOf) && !discriminated) {
+            let subevaluations = schema.oneOf.map((subschema, index) => evaluateChild(data, subschema, null, "oneOf/"+index));
+            let valid = subevaluations.filter(subevaluation => subevaluation.errors.length == 0);
+            if(valid.length == 0) {
+                fail("oneOf", "The value does not match any of the schemas of oneOf.");
+                evaluation.errors.push(...closest(subevaluations).errors);
+            }else if(valid.length > 1) {
+                let indices = subevaluations.map((subevaluation, index) => subevaluation.errors.length == 0 ? index : -1).filter(index => index != -1);
+                fail("oneOf", `The value matches more than one schema of oneOf [${indices.join(", ")}].`);
+            }else {
+                merge(valid[0]);
+            }
+        }
+        if(schema.not !== undefined) {
+            if(evaluateChild(data, schema.not, null, "not").errors.length == 0) {
+                fail("not", "The value matches the schema of not.");
+            }
+        }
+        if(schema["if"] !== undefined) {
+            let condition = evaluateChild(data, schema["if"], null, "if");
+            if(condition.errors.length == 0) {
+                merge(condition);
+                if(schema.then !== undefined) {
+                    let subevaluation = evaluateChild(data, schema.then, null, "then");
+                    evaluation.errors.push(...subevaluation.errors);
+                    if(subevaluation.errors.length == 0) {
+                        merge(subevaluation);
+                    }
+                }
+            }else if(schema["else"] !== undefined) {
+                let subevaluation = evaluateChild(data, schema["else"], null, "else");
+                evaluation.errors.push(...subevaluation.errors);
+                if(subevaluation.errors.length == 0) {
+                    merge(subevaluation);
+                }
+            }
+        }
+
+        // Unevaluated locations are determined after all the other keywords.
+        if(Array.isArray(data) && schema.unevaluatedItems !== undefined) {
+            data.forEach((value, index) => {
+                if(evaluation.items.has(index)) {
+                    return;
+                }
+                if(schema.unevaluatedItems === false) {
+                    fail("unevaluatedItems", "The item is not evaluated by the schema.", index);
+                }else {
+                    evaluation.errors.push(...evaluateChild(value, schema.unevaluatedItems, index, "unevaluatedItems").errors);
+                }
+                evaluation.items.add(index);
+            });
+        }
+        if(isObject(data) && schema.unevaluatedProperties !== undefined) {
+            Object.keys(data).filter(key => data[key] !== undefined).forEach(key => {
+                if(evaluation.properties.has(key)) {
+                    return;
+                }
+                if(schema.unevaluatedProperties === false) {
+                    fail("unevaluatedProperties", "The property is not defined in the schema.", key);
+                }else {
+                    evaluation.errors.push(...evaluateChild(data[key], schema.unevaluatedProperties, key, "unevaluatedProperties").errors);
+                }
+                evaluation.properties.add(key);
+            });
+        }
+
+        if(this.#options.keywords != null) {
+            let keywords = this.#options.keywords;
+            Object.keys(schema).filter(name => name.startsWith("x-")).forEach(name => {
+                let keyword = keywords.get(name);
+                if(keyword == null) {
+                    return;
+                }
+                let result = keyword(data, schema[name], schema);
+                if(result === false) {
+                    fail(name, `The value does not satisfy [${name}].`);
+                }else if(typeof result == "string") {
+                    fail(name, result);
+                }
+            });
+        }
+        return evaluation;
+    }
+
+    /**
+     * @param {Array<any>} schemas The schemas of oneOf or anyOf
+     * @param {{propertyName: string, mapping?: {[value: string]: string}}} discriminator
+     * @param {string} value The value of the discriminator property
+     * @returns {number} The index of the schema, or -1 if there is no corresponding schema.
+     */
+    selectByDiscriminator(schemas, discriminator, value) {
+        let reference = discriminator.mapping != null ? discriminator.mapping[value] : undefined;
+        if(reference != null && !reference.includes("/") && !reference.includes("#")) {
+            // Schema name
+            reference = "#/components/schemas/" + reference;
+        }
+        return schemas.findIndex(schema => {
+            if(schema == null || typeof schema["$ref"] != "string") {
+                return false;
+            }
+            let _reference = schema["$ref"];
+            if(reference != null) {
+                // The references in other files have been resolved into absolute paths, so the JSON pointers are compared.
+                return _reference == reference || (reference.includes("#") && _reference.endsWith(reference.substring(reference.indexOf("#"))));
+            }
+            return _reference.substring(_reference.lastIndexOf("/")+1) == value;
+        });
+    }
+
+    /**
+     * @param {string} pattern
+     * @returns {RegExp}
+     * @throws {Error}
+     */
+    getPattern(pattern) {
+        let expression = this.#patterns.get(pattern);
+        if(expression == null) {
+            try {
+                expression = new RegExp(pattern.replaceAll("\\\\", "\\"));
+            }catch(error) {
+                throw new Error(`The pattern [${pattern}] is invalid. ${error.message}`);
+            }
+            this.#patterns.set(pattern, expression);
+        }
+        return expression;
+    }
+}
+
+/**
+ * @param {string} reference
+ * @param {string} [base]
+ * @returns {string|null} The absolute URI, or null if it cannot be resolved, e.g. a file path against a URN.
+ */
+function resolveUri(reference, base) {
+    try {
+        return new URL(reference, base).href;
+    }catch(error) {
+        return null;
+    }
+}
+
+/**
+ * @param {string} uri
+ * @returns {string}
+ */
+function stripFragment(uri) {
+    return uri.includes("#") ? uri.substring(0, uri.indexOf("#")) : uri;
+}
+
+/**
+ * @param {string|number} token
+ * @returns {string}
+ */
+function escapePointer(token) {
+    return String(token).replaceAll("~", "~0").replaceAll("/", "~1");
+}
+
+/**
+ * @param {any} data
+ * @returns {boolean}
+ */
+function isObject(data) {
+    return data != null && typeof data == "object" && !Array.isArray(data) && !(data instanceof Buffer);
+}
+
+/**
+ * Properties inherited from the prototype such as toString are not regarded as included.
+ * @param {object} data
+ * @param {string} property
+ * @returns {boolean}
+ */
+function hasProperty(data, property) {
+    return Object.prototype.hasOwnProperty.call(data, property) && data[property] !== undefined;
+}
+
+/**
+ * @param {any} data
+ * @returns {string}
+ */
+function typeOf(data) {
+    if(data === null) {
+        return "null";
+    }else if(Array.isArray(data)) {
+        return "array";
+    }else if(typeof data == "number") {
+        return Number.isInteger(data) ? "integer" : "number";
+    }
+    return typeof data;
+}
+
+/**
+ * @param {any} data
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(data, type) {
+    if(type == "number") {
+        return typeof data == "number" && isFinite(data);
+    }else if(type == "integer") {
+        return typeof data == "number" && Number.isInteger(data);
+    }else if(type == "object") {
+        return isObject(data);
+    }
+    return typeOf(data) == type;
+}
+
+/**
+ * @param {number} value
+ * @param {number} divisor
+ * @returns {boolean}
+ */
+function isMultipleOf(value, divisor) {
+    let quotient = value / divisor;
+    if(!isFinite(quotient)) {
+        return false;
+    }
+    return Math.abs(quotient - Math.round(quotient)) < 1e-9;
+}
+
+/**
+ * Structural equality of the JSON values. The order of the properties is ignored.
+ * @param {any} value1
+ * @param {any} value2
+ * @returns {boolean}
+ */
+function equals(value1, value2) {
+    if(value1 === value2) {
+        return true;
+    }
+    if(Array.isArray(value1) || Array.isArray(value2)) {
+        return Array.isArray(value1) && Array.isArray(value2) && value1.length == value2.length && value1.every((entry, index) => equals(entry, value2[index]));
+    }
+    if(isObject(value1) && isObject(value2)) {
+        let keys1 = Object.keys(value1).filter(key => value1[key] !== undefined);
+        let keys2 = Object.keys(value2).filter(key => value2[key] !== undefined);
+        return keys1.length == keys2.length && keys1.every(key => Object.prototype.hasOwnProperty.call(value2, key) && equals(value1[key], value2[key]));
+    }
+    return false;
+}
+
+/**
+ * The evaluation of the branch that has the fewest violations, which is likely to be the intended one
+ * @param {Array<Evaluation>} evaluations
+ * @returns {Evaluation}
+ */
+function closest(evaluations) {
+    return evaluations.reduce((result, evaluation) => evaluation.errors.length < result.errors.length ? evaluation : result);
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,548 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+/**
+ * Keywords of the parameters and the headers of Swagger 2.0 that are moved into the schema
+ */
+const schemaKeywords = ["type", "format", "items", "default", "maximum", "exclusiveMaximum", "minimum", "exclusiveMinimum", "maxLength", "minLength", "pattern", "maxItems", "minItems", "uniqueItems", "enum", "multipleOf"];
+
+/**
+ * Keywords whose values are data rather than schemas
+ */
+const valueKeywords = ["example", "examples", "default", "enum", "const", "x-example"];
+
+/**
+ * The specification without the version is regarded as OpenAPI 3.1.
+ * @param {any} spec
+ * @returns {"2.0"|"3.0"|"3.1"}
+ * @throws {Error} If the version is not supported.
+ */
+exports.detectVersion = function(spec) {
+    if(spec.swagger != null) {
+        if(String(spec.swagger) != "2.0") {
+            throw new Error(`The version [${spec.swagger}] of Swagger is not supported.`);
+        }
+        return "2.0";
+    }
+    if(typeof spec.openapi == "string" && spec.openapi.startsWith("3.0")) {
+        return "3.0";
+    }
+    return "3.1";
+};
+
+/**
+ * Convert the specification of OpenAPI 3.0 or Swagger 2.0 into OpenAPI 3.1. The specification of 3.1 is returned as it is.
+ * The given specification is not modified.
+ * @param {any} spec
+ * @param {Array<string>} warnings Constructs that cannot be mapped are added.
+ * @returns {import("./openapi3.1").OpenAPI}
+ * @throws {Error} If the version is not supported.
+ */
+exports.normalizeSpec = function(spec, warnings) {
+    let version = exports.detectVersion(spec);
+    if(version == "3.1") {
+        return spec;
+    }
+    spec = structuredClone(spec);
+    if(version == "2.0") {
+        spec = convertSwagger(spec, warnings);
+    }
+    spec = normalizeSchemas(spec, "#", warnings);
+    spec.openapi = "3.1.0";
+    return spec;
+};
+
+/**
+ * Convert the schemas of OpenAPI 3.0 and Swagger 2.0 in the document referred to from the specification.
+ * @param {any} document
+ * @param {Array<string>} warnings
+ * @returns {any}
+ */
+exports.normalizeSchemas = function(document, warnings) {
+    return normalizeSchemas(document, "#", warnings);
+};
+
+/**
+ * Convert the keywords of the schemas in the value and its descendants.
+ * The objects are regarded as schemas by the types of the keyword values, so that the document structure does not matter.
+ * @param {any} value
+ * @param {string} location JSON pointer used in the warnings
+ * @param {Array<string>} warnings
+ * @returns {any}
+ */
+function normalizeSchemas(value, location, warnings) {
+    if(Array.isArray(value)) {
+        return value.map((entry, index) => normalizeSchemas(entry, location+"/"+index, warnings));
+    }
+    if(value == null || typeof value != "object" || value instanceof Date) {
+        return value;
+    }
+    Object.keys(value).forEach(key => {
+        if(valueKeywords.includes(key)) {
+            return;
+        }
+        value[key] = normalizeSchemas(value[key], location+"/"+key.replaceAll("~", "~0").replaceAll("/", "~1"), warnings);
+    });
+    return normalizeSchema(value, location, warnings);
+}
+
+/**
+ * @param {any} schema
+ * @param {string} location
+ * @param {Array<string>} warnings
+ * @returns {any}
+ */
+function normalizeSchema(schema, location, warnings) {
+    ["Maximum", "Minimum"].forEach(bound => {
+        let exclusive = "exclusive" + bound;
+        let inclusive = bound.toLowerCase();
+        if(typeof schema[exclusive] == "boolean") {
+            if(schema[exclusive] && typeof schema[inclusive] == "number") {
+                schema[exclusive] = schema[inclusive];
+                delete schema[inclusive];
+            }else {
+                delete schema[exclusive];
+            }
+        }
+    });
+    if(schema.type == "file") {
+        schema.type = "string";
+        schema.format = "binary";
+    }
+    if(typeof schema.discriminator == "string") {
+        schema.discriminator = {propertyName: schema.discriminator};
+    }
+    let nullable = typeof schema.nullable == "boolean" ? schema.nullable : (typeof schema["x-nullable"] == "boolean" ? schema["x-nullable"] : null);
+    if(nullable == null) {
+        return schema;
+    }
+    delete schema.nullable;
+    delete schema["x-nullable"];
+    if(!nullable) {
+        return schema;
+    }
+    if(typeof schema.type == "string" || Array.isArray(schema.type)) {
+        let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if(!types.includes("null")) {
+            schema.type = types.concat("null");
+        }
+        if(Array.isArray(schema.enum) && !schema.enum.includes(null)) {
+            schema.enum.push(null);
+        }
+        return schema;
+    }
+    if(schema["$ref"] != null || schema.allOf != null || schema.oneOf != null || schema.anyOf != null) {
+        return {anyOf: [schema, {type: "null"}]};
+    }
+    if(Object.keys(schema).some(key => !key.startsWith("x-") && !["title", "description", "readOnly", "writeOnly", "deprecated", "example", "default", "externalDocs", "xml"].includes(key))) {
+        warnings.push(`nullable of the schema without type at [${location}] cannot be converted and is ignored.`);
+    }
+    return schema;
+}
+
+/**
+ * @param {any} spec Swagger 2.0
+ * @param {Array<string>} warnings
+ * @returns {any} OpenAPI 3.1
+ */
+function convertSwagger(spec, warnings) {
+    /** @type {Array<string>} */
+    let consumes = Array.isArray(spec.consumes) && spec.consumes.length > 0 ? spec.consumes : ["application/json"];
+    /** @type {Array<string>} */
+    let produces = Array.isArray(spec.produces) && spec.produces.length > 0 ? spec.produces : ["application/json"];
+    let globalParameters = spec.parameters != null ? spec.parameters : {};
+
+    /** @type {any} */
+    let result = {openapi: "3.1.0"};
+    Object.keys(spec).filter(key => key.startsWith("x-") || ["info", "tags", "externalDocs", "security"].includes(key)).forEach(key => {
+        result[key] = spec[key];
+    });
+    if(spec.host != null || spec.basePath != null) {
+        let basePath = spec.basePath != null ? spec.basePath : "";
+        if(spec.host != null) {
+            let schemes = Array.isArray(spec.schemes) && spec.schemes.length > 0 ? spec.schemes : ["https"];
+            result.servers = schemes.map(scheme => ({url: `${scheme}://${spec.host}${basePath}`}));
+        }else {
+            result.servers = [{url: basePath}];
+        }
+    }
+
+    /** @type {any} */
+    let components = {};
+    if(spec.definitions != null) {
+        components.schemas = spec.definitions;
+    }
+    Object.keys(globalParameters).forEach(name => {
+        let parameter = globalParameters[name];
+        if(parameter.in == "body") {
+            if(components.requestBodies == null) {
+                components.requestBodies = {};
+            }
+            components.requestBodies[name] = convertBodyParameter(parameter, consumes);
+        }else if(parameter.in != "formData") {
+            if(components.parameters == null) {
+                components.parameters = {};
+            }
+            components.parameters[name] = convertParameter(parameter, `#/parameters/${name}`, warnings);
+        }
+    });
+    if(spec.responses != null) {
+        components.responses = {};
+        Object.keys(spec.responses).forEach(name => {
+            components.responses[name] = convertResponse(spec.responses[name], produces, `#/responses/${name}`, warnings);
+        });
+    }
+    if(spec.securityDefinitions != null) {
+        components.securitySchemes = {};
+        Object.keys(spec.securityDefinitions).forEach(name => {
+            components.securitySchemes[name] = convertSecurityScheme(spec.securityDefinitions[name], `#/securityDefinitions/${name}`, warnings);
+        });
+    }
+    if(Object.keys(components).length > 0) {
+        result.components = components;
+    }
+
+    /**
+     * Parameters of the body and the form are resolved because they become the request body.
+     * @param {any} parameter
+     * @returns {any}
+     */
+    let resolveParameter = parameter => {
+        if(parameter != null && typeof parameter["$ref"] == "string" && parameter["$ref"].startsWith("#/parameters/")) {
+            let target = globalParameters[decodePointer(parameter["$ref"].substring("#/parameters/".length))];
+            if(target != null && (target.in == "body" || target.in == "formData")) {
+                return target;
+            }
+        }
+        return parameter;
+    };
+
+    if(spec.paths != null) {
+        result.paths = {};
+        Object.keys(spec.paths).forEach(path => {
+            let pathItem = spec.paths[path];
+            let pathLocation = `#/paths/${path.replaceAll("~", "~0").replaceAll("/", "~1")}`;
+            /** @type {any} */
+            let _pathItem = {};
+            /** @type {Array<any>} */
+            let pathParameters = Array.isArray(pathItem.parameters) ? pathItem.parameters.map(resolveParameter) : [];
+            Object.keys(pathItem).forEach(key => {
+                if(key == "parameters") {
+                    let parameters = pathParameters.filter(parameter => parameter.in != "body" && parameter.in != "formData");
+                    if(parameters.length > 0) {
+                        _pathItem.parameters = parameters.map((parameter, index) => convertParameter(parameter, `${pathLocation}/parameters/${index}`, warnings));
+                    }
+                }else if(["get", "put", "post", "delete", "options", "head", "patch"].includes(key)) {
+                    _pathItem[key] = convertOperation(pathItem[key], pathParameters, consumes, produces, resolveParameter, `${pathLocation}/${key}`, warnings);
+                }else {
+                    _pathItem[key] = pathItem[key];
+                }
+            });
+            result.paths[path] = _pathItem;
+        });
+    }
+
+    return rewriteReferences(result);
+}
+
+/**
+ * @param {any} operation
+ * @param {Array<any>} pathParameters Parameters of the path item, whose body and form parameters are applied to the operation
+ * @param {Array<string>} consumes
+ * @param {Array<string>} produces
+ * @param {(parameter: any) => any} resolveParameter
+ * @param {string} location
+ * @param {Array<string>} warnings
+ * @returns {any}
+ */
+function convertOperation(operation, pathParameters, consumes, produces, resolveParameter, location, warnings) {
+    if(Array.isArray(operation.consumes) && operation.consumes.length > 0) {
+        consumes = operation.consumes;
+    }
+    if(Array.isArray(operation.produces) && operation.produces.length > 0) {
+        produces = operation.produces;
+    }
+    /** @type {any} */
+    let result = {};
+    Object.keys(operation).filter(key => !["parameters", "consumes", "produces", "responses", "schemes"].includes(key)).forEach(key => {
+        result[key] = operation[key];
+    });
+
+    /** @type {Array<any>} */
+    let parameters = Array.isArray(operation.parameters) ? operation.parameters.map(resolveParameter) : [];
+    // The parameter of the operation overrides that of the path item with the same name and location.
+    let inherited = pathParameters.filter(parameter => (parameter.in == "body" || parameter.in == "formData") && !parameters.some(_parameter => _parameter.name == parameter.name && _parameter.in == parameter.in));
+    let bodyParameters = inherited.concat(parameters).filter(parameter => parameter.in == "body");
+    let formParameters = inherited.concat(parameters).filter(parameter => parameter.in == "formData");
+
+    let _parameters = parameters.filter(parameter => parameter.in != "body" && parameter.in != "formData").map((parameter, index) => convertParameter(parameter, `${location}/parameters/${index}`, warnings));
+    if(_parameters.length > 0) {
+        result.parameters = _parameters;
+    }
+    if(bodyParameters.length > 0) {
+        if(formParameters.length > 0) {
+            warnings.push(`The form parameters of [${location}] cannot be used with the body parameter and are ignored.`);
+        }
+        result.requestBody = convertBodyParameter(bodyParameters[0], consumes);
+    }else if(formParameters.length > 0) {
+        result.requestBody = convertFormParameters(formParameters, consumes);
+    }
+
+    if(operation.responses != null) {
+        result.responses = {};
+        Object.keys(operation.responses).forEach(status => {
+            result.responses[status] = convertResponse(operation.responses[status], produces, `${location}/responses/${status}`, warnings);
+        });
+    }
+    return result;
+}
+
+/**
+ * @param {any} parameter Parameter of Swagger 2.0 other than body and formData
+ * @param {string} location
+ * @param {Array<string>} warnings
+ * @returns {any}
+ */
+function convertParameter(parameter, location, warnings) {
+    if(parameter["$ref"] != null) {
+        return parameter;
+    }
+    /** @type {any} */
+    let result = {};
+    Object.keys(parameter).filter(key => !schemaKeywords.includes(key) && key != "collectionFormat" && key != "x-example").forEach(key => {
+        result[key] = parameter[key];
+    });
+    if(parameter["x-example"] !== undefined) {
+        result.example = parameter["x-example"];
+    }
+    result.schema = convertItems(parameter, location, warnings);
+    if(parameter.type == "array") {
+        let collectionFormat = parameter.collectionFormat != null ? parameter.collectionFormat : "csv";
+        if(collectionFormat == "csv") {
+            if(parameter.in == "query" || parameter.in == "cookie") {
+                result.style = "form";
+                result.explode = false;
+            }else {
+                result.style = "simple";
+            }
+        }else if(collectionFormat == "multi" && parameter.in == "query") {
+            result.style = "form";
+            result.explode = true;
+        }else if(collectionFormat == "ssv" && parameter.in == "query") {
+            result.style = "spaceDelimited";
+            result.explode = false;
+        }else if(collectionFormat == "pipes" && parameter.in == "query") {
+            result.style = "pipeDelimited";
+            result.explode = false;
+        }else {
+            warnings.push(`collectionFormat [${collectionFormat}] of the parameter [${parameter.name}] at [${location}] cannot be converted. The values are separated by commas.`);
+            result.style = parameter.in == "query" ? "form" : "simple";
+            result.explode = false;
+        }
+    }
+    return result;
+}
+
+/**
+ * The parameters, the headers and their items of Swagger 2.0 have the keywords of the schema in themselves.
+ * @param {any} items
+ * @param {string} location
+ * @param {Array<string>} warnings
+ * @returns {any}
+ */
+function convertItems(items, location, warnings) {
+    /** @type {any} */
+    let schema = {};
+    schemaKeywords.filter(key => items[key] !== undefined).forEach(key => {
+        schema[key] = items[key];
+    });
+    if(items["x-nullable"] !== undefined) {
+        schema["x-nullable"] = items["x-nullable"];
+    }
+    if(schema.items != null) {
+        if(schema.items.collectionFormat != null && schema.items.collectionFormat != "csv") {
+            warnings.push(`collectionFormat [${schema.items.collectionFormat}] of the nested array at [${location}] cannot be converted.`);
+        }
+        schema.items = schema.items["$ref"] != null ? schema.items : convertItems(schema.items, location+"/items", warnings);
+    }
+    return schema;
+}
+
+/**
+ * @param {any} parameter
+ * @param {Array<string>} consumes
+ * @returns {any}
+ */
+function convertBodyParameter(parameter, consumes) {
+    /** @type {any} */
+    let result = {};
+    if(parameter.description != null) {
+        result.description = parameter.description;
+    }
+    /** @type {any} */
+    let content = {};
+    consumes.forEach(contentType => {
+        content[contentType] = {schema: parameter.schema != null ? parameter.schema : {}};
+    });
+    result.content = content;
+    if(parameter.required != null) {
+        result.required = parameter.required;
+    }
+    return result;
+}
+
+/**
+ * @param {Array<any>} parameters Parameters of formData
+ * @param {Array<string>} consumes
+ * @returns {any}
+ */
+function convertFormParameters(parameters, consumes) {
+    /** @type {any} */
+    let schema = {type: "object", properties: {}};
+    /** @type {Array<string>} */
+    let required = [];
+    parameters.forEach(parameter => {
+        /** @type {any} */
+        let property = convertItems(parameter, "", []);
+        if(parameter.description != null) {
+            property.description = parameter.description;
+        }
+        schema.properties[parameter.name] = property;
+        if(parameter.required) {
+            required.push(parameter.name);
+        }
+    });
+    if(required.length > 0) {
+        schema.required = required;
+    }
+    let contentTypes = consumes.filter(contentType => contentType == "multipart/form-data" || contentType == "application/x-www-form-urlencoded");
+    if(contentTypes.length == 0) {
+        // Files can be sent only in multipart/form-data.
+        contentTypes = [parameters.some(parameter => parameter.type == "file") ? "multipart/form-data" : "application/x-www-form-urlencoded"];
+    }
+    /** @type {any} */
+    let content = {};
+    contentTypes.forEach(contentType => {
+        content[contentType] = {schema: schema};
+    });
+    return {content: content, required: required.length > 0};
+}
+
+/**
+ * @param {any} response
+ * @param {Array<string>} produces
+ * @param {string} location
+ * @param {Array<string>} warnings
+ * @returns {any}
+ */
+function convertResponse(response, produces, location, warnings) {
+    if(response["$ref"] != null) {
+        return response;
+    }
+    /** @type {any} */
+    let result = {description: response.description != null ? response.description : ""};
+    Object.keys(response).filter(key => key.startsWith("x-")).forEach(key => {
+        result[key] = response[key];
+    });
+    if(response.headers != null) {
+        result.headers = {};
+        Object.keys(response.headers).forEach(name => {
+            let header = response.headers[name];
+            /** @type {any} */
+            let _header = {schema: convertItems(header, `${location}/headers/${name}`, warnings)};
+            if(header.description != null) {
+                _header.description = header.description;
+            }
+            if(header.type == "array" && header.collectionFormat != null && header.collectionFormat != "csv") {
+                warnings.push(`collectionFormat [${header.collectionFormat}] of the header [${name}] at [${location}] cannot be converted. The values are separated by commas.`);
+            }
+            result.headers[name] = _header;
+        });
+    }
+    if(response.schema != null) {
+        /** @type {any} */
+        let content = {};
+        produces.forEach(contentType => {
+            content[contentType] = {schema: response.schema};
+            if(response.examples != null && response.examples[contentType] !== undefined) {
+                content[contentType].example = response.examples[contentType];
+            }
+        });
+        result.content = content;
+    }
+    return result;
+}
+
+/**
+ * @param {any} scheme
+ * @param {string} location
+ * @param {Array<string>} warnings
+ * @returns {any}
+ */
+function convertSecurityScheme(scheme, location, warnings) {
+    /** @type {any} */
+    let result;
+    if(scheme.type == "basic") {
+        result = {type: "http", scheme: "basic"};
+    }else if(scheme.type == "apiKey") {
+        result = {type: "apiKey", name: scheme.name, in: scheme.in};
+    }else if(scheme.type == "oauth2") {
+        let scopes = scheme.scopes != null ? scheme.scopes : {};
+        /** @type {any} */
+        let flows = {};
+        if(scheme.flow == "implicit") {
+            flows.implicit = {authorizationUrl: scheme.authorizationUrl, scopes: scopes};
+        }else if(scheme.flow == "password") {
+            flows.password = {tokenUrl: scheme.tokenUrl, scopes: scopes};
+        }else if(scheme.flow == "application") {
+            flows.clientCredentials = {tokenUrl: scheme.tokenUrl, scopes: scopes};
+        }else if(scheme.flow == "accessCode") {
+            flows.authorizationCode = {authorizationUrl: scheme.authorizationUrl, tokenUrl: scheme.tokenUrl, scopes: scopes};
+        }else {
+            warnings.push(`The flow [${scheme.flow}] of the security scheme at [${location}] cannot be converted.`);
+        }
+        result = {type: "oauth2", flows: flows};
+    }else {
+        warnings.push(`The type [${scheme.type}] of the security scheme at [${location}] cannot be converted.`);
+        result = {type: scheme.type};
+    }
+    if(scheme.description != null) {
+        result.description = scheme.description;
+    }
+    return result;
+}
+
+/**
+ * Rewrite the references to the locations of Swagger 2.0 into those of OpenAPI 3.1.
+ * @param {any} value
+ * @returns {any}
+ */
+function rewriteReferences(value) {
+    if(Array.isArray(value)) {
+        value.forEach(entry => rewriteReferences(entry));
+    }else if(value != null && typeof value == "object") {
+        Object.keys(value).forEach(key => {
+            if(key == "$ref" && typeof value[key] == "string") {
+                value[key] = value[key]
+                    .replace(/^#\/definitions\//, "#/components/schemas/")
+                    .replace(/^#\/parameters\//, "#/components/parameters/")
+                    .replace(/^#\/responses\//, "#/components/responses/");
+            }else if(!valueKeywords.includes(key)) {
+                rewriteReferences(value[key]);
+            }
+        });
+    }
+    return value;
+}
+
+/**
+ * @param {string} token
+ * @returns {string}
+ */
+function decodePointer(token) {
+    return decodeURIComponent(token).replaceAll("~1", "/").replaceAll("~0", "~");
+}
@@ -0,0 +1,175 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const Http = require("node:http");
+const Os = require("node:os");
+const Path = require("node:path");
+const { mkdtempSync, readFileSync, rmSync, writeFileSync } = require("node:fs");
+const { parseEnvironment, loadEnvironmentFile, isCredentialName } = require("../environment");
+const { Logger } = require("../logger");
+const { Validator } = require("../validator");
+
+describe("parseEnvironment", () => {
+    it("parses the lines of NAME=VALUE", () => {
+        let variables = parseEnvironment([
+            "# Comment",
+            "",
+            "HOST=localhost",
+            "export PORT = 8080",
+            "api.version=v1",
+            "EMPTY=",
+            "not a variable"
+        ].join("\n"));
+        assert.deepStrictEqual(variables, {HOST: "localhost", PORT: "8080", "api.version": "v1", EMPTY: ""});
+    });
+
+    it("unquotes the values", () => {
+        let variables = parseEnvironment([
+            "DOUBLE=\"a # b\"",
+            "ESCAPED=\"line1\\nline2\\t\\\"quoted\\\"\"",
+            "SINGLE='a \\n # b'",
+            "PLAIN=a b # comment",
+            "HASH=a#b"
+        ].join("\r\n"));
+        assert.deepStrictEqual(variables, {
+            DOUBLE: "a # b",
+            ESCAPED: "line1\nline2\t\"quoted\"",
+            SINGLE: "a \\n # b",
+            PLAIN: "a b",
+            HASH: "a#b"
+        });
+    });
+});
+
+describe("loadEnvironmentFile", () => {
+    let directory = mkdtempSync(Path.join(Os.tmpdir(), "lupinus-env-"));
+
+    after(() => {
+        rmSync(directory, {recursive: true, force: true});
+    });
+
+    it("reads the variables from the file", () => {
+        let filePath = Path.join(directory, ".env");
+        writeFileSync(filePath, "CLIENT_ID=client\nCLIENT_SECRET=\"s3cret\"\n");
+        assert.deepStrictEqual(loadEnvironmentFile(filePath), {CLIENT_ID: "client", CLIENT_SECRET: "s3cret"});
+    });
+
+    it("gives precedence to the variables of the process", () => {
+        let filePath = Path.join(directory, "precedence.env");
+        writeFileSync(filePath, "LUPINUS_TEST_HOST=file\nLUPINUS_TEST_PORT=80\n");
+        process.env.LUPINUS_TEST_HOST = "process";
+        try {
+            let validator = new Validator({openapi: "3.1.0", paths: {}}, undefined, {threshold: "error"}, false, {envFile: filePath});
+            assert.strictEqual(validator.environment.LUPINUS_TEST_HOST, "process");
+            assert.strictEqual(validator.environment.LUPINUS_TEST_PORT, "80");
+        }finally {
+            delete process.env.LUPINUS_TEST_HOST;
+        }
+    });
+});
+
+describe("isCredentialName", () => {
+    it("detects the names of credentials", () => {
+        ["CLIENT_SECRET", "DB_PASSWORD", "DB_PASSWD", "PWD_HASH", "ACCESS_TOKEN", "API_KEY", "CREDENTIALS", "AUTH_HEADER", "PRIVATE_PEM", "SESSION_ID", "cookie"].forEach(name => {
+            assert.strictEqual(isCredentialName(name), true, name);
+        });
+    });
+
+    it("does not detect the other names", () => {
+        ["HOST", "PORT", "CLIENT_ID", "USER_NAME", "BASE_URL"].forEach(name => {
+            assert.strictEqual(isCredentialName(name), false, name);
+        });
+    });
+});
+
+describe("maskSecrets", () => {
+    let logger = new Logger(undefined, {threshold: "error"});
+    logger.addSecret("p@ss word/\"1\"");
+    logger.addSecret("abc");
+    logger.addSecret("abcdef");
+    logger.addSecret("");
+
+    it("masks the secrets as they are", () => {
+        assert.strictEqual(logger.maskSecrets("password=p@ss word/\"1\""), "password=***");
+        assert.ok(logger.containsSecret("p@ss word/\"1\""));
+        assert.ok(!logger.containsSecret("nothing"));
+    });
+
+    it("masks the secrets escaped in JSON", () => {
+        let json = JSON.stringify({password: "p@ss word/\"1\""});
+        assert.strictEqual(logger.maskSecrets(json), "{\"password\":\"***\"}");
+    });
+
+    it("masks the secrets encoded in URL", () => {
+        let url = "https://example.com/login?password=" + encodeURIComponent("p@ss word/\"1\"");
+        assert.strictEqual(logger.maskSecrets(url), "https://example.com/login?password=***");
+    });
+
+    it("masks the longer secret first", () => {
+        assert.strictEqual(logger.maskSecrets("abcdef abc"), "*** ***");
+    });
+});
+
+describe("secrets in the reports", () => {
+    let directory = mkdtempSync(Path.join(Os.tmpdir(), "lupinus-secret-"));
+    let token = "t0ken/\"x\" y";
+    let server = Http.createServer((request, response) => {
+        response.writeHead(200, {"content-type": "application/json"});
+        response.end(JSON.stringify({url: request.url, authorization: request.headers["authorization"]}));
+    });
+    let origin = "";
+
+    before(async () => {
+        await new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(undefined)));
+        let address = /** @type {import("node:net").AddressInfo} */(server.address());
+        origin = `http://127.0.0.1:${address.port}`;
+    });
+
+    after(async () => {
+        rmSync(directory, {recursive: true, force: true});
+        await new Promise(resolve => server.close(() => resolve(undefined)));
+    });
+
+    it("masks the credentials referred to with env in the reports", async () => {
+        let envPath = Path.join(directory, ".env");
+        writeFileSync(envPath, `LUPINUS_TEST_TOKEN='${token}'\n`);
+        let reportPath = Path.join(directory, "report.json");
+        let spec = {
+            openapi: "3.1.0",
+            info: {title: "Echo", version: "1.0.0"},
+            paths: {"/echo": {get: {
+                parameters: [{name: "token", in: "query", schema: {type: "string"}}],
+                responses: {"200": {description: "OK"}}
+            }}}
+        };
+        let testSet = {
+            contextPath: origin,
+            testCases: [{
+                title: "Echo the token",
+                sequence: [{
+                    path: "/echo",
+                    method: "get",
+                    request: {headers: {authorization: "Bearer {env.LUPINUS_TEST_TOKEN}"}, parameters: {token: "{env.LUPINUS_TEST_TOKEN}"}},
+                    response: {status: 201}
+                }]
+            }]
+        };
+        let validator = new Validator(spec, /** @type {any} */(testSet), {threshold: "error"}, false, {envFile: envPath, reporter: ["json:" + reportPath, "junit:" + Path.join(directory, "report.xml")]});
+        let result = await validator.validate();
+        assert.strictEqual(result.failed, 1);
+        let json = readFileSync(reportPath, "utf8");
+        let junit = readFileSync(Path.join(directory, "report.xml"), "utf8");
+        // The token is in the header, the query and the response body escaped in JSON and encoded in URL.
+        [json, junit].forEach(report => {
+            assert.ok(report.includes("Bearer ***"));
+            assert.ok(report.includes("token=***"));
+            assert.ok(!report.includes("t0ken"));
+        });
+    });
+});
@@ -0,0 +1,271 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const Http = require("node:http");
+const Os = require("node:os");
+const Path = require("node:path");
+const { readFileSync, rmSync } = require("node:fs");
+const { Validator } = require("../validator");
+const LoadTester = require("../load-tester");
+
+const spec = {
+    openapi: "3.1.0",
+    info: {title: "Items", version: "1.0.0"},
+    paths: {
+        "/items": {
+            get: {responses: {"200": {description: "OK"}}}
+        },
+        "/items/{id}": {
+            parameters: [{name: "id", in: "path", required: true, schema: {type: "integer"}}],
+            get: {responses: {"200": {description: "OK"}}}
+        },
+        "/login": {
+            post: {responses: {"200": {description: "OK"}}}
+        },
+        "/logout": {
+            post: {responses: {"200": {description: "OK"}}}
+        }
+    }
+};
+
+/**
+ * @param {import("../testset").Thresholds} [thresholds]
+ * @returns {LoadTester}
+ */
+function createLoadTester(thresholds) {
+    let testSet = {
+        load: {thresholds: thresholds},
+        testCases: [{
+            title: "Browse items",
+            sequence: [
+                {path: "/items", method: "GET"},
+                {path: "/items/{id}", method: "GET", request: {parameters: {id: 1}}}
+            ]
+        }]
+    };
+    return new LoadTester(new Validator(spec, /** @type {any} */(testSet), {threshold: "error"}));
+}
+
+/**
+ * @param {string} operation
+ * @param {{errorRate?: number, throughput?: number, p90?: number}} values
+ * @returns {import("../load-tester").OperationResult}
+ */
+function createOperation(operation, values) {
+    return {
+        operation: operation,
+        requests: 100,
+        errors: 0,
+        errorRate: values.errorRate != null ? values.errorRate : 0,
+        throughput: values.throughput != null ? values.throughput : 10,
+        latency: {min: 1, mean: 50, p50: 40, p90: values.p90 != null ? values.p90 : 90, p99: 120, max: 200}
+    };
+}
+
+describe("percentile", () => {
+    let loadTester = createLoadTester();
+
+    it("returns 0 for no values", () => {
+        assert.strictEqual(loadTester.percentile([], 50), 0);
+    });
+
+    it("returns the nearest rank", () => {
+        let sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+        assert.strictEqual(loadTester.percentile(sorted, 50), 5);
+        assert.strictEqual(loadTester.percentile(sorted, 90), 9);
+        assert.strictEqual(loadTester.percentile(sorted, 99), 10);
+        assert.strictEqual(loadTester.percentile(sorted, 0), 1);
+    });
+
+    it("returns the only value", () => {
+        assert.strictEqual(loadTester.percentile([7], 1), 7);
+        assert.strictEqual(loadTester.percentile([7], 99), 7);
+    });
+});
+
+describe("record", () => {
+    it("groups the steps by the path of the specification", () => {
+        let loadTester = createLoadTester();
+        loadTester.record(/** @type {any} */({steps: [
+            {method: "get", path: "/items", specPath: "/items", status: "passed", duration: 20, timings: {firstByte: 5, total: 20}, assertions: []},
+            {method: "get", path: "/items/1", specPath: "/items/{id}", status: "passed", duration: 500, timings: {firstByte: 5, total: 10}, assertions: []},
+            {method: "get", path: "/items/{id}", specPath: "/items/{id}", status: "failed", duration: 500, timings: {firstByte: 10, total: 30}, assertions: []},
+            {method: "get", path: "/items/{id}", status: "skipped", duration: 0, assertions: []}
+        ]}));
+        let { total, operations } = loadTester.summarize(1000);
+        assert.deepStrictEqual(operations.map(operation => [operation.operation, operation.requests, operation.errors]), [["GET /items", 1, 0], ["GET /items/{id}", 2, 1]]);
+        assert.strictEqual(total.requests, 3);
+        assert.strictEqual(total.errorRate, 1/3);
+        assert.strictEqual(total.throughput, 3);
+    });
+
+    it("uses the time until the response is received as the latency", () => {
+        let loadTester = createLoadTester();
+        loadTester.record(/** @type {any} */({steps: [
+            {method: "get", path: "/items/1", specPath: "/items/{id}", status: "passed", duration: 500, timings: {firstByte: 5, total: 10}, assertions: []},
+            {method: "get", path: "/items/2", specPath: "/items/{id}", status: "passed", duration: 500, timings: {firstByte: 5, total: 30}, assertions: []},
+            {method: "get", path: "/items/3", specPath: "/items/{id}", status: "errored", duration: 500, error: new Error("connect ECONNREFUSED"), assertions: []}
+        ]}));
+        let operation = loadTester.summarize(1000).operations[0];
+        assert.strictEqual(operation.requests, 3);
+        assert.strictEqual(operation.errors, 1);
+        assert.deepStrictEqual(operation.latency, {min: 10, mean: 20, p50: 10, p90: 30, p99: 30, max: 30});
+    });
+
+    it("does not record the steps of the setup and the teardown", () => {
+        let loadTester = createLoadTester();
+        loadTester.record(/** @type {any} */({steps: [
+            {method: "post", path: "/login", specPath: "/login", phase: "setup", status: "passed", duration: 10, timings: {firstByte: 5, total: 10}, assertions: []},
+            {method: "get", path: "/items", specPath: "/items", status: "passed", duration: 20, timings: {firstByte: 5, total: 20}, assertions: []},
+            {method: "post", path: "/logout", specPath: "/logout", phase: "teardown", status: "errored", duration: 10, error: new Error("socket hang up"), assertions: []}
+        ]}));
+        let { total, operations } = loadTester.summarize(1000);
+        assert.deepStrictEqual(operations.map(operation => operation.operation), ["GET /items"]);
+        assert.strictEqual(total.requests, 1);
+        assert.strictEqual(total.errors, 0);
+    });
+});
+
+describe("evaluateThreshold", () => {
+    let loadTester = createLoadTester();
+
+    it("passes if the latency and the error rate are within the upper limits", () => {
+        let results = loadTester.evaluateThreshold({p90: 90, errorRate: 0.01}, createOperation("Total", {p90: 90, errorRate: 0.01}));
+        assert.deepStrictEqual(results, [
+            {metric: "p90", limit: 90, actual: 90, passed: true},
+            {metric: "errorRate", limit: 0.01, actual: 0.01, passed: true}
+        ]);
+    });
+
+    it("fails if the latency or the error rate exceeds the upper limit", () => {
+        let results = loadTester.evaluateThreshold({p90: 80, errorRate: 0.01}, createOperation("Total", {p90: 90, errorRate: 0.02}));
+        assert.deepStrictEqual(results.map(result => result.passed), [false, false]);
+    });
+
+    it("treats the throughput as the lower limit", () => {
+        assert.strictEqual(loadTester.evaluateThreshold({throughput: 10}, createOperation("Total", {throughput: 10}))[0].passed, true);
+        assert.strictEqual(loadTester.evaluateThreshold({throughput: 10}, createOperation("Total", {throughput: 9.9}))[0].passed, false);
+    });
+});
+
+describe("evaluateThresholds", () => {
+    it("evaluates the thresholds of all the operations and of each operation", () => {
+        let loadTester = createLoadTester({p90: 100, operations: {"get /items/{id}": {p90: 50}}});
+        let operation = createOperation("GET /items/{id}", {p90: 60});
+        let results = loadTester.evaluateThresholds(createOperation("Total", {p90: 60}), [createOperation("GET /items", {}), operation]);
+        assert.deepStrictEqual(results, [
+            {metric: "p90", limit: 100, actual: 60, passed: true},
+            {metric: "p90", limit: 50, actual: 60, passed: false, operation: "GET /items/{id}"}
+        ]);
+    });
+});
+
+describe("thresholds", () => {
+    it("accepts the metrics and the operations of the specification", () => {
+        assert.doesNotThrow(() => createLoadTester({mean: 100, p50: 50, p90: 90, p99: 99, max: 500, errorRate: 0, throughput: 10, operations: {"GET /items/{id}": {p99: 200}}}));
+    });
+
+    it("rejects an unknown metric", () => {
+        assert.throws(() => createLoadTester(/** @type {any} */({p95: 100})), /The threshold \[p95\] is not supported/);
+        assert.throws(() => createLoadTester(/** @type {any} */({operations: {"GET /items": {p95: 100}}})), /The threshold \[p95\] is not supported/);
+    });
+
+    it("rejects a limit that is not a non-negative number", () => {
+        assert.throws(() => createLoadTester(/** @type {any} */({p90: "100ms"})), /Invalid threshold \[p90: 100ms\]/);
+        assert.throws(() => createLoadTester({max: -1}), /Invalid threshold \[max: -1\]/);
+        assert.throws(() => createLoadTester({errorRate: 5}), /Invalid threshold \[errorRate: 5\]/);
+    });
+
+    it("rejects an operation that is not a method and a path of the specification", () => {
+        assert.throws(() => createLoadTester({operations: {"/items": {p90: 100}}}), /Invalid operation \[\/items\]/);
+        assert.throws(() => createLoadTester({operations: {"GET /items/1": {p90: 100}}}), /The operation \[GET \/items\/1\] of the thresholds is not found/);
+        assert.throws(() => createLoadTester(/** @type {any} */({operations: {"GET /items": 100}})), /Invalid threshold of the operation \[GET \/items\]/);
+    });
+});
+
+describe("run", () => {
+    /** @type {Array<{path: string, time: number}>} */
+    let received = [];
+    let server = Http.createServer((request, response) => {
+        received.push({path: String(request.url), time: Date.now()});
+        // The slow operation lets the duration pass in the middle of the sequence.
+        setTimeout(() => {
+            response.writeHead(200);
+            response.end();
+        }, request.url == "/items/2" ? 100 : 0);
+    });
+    let origin = "";
+    let reportPath = Path.join(Os.tmpdir(), `lupinus-load-${process.pid}.json`);
+
+    before(async () => {
+        await new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(undefined)));
+        let address = /** @type {import("node:net").AddressInfo} */(server.address());
+        origin = `http://127.0.0.1:${address.port}`;
+    });
+
+    after(async () => {
+        rmSync(reportPath, {force: true});
+        await new Promise(resolve => server.close(() => resolve(undefined)));
+    });
+
+    /**
+     * @param {import("../testset").LoadSetting} load
+     * @param {number} id
+     * @returns {LoadTester}
+     */
+    let createRunner = (load, id) => {
+        let testSet = {
+            contextPath: origin,
+            load: load,
+            testCases: [{
+                title: "Browse items",
+                setup: [{path: "/login", method: "POST"}],
+                sequence: [
+                    {path: "/items", method: "GET"},
+                    {path: "/items/{id}", method: "GET", request: {parameters: {id: id}}}
+                ],
+                teardown: [{path: "/logout", method: "POST"}]
+            }]
+        };
+        return new LoadTester(new Validator(spec, /** @type {any} */(testSet), {threshold: "error", reporter: `json:${reportPath}`}));
+    };
+
+    it("repeats the iterations with the virtual users started over the ramp-up", async () => {
+        received = [];
+        let startTime = Date.now();
+        let result = await createRunner({users: 3, rampUp: 0.3, iterations: 2, thresholds: {errorRate: 0}}, 1).run();
+        assert.strictEqual(result.passed, true);
+        assert.strictEqual(result.users, 3);
+        assert.strictEqual(result.iterations, 6);
+        assert.deepStrictEqual(result.operations.map(operation => [operation.operation, operation.requests]), [["GET /items", 6], ["GET /items/{id}", 6]]);
+        assert.strictEqual(result.total.requests, 12);
+        assert.deepStrictEqual(result.thresholds, [{metric: "errorRate", limit: 0, actual: 0, passed: true}]);
+        assert.strictEqual(received.filter(request => request.path == "/login").length, 6);
+        assert.strictEqual(received.filter(request => request.path == "/logout").length, 6);
+        // The third user is started 200ms after the first one.
+        let logins = received.filter(request => request.path == "/login").map(request => request.time - startTime);
+        assert.ok(Math.max(...logins) >= 190, `${logins}`);
+
+        assert.deepStrictEqual(JSON.parse(readFileSync(reportPath, "utf8")), JSON.parse(JSON.stringify(result)));
+    });
+
+    it("stops the sequence when the duration passes", async () => {
+        received = [];
+        let startTime = Date.now();
+        let result = await createRunner({users: 1, duration: 0.25}, 2).run();
+        // Each iteration takes more than 100ms, and the steps of the sequence are not started after 250ms.
+        let requests = received.filter(request => request.path.startsWith("/items"));
+        assert.ok(requests.every(request => request.time - startTime < 250 + 20), `${requests.map(request => request.time - startTime)}`);
+        assert.ok(result.duration < 250 + 150, `${result.duration}`);
+        assert.strictEqual(result.total.requests, requests.length);
+        assert.ok(result.iterations <= requests.length / 2, `${result.iterations}`);
+        // The teardown is executed even after the duration.
+        assert.strictEqual(received.filter(request => request.path == "/logout").length, received.filter(request => request.path == "/login").length);
+    });
+});
@@ -0,0 +1,232 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const { Validator } = require("../validator");
+const MockServer = require("../mock-server");
+
+const spec = {
+    openapi: "3.1.0",
+    info: {title: "Items", version: "1.0.0"},
+    servers: [{url: "https://example.com/v1"}],
+    paths: {
+        "/items": {
+            get: {
+                responses: {
+                    "200": {description: "OK", content: {"application/json": {schema: {type: "array", items: {$ref: "#/components/schemas/Item"}}}}}
+                }
+            },
+            post: {
+                requestBody: {required: true, content: {"application/json": {schema: {$ref: "#/components/schemas/Item"}}}},
+                responses: {
+                    "201": {description: "Created", content: {"application/json": {schema: {$ref: "#/components/schemas/Item"}}}}
+                }
+            }
+        },
+        "/items/mine": {
+            get: {
+                responses: {
+                    "200": {description: "OK", content: {"application/json": {example: {id: 0, name: "mine"}}}}
+                }
+            }
+        },
+        "/items/{id}": {
+            parameters: [{name: "id", in: "path", required: true, schema: {type: "integer"}}],
+            get: {
+                responses: {
+                    "200": {
+                        description: "OK",
+                        headers: {"X-Rate-Limit": {schema: {type: "integer", minimum: 100}}},
+                        content: {
+                            "application/json": {
+                                schema: {$ref: "#/components/schemas/Item"},
+                                examples: {
+                                    first: {value: {id: 1, name: "first"}},
+                                    second: {value: {id: 2, name: "second"}}
+                                }
+                            },
+                            "application/xml": {schema: {$ref: "#/components/schemas/Item"}},
+                            "text/csv": {schema: {type: "array", items: {$ref: "#/components/schemas/Item"}}},
+                            "application/pdf": {schema: {type: "object"}}
+                        }
+                    },
+                    "4XX": {description: "Error", content: {"application/json": {schema: {$ref: "#/components/schemas/Error"}}}}
+                }
+            }
+        },
+        "/nodes/{id}": {
+            parameters: [{name: "id", in: "path", required: true, schema: {type: "string"}}],
+            get: {
+                responses: {
+                    "200": {description: "OK", content: {"application/json": {schema: {$ref: "#/components/schemas/Node"}}}}
+                }
+            }
+        },
+        "/trees": {
+            get: {
+                responses: {
+                    "200": {
+                        description: "OK",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    $id: "https://example.com/tree",
+                                    $ref: "#/$defs/tree",
+                                    $defs: {
+                                        tree: {
+                                            type: "object",
+                                            required: ["value", "children"],
+                                            properties: {
+                                                value: {type: "string", enum: ["leaf"]},
+                                                children: {type: "array", maxItems: 1, items: {$ref: "#/$defs/tree"}}
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            Item: {
+                type: "object",
+                xml: {name: "item"},
+                required: ["id", "name"],
+                properties: {
+                    id: {type: "integer", xml: {attribute: true}},
+                    name: {type: "string", minLength: 1},
+                    tags: {type: "array", xml: {wrapped: true}, items: {type: "string", xml: {name: "tag"}}}
+                }
+            },
+            Node: {
+                type: "object",
+                required: ["id"],
+                properties: {
+                    id: {type: "string", format: "uuid"},
+                    parent: {$ref: "#/components/schemas/Node"},
+                    children: {type: "array", items: {$ref: "#/components/schemas/Node"}}
+                }
+            },
+            Error: {
+                type: "object",
+                properties: {
+                    message: {type: "string", default: "Not found"}
+                }
+            }
+        }
+    }
+};
+
+describe("MockServer", () => {
+    let mockServer = new MockServer(new Validator(spec, undefined, {threshold: "error"}));
+    let origin = "";
+
+    before(async () => {
+        let port = await mockServer.listen(0, "127.0.0.1");
+        origin = `http://127.0.0.1:${port}`;
+    });
+
+    after(async () => {
+        await mockServer.close();
+    });
+
+    it("prefers the path without templates to the templated path", async () => {
+        let response = await fetch(origin + "/items/mine");
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await response.json(), {id: 0, name: "mine"});
+    });
+
+    it("serves the paths under the path of the servers", async () => {
+        let response = await fetch(origin + "/v1/items/1");
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await response.json(), {id: 1, name: "first"});
+        assert.strictEqual(response.headers.get("x-rate-limit"), "100");
+    });
+
+    it("returns 404 for the path that is not defined", async () => {
+        let response = await fetch(origin + "/orders");
+        assert.strictEqual(response.status, 404);
+    });
+
+    it("returns 400 for the request that does not match the specification", async () => {
+        let response = await fetch(origin + "/items/abc");
+        assert.strictEqual(response.status, 400);
+        let body = /** @type {{errors: Array<string>}} */(await response.json());
+        assert.strictEqual(body.errors.length, 1);
+
+        response = await fetch(origin + "/items", {method: "POST", headers: {"content-type": "application/json"}, body: JSON.stringify({id: 1, name: ""})});
+        assert.strictEqual(response.status, 400);
+
+        response = await fetch(origin + "/items", {method: "POST", headers: {"content-type": "application/json"}, body: JSON.stringify({id: 1, name: "new"})});
+        assert.strictEqual(response.status, 201);
+    });
+
+    it("returns 405 with the methods of the path", async () => {
+        let response = await fetch(origin + "/items", {method: "DELETE"});
+        assert.strictEqual(response.status, 405);
+        assert.strictEqual(response.headers.get("allow"), "GET, POST");
+    });
+
+    it("selects the response and the example with the Prefer header", async () => {
+        let response = await fetch(origin + "/items/1", {headers: {prefer: "code=404"}});
+        assert.strictEqual(response.status, 404);
+        assert.deepStrictEqual(await response.json(), {message: "Not found"});
+
+        response = await fetch(origin + "/items/1", {headers: {prefer: "example=second"}});
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await response.json(), {id: 2, name: "second"});
+
+        response = await fetch(origin + "/items/1", {headers: {prefer: "code=500"}});
+        assert.strictEqual(response.status, 500);
+    });
+
+    it("returns the headers without the body for HEAD", async () => {
+        let response = await fetch(origin + "/items/1", {method: "HEAD"});
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get("content-type"), "application/json");
+        assert.strictEqual(response.headers.get("content-length"), String(JSON.stringify({id: 1, name: "first"}).length));
+        assert.strictEqual(await response.text(), "");
+    });
+
+    it("stops the recursion of the schemas being synthesized", async () => {
+        let response = await fetch(origin + "/nodes/a");
+        assert.deepStrictEqual(await response.json(), {id: "00000000-0000-4000-8000-000000000000"});
+
+        response = await fetch(origin + "/trees");
+        assert.deepStrictEqual(await response.json(), {value: "leaf", children: []});
+    });
+
+    it("writes the synthesized data in the media type of the Accept header", async () => {
+        let response = await fetch(origin + "/items/1", {headers: {accept: "application/xml"}});
+        assert.strictEqual(response.headers.get("content-type"), "application/xml");
+        assert.strictEqual(await response.text(), "<?xml version=\"1.0\" encoding=\"UTF-8\"?><item id=\"0\"><name>string</name><tags><tag>string</tag></tags></item>");
+
+        response = await fetch(origin + "/items/1", {headers: {accept: "text/csv"}});
+        assert.strictEqual(await response.text(), "id,name,tags\r\n0,string,\"[\"\"string\"\"]\"\r\n");
+    });
+
+    it("returns 501 for the media type that cannot be written", async () => {
+        let response = await fetch(origin + "/items/1", {headers: {accept: "application/pdf"}});
+        assert.strictEqual(response.status, 501);
+    });
+
+    it("returns 413 for the request body larger than the limit", async () => {
+        let maxBodySize = mockServer.maxBodySize;
+        mockServer.maxBodySize = 16;
+        try {
+            let response = await fetch(origin + "/items", {method: "POST", headers: {"content-type": "application/json"}, body: JSON.stringify({id: 1, name: "too long to be accepted"})});
+            assert.strictEqual(response.status, 413);
+        }finally {
+            mockServer.maxBodySize = maxBodySize;
+        }
+    });
+});
@@ -0,0 +1,85 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const Http = require("node:http");
+const { Validator } = require("../validator");
+const Reporter = require("../reporter");
+
+const spec = {
+    openapi: "3.1.0",
+    info: {title: "Items", version: "1.0.0"},
+    paths: {
+        "/login": {
+            post: {responses: {"200": {description: "OK"}}}
+        },
+        "/logout": {
+            post: {responses: {"200": {description: "OK"}}}
+        },
+        "/items": {
+            get: {responses: {"200": {description: "OK"}}}
+        }
+    }
+};
+
+describe("beforeAll and afterAll", () => {
+    let server = Http.createServer((request, response) => {
+        response.writeHead(request.url == "/logout" ? 500 : 200);
+        response.end();
+    });
+    let origin = "";
+
+    before(async () => {
+        await new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(undefined)));
+        let address = /** @type {import("node:net").AddressInfo} */(server.address());
+        origin = `http://127.0.0.1:${address.port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(() => resolve(undefined)));
+    });
+
+    /**
+     * @param {number} logoutStatus Expected status of afterAll
+     * @returns {Promise<import("../validator").ValidationResult>}
+     */
+    let validate = async logoutStatus => {
+        let testSet = {
+            contextPath: origin,
+            beforeAll: [{path: "/login", method: "POST", response: {status: 200}}],
+            afterAll: [{path: "/logout", method: "POST", response: {status: logoutStatus}}],
+            testCases: [
+                {title: "List items", sequence: [{path: "/items", method: "GET", response: {status: 200}}]},
+                {title: "List no items", sequence: [{path: "/items", method: "GET", response: {status: 204}}]}
+            ]
+        };
+        return new Validator(spec, /** @type {any} */(testSet), {threshold: "error"}).validate();
+    };
+
+    it("are not counted as test cases", async () => {
+        let result = await validate(500);
+        assert.deepStrictEqual([result.passed, result.failed, result.errored], [1, 1, 0]);
+        assert.deepStrictEqual(result.testCases.map(testCase => testCase.title), ["List items", "List no items"]);
+        assert.strictEqual(result.beforeAll != null ? result.beforeAll.status : null, "passed");
+        assert.strictEqual(result.afterAll != null ? result.afterAll.status : null, "passed");
+        assert.deepStrictEqual(Reporter.listTestCases(result).map(testCase => testCase.title), ["List items", "List no items"]);
+        assert.ok(!Reporter.formatJUnit(result).includes("beforeAll"));
+        assert.ok(!Reporter.formatTap(result).includes("afterAll"));
+    });
+
+    it("are reported as test cases only when they fail", async () => {
+        let result = await validate(200);
+        assert.deepStrictEqual([result.passed, result.failed, result.errored], [1, 1, 0]);
+        assert.strictEqual(result.afterAll != null ? result.afterAll.status : null, "failed");
+        assert.deepStrictEqual(Reporter.listTestCases(result).map(testCase => testCase.title), ["List items", "List no items", "afterAll"]);
+        assert.ok(Reporter.formatJUnit(result).includes("<testsuite name=\"afterAll\""));
+        let tap = Reporter.formatTap(result);
+        assert.ok(tap.includes(`# afterAll\nnot ok 3 - POST ${origin}/logout`));
+        assert.ok(tap.endsWith("# passed 1\n# failed 1\n# errored 0\n"));
+    });
+});
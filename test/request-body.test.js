@@ -0,0 +1,144 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const HttpServer = require("node:http");
+const { Validator, ValidationError } = require("../validator");
+const Http = require("../http");
+
+const spec = {
+    openapi: "3.1.0",
+    info: {title: "Users", version: "1.0.0"},
+    paths: {
+        "/users/{id}/avatar": {
+            post: {
+                requestBody: {
+                    required: true,
+                    content: {
+                        "multipart/form-data": {
+                            schema: {
+                                type: "object",
+                                required: ["image"],
+                                properties: {
+                                    image: {type: "string", maxLength: 8},
+                                    caption: {type: "string", maxLength: 10},
+                                    tags: {type: "array", items: {type: "string"}}
+                                }
+                            },
+                            encoding: {image: {contentType: "image/png, image/jpeg"}}
+                        },
+                        "application/json": {
+                            schema: {type: "object", required: ["url"]}
+                        }
+                    }
+                },
+                responses: {"204": {description: "No Content"}}
+            }
+        }
+    }
+};
+
+describe("validateRequestBody", () => {
+    let validator = new Validator(spec, undefined, {threshold: "error"});
+    let requestBody = /** @type {any} */(spec.paths["/users/{id}/avatar"].post.requestBody);
+    let multipart = {"content-type": "multipart/form-data"};
+
+    it("validates the fields of multipart/form-data against the schema", () => {
+        let image = new Http.FileContent("avatar.png", Buffer.from([0x89, 0x50, 0x4e, 0x47]), "image/png");
+        assert.doesNotThrow(() => validator.validateRequestBody(requestBody, multipart, {image: image, caption: "me", tags: ["a", "b"]}));
+        assert.throws(() => validator.validateRequestBody(requestBody, multipart, {caption: "me"}), ValidationError);
+        assert.throws(() => validator.validateRequestBody(requestBody, multipart, {image: image, caption: "longer than the limit"}), ValidationError);
+        assert.throws(() => validator.validateRequestBody(requestBody, multipart, {image: image, tags: [1]}), ValidationError);
+    });
+
+    it("validates the size of the files with maxLength", () => {
+        let image = new Http.FileContent("avatar.png", Buffer.alloc(9), "image/png");
+        assert.throws(() => validator.validateRequestBody(requestBody, multipart, {image: image}), ValidationError);
+    });
+
+    it("validates the content types of the files against the encoding", () => {
+        let image = new Http.FileContent("avatar.gif", Buffer.alloc(4), "image/gif");
+        assert.throws(() => validator.validateRequestBody(requestBody, multipart, {image: image}), /The content type \[image\/gif\] of the part \[image\] is not one of \[image\/png, image\/jpeg\]/);
+        image = new Http.FileContent("avatar", Buffer.alloc(4));
+        assert.doesNotThrow(() => validator.validateRequestBody(requestBody, multipart, {image: image}));
+    });
+
+    it("does not validate the multipart body written as it is", () => {
+        assert.doesNotThrow(() => validator.validateRequestBody(requestBody, {"content-type": "multipart/form-data; boundary=x"}, Buffer.from("--x--\r\n")));
+    });
+
+    it("validates the JSON file against the schema", () => {
+        let json = {"content-type": "application/json"};
+        assert.doesNotThrow(() => validator.validateRequestBody(requestBody, json, new Http.FileContent("body.json", Buffer.from("{\"url\": \"a\"}"))));
+        assert.throws(() => validator.validateRequestBody(requestBody, json, new Http.FileContent("body.json", Buffer.from("{}"))), ValidationError);
+        assert.throws(() => validator.validateRequestBody(requestBody, json, new Http.FileContent("body.json", Buffer.from("{"))), /The request body cannot be parsed as JSON/);
+    });
+});
+
+describe("request", () => {
+    /** @type {Array<{headers: import("node:http").IncomingHttpHeaders, body: string}>} */
+    let received = [];
+    let server = HttpServer.createServer((request, response) => {
+        /** @type {Array<Buffer>} */
+        let chunks = [];
+        request.on("data", chunk => chunks.push(chunk));
+        request.on("end", () => {
+            received.push({headers: request.headers, body: Buffer.concat(chunks).toString("utf8")});
+            if(request.url == "/broken") {
+                response.writeHead(200, {"content-type": "application/problem+json"});
+                response.end("{\"token\": ");
+                return;
+            }
+            response.writeHead(204);
+            response.end();
+        });
+    });
+    let origin = "";
+
+    before(async () => {
+        await new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(undefined)));
+        let address = /** @type {import("node:net").AddressInfo} */(server.address());
+        origin = `http://127.0.0.1:${address.port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(() => resolve(undefined)));
+    });
+
+    it("sends the object without content type as JSON", async () => {
+        received = [];
+        await Http.request("post", origin + "/items", {}, {name: "new"});
+        assert.strictEqual(received[0].headers["content-type"], "application/json");
+        assert.strictEqual(received[0].body, "{\"name\":\"new\"}");
+    });
+
+    it("sends the parts of multipart/form-data with the content types of the encoding", async () => {
+        received = [];
+        let image = new Http.FileContent("avatar.bin", Buffer.from("png"), "application/octet-stream");
+        await Http.request("post", origin + "/users/1/avatar", {"content-type": "multipart/form-data; boundary=b"}, {image: image, caption: "me"}, {image: {contentType: "image/png, image/jpeg"}});
+        assert.strictEqual(received[0].body, [
+            "--b",
+            "Content-Disposition: form-data; name=\"image\"; filename=\"avatar.bin\"",
+            "Content-Type: image/png",
+            "",
+            "png",
+            "--b",
+            "Content-Disposition: form-data; name=\"caption\"",
+            "",
+            "me",
+            "--b--",
+            ""
+        ].join("\r\n"));
+    });
+
+    it("leaves the JSON response that cannot be parsed as a string with the error", async () => {
+        let response = await Http.request("get", origin + "/broken", {});
+        assert.strictEqual(response.body, "{\"token\": ");
+        assert.ok(response.parseError instanceof SyntaxError);
+    });
+});
@@ -0,0 +1,151 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const Http = require("node:http");
+const { Validator } = require("../validator");
+
+const spec = {
+    openapi: "3.1.0",
+    info: {title: "Jobs", version: "1.0.0"},
+    paths: {
+        "/flaky/{key}": {
+            parameters: [{name: "key", in: "path", required: true, schema: {type: "string"}}],
+            get: {responses: {"200": {description: "OK"}, "503": {description: "Unavailable"}}}
+        },
+        "/jobs/{key}": {
+            parameters: [{name: "key", in: "path", required: true, schema: {type: "string"}}],
+            get: {responses: {"200": {description: "OK", content: {"application/json": {schema: {type: "object"}}}}}}
+        },
+        "/reset/{key}": {
+            parameters: [{name: "key", in: "path", required: true, schema: {type: "string"}}],
+            get: {responses: {"200": {description: "OK"}}}
+        }
+    }
+};
+
+describe("retry", () => {
+    /**
+     * Number of the requests that fail by key
+     * @type {Map<string, number>}
+     */
+    let failures = new Map();
+    /**
+     * Times of the requests by key
+     * @type {Map<string, Array<number>>}
+     */
+    let requests = new Map();
+    let server = Http.createServer((request, response) => {
+        let [, kind, key] = String(request.url).split("/");
+        let times = requests.get(key);
+        if(times == null) {
+            times = [];
+            requests.set(key, times);
+        }
+        times.push(Date.now());
+        let failing = failures.has(key) && times.length <= /** @type {number} */(failures.get(key));
+        if(kind == "reset" && failing) {
+            request.socket.destroy();
+        }else if(kind == "jobs") {
+            response.writeHead(200, {"content-type": "application/json"});
+            response.end(JSON.stringify({status: failing ? "running" : "done"}));
+        }else {
+            response.writeHead(failing ? 503 : 200);
+            response.end();
+        }
+    });
+    let origin = "";
+
+    before(async () => {
+        await new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(undefined)));
+        let address = /** @type {import("node:net").AddressInfo} */(server.address());
+        origin = `http://127.0.0.1:${address.port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(() => resolve(undefined)));
+    });
+
+    /**
+     * @param {import("../testset").Invoke} invoke
+     * @param {string} [contextPath] Defaults to the origin of the server.
+     * @returns {Promise<import("../validator").StepResult>}
+     */
+    let execute = async (invoke, contextPath) => {
+        let testSet = {contextPath: contextPath != null ? contextPath : origin, testCases: [{title: "Retry", sequence: [invoke]}]};
+        let result = await new Validator(spec, /** @type {any} */(testSet), {threshold: "error"}).validate();
+        return result.testCases[0].steps[0];
+    };
+
+    it("repeats the step until it passes", async () => {
+        failures.set("passes", 2);
+        let step = await execute({path: "/flaky/passes", method: "get", response: {status: 200}, retry: {interval: 10}});
+        assert.strictEqual(step.status, "passed");
+        assert.strictEqual(step.attempts, 3);
+        assert.strictEqual(/** @type {Array<number>} */(requests.get("passes")).length, 3);
+    });
+
+    it("records the last attempt if the step does not pass within the attempts", async () => {
+        failures.set("exhausted", 5);
+        let step = await execute({path: "/flaky/exhausted", method: "get", response: {status: 200}, retry: {attempts: 2, interval: 10}});
+        assert.strictEqual(step.status, "failed");
+        assert.strictEqual(step.attempts, 2);
+        assert.strictEqual(step.responseStatus, 503);
+        assert.strictEqual(/** @type {Array<number>} */(requests.get("exhausted")).length, 2);
+    });
+
+    it("multiplies the interval by the backoff up to the maximum interval", async () => {
+        failures.set("backoff", 4);
+        let step = await execute({path: "/flaky/backoff", method: "get", response: {status: 200}, retry: {attempts: 5, interval: 40, backoff: 2, maxInterval: 100}});
+        assert.strictEqual(step.status, "passed");
+        let times = /** @type {Array<number>} */(requests.get("backoff"));
+        let intervals = times.slice(1).map((time, index) => time - times[index]);
+        [40, 80, 100, 100].forEach((expected, index) => {
+            assert.ok(intervals[index] >= expected - 5 && intervals[index] < expected + 40, `${intervals}`);
+        });
+    });
+
+    it("repeats the step until the condition is satisfied", async () => {
+        failures.set("until", 2);
+        let step = await execute({path: "/jobs/until", method: "get", retry: {interval: 10, until: "{$.status == 'done'}"}});
+        assert.strictEqual(step.status, "passed");
+        assert.strictEqual(step.attempts, 3);
+    });
+
+    it("fails if the condition is not satisfied within the attempts", async () => {
+        failures.set("unsatisfied", 5);
+        let step = await execute({path: "/jobs/unsatisfied", method: "get", retry: {attempts: 2, interval: 10, until: "{$.status == 'done'}"}});
+        assert.strictEqual(step.status, "failed");
+        assert.strictEqual(step.attempts, 2);
+        assert.strictEqual(/** @type {Error} */(step.error).message, "The condition [{$.status == 'done'}] is not satisfied after 2 attempts.");
+    });
+
+    it("repeats the step whose connection is reset", async () => {
+        failures.set("reset", 2);
+        let step = await execute({path: "/reset/reset", method: "get", retry: {interval: 10}});
+        assert.strictEqual(step.status, "passed");
+        assert.strictEqual(step.attempts, 3);
+    });
+
+    it("repeats the step whose connection is refused", async () => {
+        let closed = Http.createServer();
+        await new Promise(resolve => closed.listen(0, "127.0.0.1", () => resolve(undefined)));
+        let address = /** @type {import("node:net").AddressInfo} */(closed.address());
+        await new Promise(resolve => closed.close(() => resolve(undefined)));
+        let step = await execute({path: "/flaky/refused", method: "get", retry: {attempts: 2, interval: 10, until: "{$.status == 'done'}"}}, `http://127.0.0.1:${address.port}`);
+        assert.strictEqual(step.status, "errored");
+        assert.strictEqual(step.attempts, 2);
+        assert.strictEqual(/** @type {NodeJS.ErrnoException} */(step.error).code, "ECONNREFUSED");
+    });
+
+    it("does not repeat the step that cannot be executed", async () => {
+        let step = await execute({path: "/unknown", method: "get", retry: {interval: 10}});
+        assert.strictEqual(step.status, "errored");
+        assert.strictEqual(step.attempts, 1);
+    });
+});
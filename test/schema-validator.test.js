@@ -0,0 +1,110 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const { readdirSync, readFileSync, statSync } = require("fs");
+const Path = require("path");
+const SchemaValidator = require("../schema-validator");
+
+/**
+ * A curated subset of tests/draft2020-12 and remotes of JSON-Schema-Test-Suite (https://github.com/json-schema-org/JSON-Schema-Test-Suite), not the suite as it is.
+ * Only some of the groups of each file are included, e.g. 16 groups of ref.json and 3 of uniqueItems.json, and the remotes are only the ones referred to by them.
+ * content, default, format, id, infinite-loop-detection, unknownKeyword, vocabulary and optional are left out.
+ * Files of the same format can be added to the directory.
+ */
+const suiteDirectory = Path.join(__dirname, "json-schema-test-suite");
+
+/**
+ * @param {string} directory
+ * @returns {Array<string>} Paths of the JSON files relative to the directory
+ */
+function listFiles(directory) {
+    return readdirSync(directory).flatMap(name => {
+        let path = Path.join(directory, name);
+        if(statSync(path).isDirectory()) {
+            return listFiles(path).map(_name => name + "/" + _name);
+        }
+        return name.endsWith(".json") ? [name] : [];
+    });
+}
+
+// The remote schemas are retrieved from http://localhost:1234/ in the test suite.
+const remotesDirectory = Path.join(suiteDirectory, "remotes");
+const remotes = listFiles(remotesDirectory).map(name => {
+    return {
+        uri: "http://localhost:1234/" + name,
+        schema: JSON.parse(readFileSync(Path.join(remotesDirectory, name), "utf8"))
+    };
+});
+
+// The optional tests such as the format assertions are not included.
+const testsDirectory = Path.join(suiteDirectory, "tests", "draft2020-12");
+readdirSync(testsDirectory).filter(name => name.endsWith(".json")).forEach(name => {
+    describe(name, () => {
+        JSON.parse(readFileSync(Path.join(testsDirectory, name), "utf8")).forEach(group => {
+            describe(group.description, () => {
+                let validator = new SchemaValidator(() => null);
+                remotes.forEach(remote => validator.addSchema(remote.schema, remote.uri));
+                group.tests.forEach(test => {
+                    it(test.description, () => {
+                        let errors = validator.validate(test.data, group.schema);
+                        assert.strictEqual(errors.length == 0, test.valid, JSON.stringify(errors.map(error => `${error.instanceLocation}: ${error.message}`)));
+                    });
+                });
+            });
+        });
+    });
+});
+
+describe("references of the specification", () => {
+    let spec = {
+        components: {
+            schemas: {
+                Item: {
+                    type: "object",
+                    properties: {
+                        price: {$ref: "#/$defs/price"},
+                        category: {$ref: "#/components/schemas/Category"}
+                    },
+                    $defs: {
+                        price: {type: "integer", minimum: 0}
+                    }
+                },
+                Category: {type: "string", enum: ["book", "food"]}
+            }
+        }
+    };
+    /**
+     * @param {string} reference
+     * @returns {any}
+     */
+    let resolveReference = reference => {
+        let target = spec;
+        for(let token of reference.substring(2).split("/")) {
+            target = target != null ? target[token] : undefined;
+        }
+        return target != null ? target : null;
+    };
+
+    it("resolves the pointer against the enclosing schema first", () => {
+        let validator = new SchemaValidator(resolveReference);
+        assert.deepStrictEqual(validator.validate({price: 100}, spec.components.schemas.Item), []);
+        assert.strictEqual(validator.validate({price: -1}, spec.components.schemas.Item)[0].instanceLocation, "/price");
+    });
+
+    it("resolves the pointer in the specification if the enclosing schema does not have it", () => {
+        let validator = new SchemaValidator(resolveReference);
+        assert.deepStrictEqual(validator.validate({category: "book"}, {$ref: "#/components/schemas/Item"}), []);
+        assert.strictEqual(validator.validate({category: "car"}, {$ref: "#/components/schemas/Item"})[0].keyword, "enum");
+    });
+
+    it("throws the error if the reference does not exist", () => {
+        let validator = new SchemaValidator(resolveReference);
+        assert.throws(() => validator.validate(1, {$ref: "#/$defs/missing"}), /The schema \[#\/\$defs\/missing\] is not found/);
+    });
+});
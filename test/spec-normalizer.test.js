@@ -0,0 +1,335 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const SpecNormalizer = require("../spec-normalizer");
+
+/**
+ * @param {any} spec
+ * @returns {{spec: any, warnings: Array<string>}}
+ */
+function normalize(spec) {
+    /** @type {Array<string>} */
+    let warnings = [];
+    return {spec: SpecNormalizer.normalizeSpec(spec, warnings), warnings: warnings};
+}
+
+describe("detectVersion", () => {
+    it("detects the version of Swagger and OpenAPI", () => {
+        assert.strictEqual(SpecNormalizer.detectVersion({swagger: "2.0"}), "2.0");
+        assert.strictEqual(SpecNormalizer.detectVersion({openapi: "3.0.3"}), "3.0");
+        assert.strictEqual(SpecNormalizer.detectVersion({openapi: "3.1.0"}), "3.1");
+        assert.strictEqual(SpecNormalizer.detectVersion({}), "3.1");
+    });
+
+    it("rejects the version of Swagger other than 2.0", () => {
+        assert.throws(() => SpecNormalizer.detectVersion({swagger: "1.2"}), /The version \[1.2\] of Swagger is not supported/);
+    });
+});
+
+describe("normalizeSpec", () => {
+    it("returns the specification of OpenAPI 3.1 as it is", () => {
+        let spec = {openapi: "3.1.0", info: {title: "t", version: "1"}, components: {schemas: {Item: {type: "string", nullable: true}}}};
+        assert.strictEqual(normalize(spec).spec, spec);
+    });
+
+    it("does not modify the given specification", () => {
+        let spec = {openapi: "3.0.3", components: {schemas: {Item: {type: "string", nullable: true}}}};
+        let copy = structuredClone(spec);
+        assert.strictEqual(normalize(spec).spec.openapi, "3.1.0");
+        assert.deepStrictEqual(spec, copy);
+    });
+});
+
+describe("schemas of OpenAPI 3.0", () => {
+    it("adds null to the type and the enum of the nullable schema", () => {
+        let { spec } = normalize({openapi: "3.0.3", components: {schemas: {
+            Name: {type: "string", nullable: true},
+            Color: {type: "string", enum: ["red", "blue"], nullable: true},
+            Count: {type: "integer", nullable: false}
+        }}});
+        assert.deepStrictEqual(spec.components.schemas, {
+            Name: {type: ["string", "null"]},
+            Color: {type: ["string", "null"], enum: ["red", "blue", null]},
+            Count: {type: "integer"}
+        });
+    });
+
+    it("wraps the nullable reference and composition with anyOf", () => {
+        let { spec } = normalize({openapi: "3.0.3", components: {schemas: {
+            Item: {type: "object"},
+            Parent: {$ref: "#/components/schemas/Item", nullable: true},
+            Either: {oneOf: [{type: "string"}, {type: "integer"}], nullable: true}
+        }}});
+        assert.deepStrictEqual(spec.components.schemas.Parent, {anyOf: [{$ref: "#/components/schemas/Item"}, {type: "null"}]});
+        assert.deepStrictEqual(spec.components.schemas.Either, {anyOf: [{oneOf: [{type: "string"}, {type: "integer"}]}, {type: "null"}]});
+    });
+
+    it("warns of the nullable schema without type that has constraints", () => {
+        let { spec, warnings } = normalize({openapi: "3.0.3", components: {schemas: {
+            Described: {description: "Anything", nullable: true},
+            Constrained: {minLength: 1, nullable: true}
+        }}});
+        assert.deepStrictEqual(spec.components.schemas, {Described: {description: "Anything"}, Constrained: {minLength: 1}});
+        assert.deepStrictEqual(warnings, ["nullable of the schema without type at [#/components/schemas/Constrained] cannot be converted and is ignored."]);
+    });
+
+    it("converts the boolean exclusive bounds into numbers", () => {
+        let { spec } = normalize({openapi: "3.0.3", components: {schemas: {
+            Positive: {type: "number", minimum: 0, exclusiveMinimum: true},
+            Percent: {type: "number", minimum: 0, maximum: 100, exclusiveMinimum: false, exclusiveMaximum: true},
+            Orphan: {type: "number", exclusiveMaximum: true}
+        }}});
+        assert.deepStrictEqual(spec.components.schemas, {
+            Positive: {type: "number", exclusiveMinimum: 0},
+            Percent: {type: "number", minimum: 0, exclusiveMaximum: 100},
+            Orphan: {type: "number"}
+        });
+    });
+
+    it("converts the discriminator written as a property name", () => {
+        let { spec } = normalize({openapi: "3.0.3", components: {schemas: {Pet: {type: "object", discriminator: "petType"}}}});
+        assert.deepStrictEqual(spec.components.schemas.Pet.discriminator, {propertyName: "petType"});
+    });
+
+    it("converts the schemas wherever they are in the document", () => {
+        let { spec } = normalize({openapi: "3.0.3", paths: {"/items": {get: {
+            parameters: [{name: "q", in: "query", schema: {type: "string", nullable: true}}],
+            responses: {"200": {description: "OK", content: {"application/json": {schema: {type: "array", items: {type: "integer", nullable: true}}}}}}
+        }}}});
+        let operation = spec.paths["/items"].get;
+        assert.deepStrictEqual(operation.parameters[0].schema, {type: ["string", "null"]});
+        assert.deepStrictEqual(operation.responses["200"].content["application/json"].schema.items, {type: ["integer", "null"]});
+    });
+
+    it("does not convert the values of examples, defaults and enums", () => {
+        let example = {type: "string", nullable: true, minimum: 1, exclusiveMinimum: true};
+        let { spec } = normalize({openapi: "3.0.3", components: {schemas: {Shape: {
+            type: "object",
+            example: structuredClone(example),
+            default: structuredClone(example),
+            enum: [structuredClone(example)]
+        }}}});
+        let schema = spec.components.schemas.Shape;
+        assert.deepStrictEqual([schema.example, schema.default, schema.enum[0]], [example, example, example]);
+    });
+});
+
+describe("normalizeSchemas", () => {
+    it("converts the schemas of the document referred to from the specification", () => {
+        /** @type {Array<string>} */
+        let warnings = [];
+        let document = SpecNormalizer.normalizeSchemas({Item: {type: "object", properties: {id: {type: "integer", minimum: 0, exclusiveMinimum: true}, note: {type: "string", nullable: true}}}}, warnings);
+        assert.deepStrictEqual(document, {Item: {type: "object", properties: {id: {type: "integer", exclusiveMinimum: 0}, note: {type: ["string", "null"]}}}});
+        assert.deepStrictEqual(warnings, []);
+    });
+});
+
+describe("Swagger 2.0", () => {
+    it("converts the host, the base path and the schemes into the servers", () => {
+        assert.deepStrictEqual(normalize({swagger: "2.0", host: "example.com", basePath: "/v1", schemes: ["http", "https"]}).spec.servers, [{url: "http://example.com/v1"}, {url: "https://example.com/v1"}]);
+        assert.deepStrictEqual(normalize({swagger: "2.0", host: "example.com"}).spec.servers, [{url: "https://example.com"}]);
+        assert.deepStrictEqual(normalize({swagger: "2.0", basePath: "/v1"}).spec.servers, [{url: "/v1"}]);
+    });
+
+    it("moves the definitions into the components and rewrites the references", () => {
+        let { spec } = normalize({
+            swagger: "2.0",
+            info: {title: "t", version: "1"},
+            "x-owner": "team",
+            definitions: {
+                Item: {type: "object", properties: {tags: {type: "array", items: {$ref: "#/definitions/Tag"}}}},
+                Tag: {type: "string"}
+            },
+            parameters: {Id: {name: "id", in: "path", required: true, type: "integer"}},
+            responses: {NotFound: {description: "Not found", schema: {$ref: "#/definitions/Tag"}}},
+            paths: {"/items/{id}": {
+                parameters: [{$ref: "#/parameters/Id"}],
+                get: {responses: {"200": {description: "OK", schema: {$ref: "#/definitions/Item"}}, "404": {$ref: "#/responses/NotFound"}}}
+            }}
+        });
+        assert.strictEqual(spec.openapi, "3.1.0");
+        assert.deepStrictEqual(spec.info, {title: "t", version: "1"});
+        assert.strictEqual(spec["x-owner"], "team");
+        assert.strictEqual(spec.definitions, undefined);
+        assert.deepStrictEqual(spec.components.schemas.Item.properties.tags.items, {$ref: "#/components/schemas/Tag"});
+        assert.deepStrictEqual(spec.components.parameters.Id, {name: "id", in: "path", required: true, schema: {type: "integer"}});
+        assert.deepStrictEqual(spec.components.responses.NotFound, {description: "Not found", content: {"application/json": {schema: {$ref: "#/components/schemas/Tag"}}}});
+        let pathItem = spec.paths["/items/{id}"];
+        assert.deepStrictEqual(pathItem.parameters, [{$ref: "#/components/parameters/Id"}]);
+        assert.deepStrictEqual(pathItem.get.responses["200"].content, {"application/json": {schema: {$ref: "#/components/schemas/Item"}}});
+        assert.deepStrictEqual(pathItem.get.responses["404"], {$ref: "#/components/responses/NotFound"});
+    });
+
+    it("converts the body parameter into the request body of the consumed types", () => {
+        let { spec } = normalize({
+            swagger: "2.0",
+            consumes: ["application/json"],
+            parameters: {Item: {name: "item", in: "body", required: true, schema: {$ref: "#/definitions/Item"}}},
+            definitions: {Item: {type: "object"}},
+            paths: {
+                "/items": {post: {parameters: [{$ref: "#/parameters/Item"}], responses: {}}},
+                "/items/batch": {post: {
+                    consumes: ["application/json", "application/xml"],
+                    parameters: [{name: "items", in: "body", description: "Items", schema: {type: "array", items: {$ref: "#/definitions/Item"}}}],
+                    responses: {}
+                }}
+            }
+        });
+        assert.deepStrictEqual(spec.paths["/items"].post.requestBody, {required: true, content: {"application/json": {schema: {$ref: "#/components/schemas/Item"}}}});
+        assert.strictEqual(spec.paths["/items"].post.parameters, undefined);
+        let schema = {type: "array", items: {$ref: "#/components/schemas/Item"}};
+        assert.deepStrictEqual(spec.paths["/items/batch"].post.requestBody, {description: "Items", content: {"application/json": {schema: schema}, "application/xml": {schema: schema}}});
+        assert.deepStrictEqual(spec.components.requestBodies.Item, {required: true, content: {"application/json": {schema: {$ref: "#/components/schemas/Item"}}}});
+    });
+
+    it("converts the form parameters into the properties of the request body", () => {
+        let { spec } = normalize({
+            swagger: "2.0",
+            paths: {
+                "/avatar": {post: {
+                    parameters: [
+                        {name: "file", in: "formData", type: "file", required: true},
+                        {name: "note", in: "formData", type: "string", description: "Note"}
+                    ],
+                    responses: {}
+                }},
+                "/login": {post: {
+                    parameters: [{name: "user", in: "formData", type: "string", required: true}],
+                    responses: {}
+                }},
+                "/search": {post: {
+                    consumes: ["multipart/form-data", "application/x-www-form-urlencoded"],
+                    parameters: [{name: "q", in: "formData", type: "string"}],
+                    responses: {}
+                }}
+            }
+        });
+        assert.deepStrictEqual(spec.paths["/avatar"].post.requestBody, {required: true, content: {"multipart/form-data": {schema: {
+            type: "object",
+            properties: {file: {type: "string", format: "binary"}, note: {type: "string", description: "Note"}},
+            required: ["file"]
+        }}}});
+        assert.deepStrictEqual(Object.keys(spec.paths["/login"].post.requestBody.content), ["application/x-www-form-urlencoded"]);
+        assert.deepStrictEqual(spec.paths["/search"].post.requestBody.required, false);
+        assert.deepStrictEqual(Object.keys(spec.paths["/search"].post.requestBody.content), ["multipart/form-data", "application/x-www-form-urlencoded"]);
+    });
+
+    it("applies the body and form parameters of the path item to the operations", () => {
+        let { spec, warnings } = normalize({
+            swagger: "2.0",
+            paths: {"/items": {
+                parameters: [{name: "item", in: "body", schema: {type: "object"}}],
+                put: {responses: {}},
+                post: {parameters: [{name: "name", in: "formData", type: "string"}], responses: {}}
+            }}
+        });
+        assert.deepStrictEqual(spec.paths["/items"].put.requestBody, {content: {"application/json": {schema: {type: "object"}}}});
+        assert.strictEqual(spec.paths["/items"].parameters, undefined);
+        assert.deepStrictEqual(spec.paths["/items"].post.requestBody, {content: {"application/json": {schema: {type: "object"}}}});
+        assert.deepStrictEqual(warnings, ["The form parameters of [#/paths/~1items/post] cannot be used with the body parameter and are ignored."]);
+    });
+
+    it("converts the produced types and the examples of the responses", () => {
+        let { spec } = normalize({
+            swagger: "2.0",
+            produces: ["application/json"],
+            paths: {"/items": {get: {
+                produces: ["application/json", "text/csv"],
+                responses: {
+                    "200": {
+                        description: "OK",
+                        schema: {type: "array", items: {type: "string"}},
+                        examples: {"application/json": ["a"]},
+                        headers: {"X-Rate-Limit": {type: "integer", description: "Limit"}, "X-Tags": {type: "array", items: {type: "string"}, collectionFormat: "pipes"}}
+                    },
+                    "204": {description: "No Content"}
+                }
+            }}}
+        });
+        let responses = spec.paths["/items"].get.responses;
+        assert.deepStrictEqual(responses["200"].content, {
+            "application/json": {schema: {type: "array", items: {type: "string"}}, example: ["a"]},
+            "text/csv": {schema: {type: "array", items: {type: "string"}}}
+        });
+        assert.deepStrictEqual(responses["200"].headers["X-Rate-Limit"], {schema: {type: "integer"}, description: "Limit"});
+        assert.deepStrictEqual(responses["204"], {description: "No Content"});
+        assert.strictEqual(spec.paths["/items"].get.produces, undefined);
+    });
+
+    it("converts collectionFormat into the style of the parameter", () => {
+        let { spec, warnings } = normalize({
+            swagger: "2.0",
+            paths: {"/items/{ids}": {get: {
+                parameters: [
+                    {name: "ids", in: "path", required: true, type: "array", items: {type: "integer"}},
+                    {name: "csv", in: "query", type: "array", items: {type: "string"}},
+                    {name: "multi", in: "query", type: "array", items: {type: "string"}, collectionFormat: "multi"},
+                    {name: "ssv", in: "query", type: "array", items: {type: "string"}, collectionFormat: "ssv"},
+                    {name: "pipes", in: "query", type: "array", items: {type: "string"}, collectionFormat: "pipes"},
+                    {name: "tsv", in: "query", type: "array", items: {type: "string"}, collectionFormat: "tsv"},
+                    {name: "X-Ids", in: "header", type: "array", items: {type: "integer"}, collectionFormat: "csv", "x-example": [1, 2]}
+                ],
+                responses: {}
+            }}}
+        });
+        let parameters = spec.paths["/items/{ids}"].get.parameters;
+        assert.deepStrictEqual(parameters.map(parameter => [parameter.name, parameter.style, parameter.explode]), [
+            ["ids", "simple", undefined],
+            ["csv", "form", false],
+            ["multi", "form", true],
+            ["ssv", "spaceDelimited", false],
+            ["pipes", "pipeDelimited", false],
+            ["tsv", "form", false],
+            ["X-Ids", "simple", undefined]
+        ]);
+        assert.deepStrictEqual(parameters[0].schema, {type: "array", items: {type: "integer"}});
+        assert.deepStrictEqual(parameters[6].example, [1, 2]);
+        assert.strictEqual(parameters[6].collectionFormat, undefined);
+        assert.deepStrictEqual(warnings, ["collectionFormat [tsv] of the parameter [tsv] at [#/paths/~1items~1{ids}/get/parameters/5] cannot be converted. The values are separated by commas."]);
+    });
+
+    it("converts the security definitions into the security schemes", () => {
+        let { spec, warnings } = normalize({
+            swagger: "2.0",
+            security: [{oauth: ["read"]}],
+            securityDefinitions: {
+                basic: {type: "basic", description: "Basic"},
+                key: {type: "apiKey", name: "X-API-Key", in: "header"},
+                oauth: {type: "oauth2", flow: "accessCode", authorizationUrl: "https://example.com/authorize", tokenUrl: "https://example.com/token", scopes: {read: "Read"}},
+                client: {type: "oauth2", flow: "application", tokenUrl: "https://example.com/token"},
+                unknown: {type: "oauth2", flow: "device"}
+            }
+        });
+        assert.deepStrictEqual(spec.security, [{oauth: ["read"]}]);
+        assert.deepStrictEqual(spec.components.securitySchemes, {
+            basic: {type: "http", scheme: "basic", description: "Basic"},
+            key: {type: "apiKey", name: "X-API-Key", in: "header"},
+            oauth: {type: "oauth2", flows: {authorizationCode: {authorizationUrl: "https://example.com/authorize", tokenUrl: "https://example.com/token", scopes: {read: "Read"}}}},
+            client: {type: "oauth2", flows: {clientCredentials: {tokenUrl: "https://example.com/token", scopes: {}}}},
+            unknown: {type: "oauth2", flows: {}}
+        });
+        assert.deepStrictEqual(warnings, ["The flow [device] of the security scheme at [#/securityDefinitions/unknown] cannot be converted."]);
+    });
+
+    it("converts x-nullable and the boolean exclusive bounds of the definitions and the parameters", () => {
+        let { spec } = normalize({
+            swagger: "2.0",
+            definitions: {Item: {type: "object", properties: {
+                id: {type: "integer", minimum: 0, exclusiveMinimum: true},
+                note: {type: "string", "x-nullable": true}
+            }}},
+            paths: {"/items": {get: {
+                parameters: [{name: "limit", in: "query", type: "integer", maximum: 100, exclusiveMaximum: true, "x-nullable": true}],
+                responses: {}
+            }}}
+        });
+        assert.deepStrictEqual(spec.components.schemas.Item.properties, {id: {type: "integer", exclusiveMinimum: 0}, note: {type: ["string", "null"]}});
+        assert.deepStrictEqual(spec.paths["/items"].get.parameters[0].schema, {type: ["integer", "null"], exclusiveMaximum: 100});
+    });
+});
@@ -7,12 +7,86 @@ import { OutgoingHttpHeaders } from "http";
 
 export interface TestSet {
     testCases: Array<TestCase>;
+    /** Variables shared by all test cases */
+    variables?: Variables;
+    /** Paths to the plugin modules that register formats, keywords and content handlers, relative to the test set */
+    plugins?: Array<string>;
+    /** Context path of the test cases that do not have their own and of beforeAll and afterAll */
+    contextPath?: string;
+    /** Default timeout of the requests in milliseconds. Defaults to 30000. 0 means no timeout. */
+    timeout?: number;
+    /** Executed once before all test cases, e.g. login. The captured values are shared by all test cases. If it fails, the test cases are skipped. */
+    beforeAll?: Array<Invoke>;
+    /** Executed once after all test cases, even if they failed */
+    afterAll?: Array<Invoke>;
+    /** Executed before the setup of each test case */
+    setup?: Array<Invoke>;
+    /** Executed after the teardown of each test case, even if the test case failed */
+    teardown?: Array<Invoke>;
+    /** Setting of `lupinus load`. The command line options take precedence. */
+    load?: LoadSetting;
+}
+
+export interface LoadSetting {
+    /** Number of the virtual users. Defaults to 1. */
+    users?: number;
+    /** Seconds until all the virtual users are started. Defaults to 0. */
+    rampUp?: number;
+    /** Seconds to repeat the test cases, including the ramp-up */
+    duration?: number;
+    /** Number of the iterations of each virtual user. Defaults to 1 if the duration is omitted. */
+    iterations?: number;
+    /** Titles of the test cases replayed in each iteration. Defaults to all the test cases. */
+    testCases?: Array<string>;
+    /** Validate the requests and the responses against the specification. Defaults to true. */
+    validate?: boolean;
+    /** The load test fails if one of them is exceeded. */
+    thresholds?: Thresholds;
+}
+
+export interface Threshold {
+    /** Upper limits of the latency in milliseconds */
+    mean?: number;
+    p50?: number;
+    p90?: number;
+    p99?: number;
+    max?: number;
+    /** Upper limit of the ratio of the failed or errored requests, e.g. 0.01 */
+    errorRate?: number;
+    /** Lower limit of the requests per second */
+    throughput?: number;
+}
+
+export interface Thresholds extends Threshold {
+    /** Thresholds of each operation by method and path of the specification, e.g. `GET /items/{id}` */
+    operations?: {[operation: string]: Threshold};
 }
 
 export interface TestCase {
     title: string;
     contextPath?: string;
+    /** Timeout of the requests of the test case in milliseconds, including the setup and the teardown */
+    timeout?: number;
+    /** Variables of the test case */
+    variables?: Variables;
+    /**
+     * Rows or the path to a CSV, JSON or YAML file relative to the test set.
+     * The test case is executed for each row, which is referred to as {data.name}. The placeholders of the title are also replaced with the row.
+     */
+    dataset?: string | Array<{[name: string]: any}>;
+    /** Executed before the sequence. If it fails, the sequence is skipped. */
+    setup?: Array<Invoke>;
     sequence: Array<Invoke>;
+    /** With --concurrency, the test case is executed alone after the preceding test cases finish. */
+    serial?: boolean;
+    /** With --concurrency, the test cases with the same lock name are not executed at the same time. */
+    lock?: string;
+    /** Executed after the sequence even if the setup or the sequence failed. The values captured in the sequence can be referred to. */
+    teardown?: Array<Invoke>;
+}
+
+export interface Variables {
+    [name: string]: any;
 }
 
 export interface Invoke {
@@ -22,6 +96,41 @@ export interface Invoke {
     method: "get"|"post"|"patch"|"put"|"delete"|"option"|"head";
     request?: Request;
     response?: Response;
+    /** If false, the request parameters and body are sent without being validated against the specification. Used for negative tests. */
+    validateRequest?: boolean;
+    /** Store the values of the response in variables that can be referred to as {name} or {vars.name} in later steps. */
+    capture?: Captures;
+    /** Repeat the step, e.g. to poll the status of an asynchronous job. */
+    retry?: Retry;
+    /** Timeout of the request in milliseconds. With retry, it applies to each attempt. */
+    timeout?: number;
+}
+
+export interface Retry {
+    /** Maximum number of the attempts including the first one. Defaults to 3. */
+    attempts?: number;
+    /** Wait before the next attempt in milliseconds. Defaults to 1000. */
+    interval?: number;
+    /** The interval is multiplied by this value after each attempt, e.g. 2 for exponential backoff. Defaults to 1. */
+    backoff?: number;
+    /** Upper limit of the interval in milliseconds */
+    maxInterval?: number;
+    /**
+     * Condition of the response body written in the same form as the expected body, e.g. `{$.status == 'done'}`.
+     * The step is repeated while it is not satisfied. If omitted, the step is repeated until it passes.
+     */
+    until?: string;
+}
+
+export interface Captures {
+    /** JSONPath expression for the object consisting of status, headers and body of the response, e.g. `$.body.access_token`. */
+    [name: string]: string | Capture;
+}
+
+export interface Capture {
+    path: string;
+    /** `global` shares the variable with the subsequent test cases. */
+    scope?: "testCase" | "global";
 }
 
 export interface InvokeHeaders {
@@ -30,11 +139,27 @@ export interface InvokeHeaders {
 
 export interface Request {
     headers?: IncomingHttpHeaders;
+    /** Values of the path, query, header and cookie parameters by name. They are serialized according to the style and explode of the specification. */
+    parameters?: Parameters;
     body?: any;
 }
+/** File sent as the request body or a part of multipart/form-data. The path is resolved from the directory of the test set. */
+export interface FileReference {
+    $file: string;
+    /** Defaults to the name of the file. */
+    filename?: string;
+    /** Defaults to the type guessed from the extension. */
+    contentType?: string;
+}
+export interface Parameters {
+    [name: string]: any;
+}
 
 export interface Response {
-    status?: number;
+    /** A placeholder such as `{data.status}` can be written. */
+    status?: number | string;
     headers?: OutgoingHttpHeaders | string;
     body?: any;
+    /** Upper limit of the time until the whole response is received in milliseconds */
+    maxDuration?: number;
 }
\ No newline at end of file
@@ -6,13 +6,183 @@
 // @ts-check
 
 const { readFileSync } = require("fs");
+const Path = require("path");
+const { EventEmitter } = require("events");
 const YAML = require("js-yaml");
 const Http = require("./http");
-const { Logger, LogLevel } = require("./logger");
+const { Logger, LogBuffer, LogLevel } = require("./logger");
 const JSONPath = require("jsonpath");
 const StandardSpecs = require("./standard-specs");
+const Reporter = require("./reporter");
+const { loadEnvironmentFile, isCredentialName } = require("./environment");
+const Generators = require("./generators");
+const ReferenceResolver = require("./reference-resolver");
+const ContentHandlers = require("./content-handlers");
+const SchemaValidator = require("./schema-validator");
+const Formats = require("./formats");
+const Keywords = require("./keywords");
+const SpecNormalizer = require("./spec-normalizer");
 
-class Validator {
+/**
+ * Error thrown when the response does not match the specification or the expected values of the test case.
+ */
+class ValidationError extends Error {
+
+    /**
+     * The schema that the data did not match
+     * @type {object|undefined}
+     */
+    schema;
+
+    /**
+     * @type {any}
+     */
+    data;
+
+    /**
+     * The property name of the data that did not match
+     * @type {string|undefined}
+     */
+    key;
+
+    /**
+     * All the locations where the data did not match the schema
+     * @type {Array<Violation>|undefined}
+     */
+    violations;
+
+    /**
+     * @param {string} message 
+     * @param {object} [schema] 
+     * @param {any} [data] 
+     * @param {string} [key] 
+     * @param {Array<Violation>} [violations] 
+     */
+    constructor(message, schema, data, key, violations) {
+        super(message);
+        this.name = "ValidationError";
+        this.schema = schema;
+        this.data = data;
+        this.key = key;
+        this.violations = violations;
+    }
+}
+
+/**
+ * @typedef {object} Violation
+ * @property {string} instanceLocation JSON pointer to the data, e.g. /items/3/price
+ * @property {string} schemaLocation JSON pointer to the keyword in the schema, e.g. #/properties/items/items/properties/price/minimum
+ * @property {string} keyword The keyword that the data did not satisfy
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} ValidatorOptions
+ * @property {string|import("./reporter").ReporterSetting|Array<string|import("./reporter").ReporterSetting>} [reporter] Overrides the reporter in the log setting.
+ * @property {string} [envFile] Path to the .env file. The variables of the process environment take precedence.
+ * @property {number|string} [seed] Seed of the random values generated in the placeholders
+ * @property {number} [concurrency] Maximum number of the test cases executed in parallel. Defaults to 1.
+ * @property {number} [timeout] Default timeout of the requests in milliseconds. Overrides the test set. 0 means no timeout.
+ * @property {Array<string>} [plugins] Paths to the plugin modules that register formats, keywords and content handlers. Relative paths are resolved from the current directory.
+ */
+
+/**
+ * Module that extends the validation. A function is called with the validator.
+ * @typedef {((validator: Validator) => void)|{formats?: {[name: string]: RegExp|((value: any) => boolean)|import("./formats").Format}, keywords?: {[name: string]: import("./keywords").Keyword}, contentHandlers?: {[mediaRange: string]: import("./content-handlers").ContentHandler}}} Plugin
+ */
+
+/**
+ * @typedef {object} TestContext
+ * @property {Array<any>} responses Response bodies of the executed steps, referred to as context[n]
+ * @property {object} variables Variables captured in the test case
+ * @property {object} globals Variables shared by all test cases
+ * @property {Logger|LogBuffer} logger Logger of the test case, which keeps the logs while the test cases are executed in parallel
+ * @property {number} [timeout] Timeout of the requests of the test case in milliseconds
+ * @property {number} [endTime] Time in epoch milliseconds after which the rest of the steps are skipped
+ */
+
+/**
+ * @typedef {"passed"|"failed"|"errored"|"skipped"} ResultStatus
+ */
+
+/**
+ * @typedef {object} StepResult
+ * @property {string} method
+ * @property {string} path
+ * @property {string} [specPath] Path of the specification that the step is matched to, e.g. /items/{id}
+ * @property {string} [requestPath]
+ * @property {number} [responseStatus]
+ * @property {ResultStatus} status
+ * @property {number} duration
+ * @property {RequestRecord} [request]
+ * @property {ResponseRecord} [response]
+ * @property {Array<AssertionResult>} assertions
+ * @property {Error} [error]
+ * @property {StepPhase} [phase] Omitted for the steps of the sequence
+ * @property {number} [attempts] Number of the attempts of the step with retry. The result is that of the last attempt.
+ * @property {Http.Timings} [timings] Omitted if the response was not received
+ */
+
+/**
+ * @typedef {"setup"|"teardown"} StepPhase
+ */
+
+/**
+ * @typedef {"request"|"schema"|"status"|"headers"|"body"|"duration"|"timeout"} AssertionKind
+ */
+
+/**
+ * @typedef {object} AssertionResult
+ * @property {AssertionKind} kind
+ * @property {boolean} passed
+ * @property {any} [expected]
+ * @property {Error} [error]
+ */
+
+/**
+ * @typedef {object} RequestRecord
+ * @property {string} method
+ * @property {string} url
+ * @property {import("node:http").IncomingHttpHeaders} [headers]
+ * @property {any} [body]
+ */
+
+/**
+ * @typedef {object} ResponseRecord
+ * @property {number|undefined} status
+ * @property {import("node:http").IncomingHttpHeaders} headers
+ * @property {any} body
+ */
+
+/**
+ * @typedef {object} TestCaseResult
+ * @property {string} title
+ * @property {ResultStatus} status
+ * @property {number} duration
+ * @property {Array<StepResult>} steps
+ * @property {Error} [error]
+ */
+
+/**
+ * @typedef {object} ValidationResult
+ * @property {number} passed Number of the test cases. beforeAll and afterAll are not counted.
+ * @property {number} failed
+ * @property {number} errored
+ * @property {number} duration
+ * @property {Array<TestCaseResult>} testCases
+ * @property {TestCaseResult} [beforeAll]
+ * @property {TestCaseResult} [afterAll]
+ */
+
+/**
+ * Events
+ * testCaseStart (result: TestCaseResult, testCase: TestCase)
+ * stepStart (result: StepResult, invoke: Invoke)
+ * assertionFailed (assertion: AssertionResult, step: StepResult)
+ * stepEnd (result: StepResult)
+ * testCaseEnd (result: TestCaseResult)
+ */
+class Validator extends EventEmitter {
 
     /**
      * @type {import("./openapi3.1").OpenAPI}
@@ -35,12 +205,82 @@ class Validator {
     verbose;
 
     /**
-     * @param {string|import("./openapi3.1").OpenAPI} spec
+     * @type {Array<import("./reporter").ReporterSetting>}
+     */
+    reporters;
+
+    /**
+     * Variables referred to as {env.NAME} or {secret.NAME}
+     * @type {{[name: string]: string|undefined}}
+     */
+    environment;
+
+    /**
+     * @type {Generators}
+     */
+    generators;
+
+    /**
+     * @type {ReferenceResolver}
+     */
+    referenceResolver;
+
+    /**
+     * Validators of the format keyword by format name
+     * @type {Formats}
+     */
+    formats;
+
+    /**
+     * Validators of the vendor keywords (x-) of the schemas
+     * @type {Keywords}
+     */
+    keywords;
+
+    /**
+     * @type {SchemaValidator}
+     */
+    schemaValidator;
+
+    /**
+     * Parsers of the response bodies by content type
+     * @type {ContentHandlers}
+     */
+    contentHandlers;
+
+    /**
+     * Directory of the test set. The files sent in the requests are resolved from it.
+     * @type {string}
+     */
+    baseDirectory;
+
+    /**
+     * Maximum number of the test cases executed in parallel
+     * @type {number}
+     */
+    concurrency;
+
+    /**
+     * Default timeout of the requests in milliseconds. 0 means no timeout.
+     * @type {number}
+     */
+    timeout;
+
+    /**
+     * Validate the requests and the responses against the specification. The expected values of the test cases are verified regardless.
+     * @type {boolean}
+     */
+    contractValidation = true;
+
+    /**
+     * @param {string|import("./openapi3.1").OpenAPI|object} spec OpenAPI 3.0 and Swagger 2.0 are converted into 3.1.
      * @param {string|import("./testset").TestSet} [testSet]
      * @param {string|import("./logger").LoggerSetting} [logSetting] 
      * @param {boolean} [verboseLog] 
+     * @param {ValidatorOptions} [options] 
      */
-    constructor(spec, testSet, logSetting, verboseLog) {
+    constructor(spec, testSet, logSetting, verboseLog, options) {
+        super();
         if(spec == null) {
             throw new Error("Invalid specFilePath.");
         }
@@ -52,6 +292,29 @@ class Validator {
         if(this.spec == null) {
             throw new Error("Invalid specFilePath.");
         }
+        // OpenAPI 3.0 and Swagger 2.0 are converted into 3.1.
+        /** @type {Array<string>} */
+        let warnings = [];
+        let specVersion = SpecNormalizer.detectVersion(this.spec);
+        this.spec = SpecNormalizer.normalizeSpec(this.spec, warnings);
+        this.referenceResolver = new ReferenceResolver(this.spec, typeof spec == "string" ? spec : undefined, filePath => {
+            let document = this.loadDefinition(filePath);
+            if(specVersion == "3.1" || document == null) {
+                return document;
+            }
+            /** @type {Array<string>} */
+            let _warnings = [];
+            document = SpecNormalizer.normalizeSchemas(document, _warnings);
+            _warnings.forEach(message => this.writeWarning(`${message} (${filePath})`));
+            return document;
+        });
+        this.formats = new Formats();
+        this.keywords = new Keywords();
+        this.schemaValidator = new SchemaValidator(reference => this.getComponent(reference), {
+            formats: this.formats,
+            keywords: this.keywords,
+            warn: message => this.writeWarning(message)
+        });
 
         if(testSet != null) {
             if(typeof testSet == "string") {
@@ -63,7 +326,14 @@ class Validator {
                 throw new Error("Invalid testSetFilePath.");
             }
         }
+        this.baseDirectory = typeof testSet == "string" ? Path.dirname(Path.resolve(testSet)) : process.cwd();
 
+        if(typeof logSetting == "string") {
+            logSetting = this.loadDefinition(logSetting);
+            if(logSetting == null) {
+                throw new Error("Invalid logSettingFilePath.");
+            }
+        }
         if(logSetting == null) {
             logSetting = {
                 waitForWriting: true
@@ -74,6 +344,80 @@ class Validator {
 
         this.logger = new Logger(undefined, logSetting);
         this.verbose = verboseLog != null ? verboseLog : false;
+
+        if(options != null && options.reporter != null) {
+            this.reporters = Reporter.parseSetting(options.reporter);
+        }else {
+            this.reporters = Reporter.parseSetting(/** @type {import("./logger").LoggerSetting} */(logSetting).reporter);
+        }
+        // The logs would break the report written to the standard output.
+        if(Reporter.usesStandardOutput(this.reporters)) {
+            this.logger.redirectToStandardError();
+        }
+        warnings.forEach(message => this.writeWarning(message));
+
+        this.environment = Object.assign({}, options != null && options.envFile != null ? loadEnvironmentFile(options.envFile) : {}, process.env);
+        this.generators = new Generators(options != null ? options.seed : undefined);
+        this.contentHandlers = new ContentHandlers();
+        this.concurrency = options != null && options.concurrency != null ? options.concurrency : 1;
+        if(!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+            throw new Error(`Invalid concurrency [${this.concurrency}].`);
+        }
+        if(options != null && options.timeout != null) {
+            this.timeout = options.timeout;
+        }else if(this.testSet != null && this.testSet.timeout != null) {
+            this.timeout = this.testSet.timeout;
+        }else {
+            this.timeout = 30000;
+        }
+        if(typeof this.timeout != "number" || isNaN(this.timeout) || this.timeout < 0) {
+            throw new Error(`Invalid timeout [${this.timeout}].`);
+        }
+
+        if(options != null && options.plugins != null) {
+            options.plugins.forEach(plugin => this.loadPlugin(Path.resolve(plugin)));
+        }
+        if(this.testSet != null && this.testSet.plugins != null) {
+            this.testSet.plugins.forEach(plugin => this.loadPlugin(Path.resolve(this.baseDirectory, plugin)));
+        }
+    }
+
+    /**
+     * @param {string} message
+     */
+    writeWarning(message) {
+        this.logger.writeLog(`\u001b[33mWARNING\u001b[0m ${message}`, LogLevel.warning);
+    }
+
+    /**
+     * Register the formats, keywords and content handlers of the plugin module.
+     * @param {string} filePath Absolute path to the module
+     * @throws {Error}
+     */
+    loadPlugin(filePath) {
+        /** @type {Plugin} */
+        let plugin;
+        try {
+            plugin = require(filePath);
+        }catch(error) {
+            throw new Error(`The plugin [${filePath}] could not be loaded. ${error.message}`);
+        }
+        if(typeof plugin == "function") {
+            plugin(this);
+            return;
+        }
+        if(plugin == null || typeof plugin != "object") {
+            throw new Error(`The plugin [${filePath}] must export a function or an object.`);
+        }
+        if(plugin.formats != null) {
+            Object.keys(plugin.formats).forEach(name => this.formats.register(name, plugin.formats[name]));
+        }
+        if(plugin.keywords != null) {
+            Object.keys(plugin.keywords).forEach(name => this.keywords.register(name, plugin.keywords[name]));
+        }
+        if(plugin.contentHandlers != null) {
+            Object.keys(plugin.contentHandlers).forEach(mediaRange => this.contentHandlers.register(mediaRange, plugin.contentHandlers[mediaRange]));
+        }
     }
 
     /**
@@ -94,6 +438,9 @@ class Validator {
         }
     }
 
+    /**
+     * @returns {Promise<ValidationResult>}
+     */
     async validate() {
         if(this.spec == null) {
             throw new Error("Invalid specification.");
@@ -101,44 +448,452 @@ class Validator {
         if(this.testSet == null || this.testSet.testCases == null || this.testSet.testCases.length == 0) {
             throw new Error("Invalid test set.");
         }
-        await this.executeTestCases(this.testSet.testCases, 0);
+        let testCases = this.expandTestCases(this.testSet.testCases);
+        this.prepareEnvironment(Object.assign({}, this.testSet, {testCases: testCases}));
+        if(this.verbose) {
+            this.logger.writeLog(`Random seed: ${this.generators.seed}`);
+        }
+        let startTime = Date.now();
+        /** @type {Array<TestCaseResult>} */
+        let results = [];
+        let globals = Object.assign({}, this.testSet.variables);
+        let prepared = true;
+        let beforeAll;
+        if(this.testSet.beforeAll != null && this.testSet.beforeAll.length > 0) {
+            beforeAll = await this.executeSuiteSequence("beforeAll", this.testSet.beforeAll, globals, false);
+            prepared = beforeAll.status == "passed";
+        }
+        if(prepared) {
+            if(this.concurrency > 1) {
+                await this.executeTestCasesInParallel(testCases, results, globals);
+            }else {
+                await this.executeTestCases(testCases, 0, results, globals);
+            }
+        }else {
+            this.logger.writeLog(`The test cases are skipped because beforeAll did not pass.`);
+            testCases.filter(testCase => testCase.sequence != null && testCase.sequence.length > 0).forEach(testCase => {
+                /** @type {Array<StepResult>} */
+                let steps = [];
+                this.skipSteps(testCase.sequence, steps);
+                results.push({title: testCase.title, status: "skipped", duration: 0, steps: steps});
+            });
+        }
+        let afterAll;
+        if(this.testSet.afterAll != null && this.testSet.afterAll.length > 0) {
+            afterAll = await this.executeSuiteSequence("afterAll", this.testSet.afterAll, globals, true);
+        }
+        /** @type {ValidationResult} */
+        let result = {
+            passed: results.filter(entry => entry.status == "passed").length,
+            failed: results.filter(entry => entry.status == "failed").length,
+            errored: results.filter(entry => entry.status == "errored").length,
+            duration: Date.now() - startTime,
+            testCases: results
+        };
+        // beforeAll and afterAll are reported apart from the test cases.
+        if(beforeAll != null) {
+            result.beforeAll = beforeAll;
+        }
+        if(afterAll != null) {
+            result.afterAll = afterAll;
+        }
+        this.writeSummary(result);
+        Reporter.write(this.reporters, this.maskSecrets(result));
+        return result;
+    }
+
+    /**
+     * Replace the test cases with dataset by the test cases for each row of the dataset.
+     * The row is stored in the variable data, and the placeholders of the title are replaced with it.
+     * @param {Array<import("./testset").TestCase>} testCases 
+     * @returns {Array<import("./testset").TestCase>}
+     * @throws {Error} If the dataset cannot be loaded.
+     */
+    expandTestCases(testCases) {
+        /** @type {Array<import("./testset").TestCase>} */
+        let result = [];
+        testCases.forEach(testCase => {
+            if(testCase.dataset == null) {
+                result.push(testCase);
+                return;
+            }
+            let rows = this.loadDataset(testCase.dataset);
+            rows.forEach((row, index) => {
+                /** @type {TestContext} */
+                let context = {responses: [], variables: {data: row}, globals: {}, logger: this.logger};
+                let title = testCase.title != null && testCase.title.includes("{") ? this.resolveTemplate(testCase.title, context) : `${testCase.title} [${index+1}]`;
+                let _testCase = Object.assign({}, testCase, {
+                    title: title,
+                    variables: Object.assign({}, testCase.variables, {data: row})
+                });
+                delete _testCase.dataset;
+                result.push(_testCase);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * @param {string|Array<object>} dataset Rows or the path to a CSV, JSON or YAML file relative to the test set
+     * @returns {Array<object>}
+     * @throws {Error}
+     */
+    loadDataset(dataset) {
+        let rows;
+        if(typeof dataset == "string") {
+            let filePath = Path.resolve(this.baseDirectory, dataset);
+            try {
+                if(filePath.endsWith(".csv")) {
+                    let handler = /** @type {import("./content-handlers").ContentHandler} */(this.contentHandlers.find("text/csv"));
+                    rows = handler.parse(readFileSync(filePath), {contentType: "text/csv", resolveSchema: schema => schema});
+                    // The cells of CSV are strings, so the numbers and the booleans are converted.
+                    rows.forEach(row => {
+                        Object.keys(row).forEach(key => {
+                            let value = row[key];
+                            if(/^-?(0|[1-9][0-9]*)(\.[0-9]+)?$/.test(value)) {
+                                row[key] = Number(value);
+                            }else if(value == "true" || value == "false") {
+                                row[key] = value == "true";
+                            }
+                        });
+                    });
+                }else {
+                    rows = this.loadDefinition(filePath);
+                }
+            }catch(error) {
+                throw new Error(`The dataset [${filePath}] could not be loaded. ${error.message}`);
+            }
+            if(rows == null) {
+                throw new Error(`The dataset [${filePath}] is not a CSV, JSON or YAML file.`);
+            }
+        }else {
+            rows = dataset;
+        }
+        if(!Array.isArray(rows) || !rows.every(row => this.isPlainObject(row))) {
+            throw new Error(`The dataset [${typeof dataset == "string" ? dataset : JSON.stringify(dataset)}] must be an array of objects.`);
+        }
+        return rows;
+    }
+
+    /**
+     * Check that all the environment variables referred to in the test set are defined before any request is sent,
+     * and register the values of the secrets and the credentials so that they are masked in the logs and the reports.
+     * @param {any} testSet 
+     * @throws {Error}
+     */
+    prepareEnvironment(testSet) {
+        /** @type {Array<string>} */
+        let missingNames = [];
+        /**
+         * @param {any} value 
+         */
+        let scan = value => {
+            if(typeof value == "string") {
+                for(let matched of value.matchAll(/{(env|secret)\.([a-zA-Z_][a-zA-Z0-9_]*)}/g)) {
+                    let name = matched[2];
+                    let variable = this.environment[name];
+                    if(variable === undefined) {
+                        if(!missingNames.includes(name)) {
+                            missingNames.push(name);
+                        }
+                    }else if(matched[1] == "secret" || isCredentialName(name)) {
+                        // Credentials are often referred to with env. as well, e.g. {env.CLIENT_SECRET}.
+                        this.logger.addSecret(variable);
+                    }
+                }
+            }else if(Array.isArray(value)) {
+                value.forEach(entry => scan(entry));
+            }else if(value != null && typeof value == "object") {
+                Object.keys(value).forEach(key => scan(value[key]));
+            }
+        };
+        scan(testSet);
+        if(missingNames.length > 0) {
+            throw new Error(`The environment variables [${missingNames.join(", ")}] are not defined.`);
+        }
     }
 
     /**
      * @param {Array<import("./testset").TestCase>} testCases 
      * @param {number} index 
+     * @param {Array<TestCaseResult>} results 
+     * @param {object} globals 
      */
-    async executeTestCases(testCases, index) {
+    async executeTestCases(testCases, index, results, globals) {
         let testCase = testCases[index];
-        if(testCase.sequence == null || testCase.sequence.length == 0) {
-            return;
+        if(testCase.sequence != null && testCase.sequence.length > 0) {
+            results.push(await this.executeTestCase(testCase, globals));
+        }
+        if(index+1 < testCases.length) {
+            await this.executeTestCases(testCases, index+1, results, globals);
         }
-        this.logger.writeLog(`Test [${testCase.title}] is started.`);
-        let contextPath = testCase.contextPath;
+    }
+
+    /**
+     * Execute the test cases in parallel up to the concurrency. The steps of each test case are executed in order.
+     * A test case with serial is executed alone after the preceding test cases finish, and the test cases with the same lock are not executed at the same time.
+     * The logs of each test case are written when it finishes.
+     * @param {Array<import("./testset").TestCase>} testCases 
+     * @param {Array<TestCaseResult>} results 
+     * @param {object} globals 
+     */
+    async executeTestCasesInParallel(testCases, results, globals) {
+        let pending = testCases.filter(testCase => testCase.sequence != null && testCase.sequence.length > 0);
+        /** @type {Array<TestCaseResult>} */
+        let _results = new Array(pending.length);
+        /** @type {Map<import("./testset").TestCase, Promise<void>>} */
+        let running = new Map();
+        let next = 0;
+        /** @type {Set<import("./testset").TestCase>} */
+        let started = new Set();
+        while(started.size < pending.length || running.size > 0) {
+            for(let index=next; index<pending.length && running.size < this.concurrency; index++) {
+                let testCase = pending[index];
+                if(started.has(testCase)) {
+                    continue;
+                }
+                if(testCase.serial) {
+                    // The following test cases wait until the serial one finishes.
+                    if(running.size == 0 && index == next) {
+                        this.startTestCase(testCase, index, globals, _results, running, started);
+                    }
+                    break;
+                }
+                let lock = testCase.lock;
+                if(lock != null && Array.from(running.keys()).some(_testCase => _testCase.lock == lock)) {
+                    continue;
+                }
+                this.startTestCase(testCase, index, globals, _results, running, started);
+            }
+            while(next < pending.length && started.has(pending[next])) {
+                next++;
+            }
+            if(running.size > 0) {
+                await Promise.race(running.values());
+            }
+        }
+        results.push(..._results);
+    }
+
+    /**
+     * @param {import("./testset").TestCase} testCase 
+     * @param {number} index 
+     * @param {object} globals 
+     * @param {Array<TestCaseResult>} results 
+     * @param {Map<import("./testset").TestCase, Promise<void>>} running 
+     * @param {Set<import("./testset").TestCase>} started 
+     */
+    startTestCase(testCase, index, globals, results, running, started) {
+        let logger = new LogBuffer(this.logger);
+        started.add(testCase);
+        running.set(testCase, this.executeTestCase(testCase, globals, logger).then(result => {
+            results[index] = result;
+        }).finally(() => {
+            logger.flush();
+            running.delete(testCase);
+        }));
+    }
+
+    /**
+     * The setup of the test set and the test case, the sequence and the teardown of the test case and the test set are executed in this order.
+     * The teardown is executed even if the setup or the sequence fails.
+     * @param {import("./testset").TestCase} testCase 
+     * @param {object} globals 
+     * @param {Logger|LogBuffer} [logger] Defaults to the logger of the validator.
+     * @param {number} [endTime] Time in epoch milliseconds after which the rest of the sequence is skipped. The teardown is still executed.
+     * @returns {Promise<TestCaseResult>}
+     */
+    async executeTestCase(testCase, globals, logger, endTime) {
+        if(logger == null) {
+            logger = this.logger;
+        }
+        logger.writeLog(`Test [${testCase.title}] is started.`);
+        let startTime = Date.now();
+        /** @type {TestCaseResult} */
+        let result = {
+            title: testCase.title,
+            status: "passed",
+            duration: 0,
+            steps: []
+        };
+        this.emit("testCaseStart", result, testCase);
+        let contextPath = testCase.contextPath != null ? testCase.contextPath : this.testSet.contextPath;
         if(contextPath == null) {
             contextPath = "";
         }
+        /** @type {TestContext} */
+        let context = {
+            responses: [],
+            variables: Object.assign({}, testCase.variables),
+            globals: globals,
+            logger: logger,
+            timeout: testCase.timeout,
+            endTime: endTime
+        };
+        let setup = (this.testSet.setup != null ? this.testSet.setup : []).concat(testCase.setup != null ? testCase.setup : []);
+        let teardown = (testCase.teardown != null ? testCase.teardown : []).concat(this.testSet.teardown != null ? this.testSet.teardown : []);
+
+        /** @type {Error|null} */
+        let error = null;
+        if(setup.length > 0) {
+            // The responses of the setup are not counted in context[n] of the sequence. Their values are referred to with capture.
+            error = await this.executeSequence(contextPath, setup, {responses: [], variables: context.variables, globals: globals, logger: logger, timeout: testCase.timeout}, result.steps, "setup");
+        }
+        if(error == null) {
+            error = await this.executeSequence(contextPath, testCase.sequence, context, result.steps);
+        }else {
+            this.skipSteps(testCase.sequence, result.steps);
+        }
+        // The teardown is executed after the end time to clean up.
+        context.endTime = undefined;
+        for(let invoke of teardown) {
+            // All the steps of the teardown are executed to clean up as much as possible.
+            let _error = await this.executeSequence(contextPath, [invoke], context, result.steps, "teardown");
+            if(error == null) {
+                error = _error;
+            }
+        }
+        if(error != null) {
+            result.status = this.isValidationError(error) ? "failed" : "errored";
+            result.error = error;
+        }
+        result.duration = Date.now() - startTime;
+        this.emit("testCaseEnd", result);
+        return result;
+    }
+
+    /**
+     * Execute beforeAll or afterAll of the test set. The values captured in them are shared by all the test cases.
+     * @param {string} title
+     * @param {Array<import("./testset").Invoke>} sequence 
+     * @param {object} globals 
+     * @param {boolean} continueOnError Execute the rest of the steps even if a step fails.
+     * @returns {Promise<TestCaseResult>}
+     */
+    async executeSuiteSequence(title, sequence, globals, continueOnError) {
+        /** @type {import("./testset").TestCase} */
+        let testCase = {title: title, contextPath: this.testSet.contextPath, sequence: sequence};
+        this.logger.writeLog(`[${title}] is started.`);
+        let startTime = Date.now();
+        /** @type {TestCaseResult} */
+        let result = {
+            title: title,
+            status: "passed",
+            duration: 0,
+            steps: []
+        };
+        this.emit("testCaseStart", result, testCase);
+        let contextPath = testCase.contextPath != null ? testCase.contextPath : "";
+        /** @type {TestContext} */
+        let context = {
+            responses: [],
+            variables: globals,
+            globals: globals,
+            logger: this.logger
+        };
+        /** @type {Error|null} */
+        let error = null;
+        if(continueOnError) {
+            for(let invoke of sequence) {
+                let _error = await this.executeSequence(contextPath, [invoke], context, result.steps);
+                if(error == null) {
+                    error = _error;
+                }
+            }
+        }else {
+            error = await this.executeSequence(contextPath, sequence, context, result.steps);
+        }
+        if(error != null) {
+            result.status = this.isValidationError(error) ? "failed" : "errored";
+            result.error = error;
+        }
+        result.duration = Date.now() - startTime;
+        this.emit("testCaseEnd", result);
+        return result;
+    }
+
+    /**
+     * Execute the steps in order until one of them fails. The rest of the steps are recorded as skipped.
+     * @param {string} contextPath
+     * @param {Array<import("./testset").Invoke>} sequence 
+     * @param {TestContext} context
+     * @param {Array<StepResult>} results
+     * @param {StepPhase} [phase]
+     * @returns {Promise<Error|null>} The error of the failed step
+     */
+    async executeSequence(contextPath, sequence, context, results, phase) {
+        let count = results.length;
         try {
-            await this.invoke(contextPath, testCase.sequence, 0, []);
+            await this.invoke(contextPath, sequence, 0, context, results, phase);
         }catch(error) {
-            /**
-             * @param {Logger} logger
-             * @param {Error} error 
-             */
-            function logError(logger, error) {
-                if(!(error instanceof AggregateError)) {
-                    logger.writeLog(`\u001b[31mNG\u001b[0m ${error.message}`);
-                    logger.writeLog(error.stack, LogLevel.debug);
-                }else {
-                    error.errors.forEach(_error => {
-                        logError(logger, _error);
-                    })
-                }
+            this.logError(error, context.logger);
+            this.skipSteps(sequence.slice(results.length - count), results, phase);
+            return error;
+        }
+        return null;
+    }
+
+    /**
+     * @param {Array<import("./testset").Invoke>} sequence 
+     * @param {Array<StepResult>} results
+     * @param {StepPhase} [phase]
+     */
+    skipSteps(sequence, results, phase) {
+        sequence.forEach(invoke => {
+            /** @type {StepResult} */
+            let result = {
+                method: invoke.method,
+                path: invoke.path,
+                status: "skipped",
+                duration: 0,
+                assertions: []
+            };
+            if(phase != null) {
+                result.phase = phase;
             }
-            logError(this.logger, error);
+            results.push(result);
+        });
+    }
+
+    /**
+     * @param {Error} error 
+     * @param {Logger|LogBuffer} logger 
+     */
+    logError(error, logger) {
+        if(!(error instanceof AggregateError)) {
+            logger.writeLog(`\u001b[31mNG\u001b[0m ${error.message}`);
+            logger.writeLog(error.stack, LogLevel.debug);
+        }else {
+            error.errors.forEach(_error => {
+                this.logError(_error, logger);
+            });
         }
-        if(index+1 < testCases.length) {
-            await this.executeTestCases(testCases, index+1);
+    }
+
+    /**
+     * @param {Error} error 
+     * @returns {boolean}
+     */
+    isValidationError(error) {
+        if(error instanceof AggregateError) {
+            return error.errors.length > 0 && error.errors.every(_error => this.isValidationError(_error));
+        }
+        // The timeout is a failure of the server, not of the test.
+        return error instanceof ValidationError || error instanceof Http.TimeoutError;
+    }
+
+    /**
+     * @param {ValidationResult} result 
+     */
+    writeSummary(result) {
+        this.logger.writeLog(`Summary: \u001b[32m${result.passed} passed\u001b[0m, \u001b[31m${result.failed} failed\u001b[0m, \u001b[33m${result.errored} errored\u001b[0m (${(result.duration/1000).toFixed(3)}s)`);
+        let failedTestCases = Reporter.listTestCases(result).filter(testCase => testCase.status == "failed" || testCase.status == "errored");
+        if(failedTestCases.length > 0) {
+            this.logger.writeLog(`Failed tests:`);
+            failedTestCases.forEach(testCase => {
+                let timedOut = testCase.error instanceof Http.TimeoutError;
+                this.logger.writeLog(`  - [${testCase.title}] ${testCase.status}${timedOut ? " (timeout)" : ""}`);
+            });
         }
     }
 
@@ -146,15 +901,150 @@ class Validator {
      * @param {string} contextPath
      * @param {Array<import("./testset").Invoke>} sequence 
      * @param {number} index 
-     * @param {Array<any>} context
+     * @param {TestContext} context
+     * @param {Array<StepResult>} results
+     * @param {StepPhase} [phase]
      * @throws {Error}
      */
-    async invoke(contextPath, sequence, index, context) {
+    async invoke(contextPath, sequence, index, context, results, phase) {
+        if(context.endTime != null && Date.now() >= context.endTime) {
+            this.skipSteps(sequence.slice(index), results, phase);
+            return;
+        }
         let invoke = sequence[index];
+        /** @type {StepResult} */
+        let result = {
+            method: invoke.method,
+            path: invoke.path,
+            status: "passed",
+            duration: 0,
+            assertions: []
+        };
+        if(phase != null) {
+            result.phase = phase;
+        }
+        results.push(result);
+        this.emit("stepStart", result, invoke);
+        let startTime = Date.now();
+        let response;
+        try {
+            if(invoke.retry != null) {
+                response = await this.invokeStepWithRetry(contextPath, invoke, context, result);
+            }else {
+                response = await this.invokeStep(contextPath, invoke, context, result);
+            }
+        }catch(error) {
+            result.status = this.isValidationError(error) ? "failed" : "errored";
+            result.error = error;
+            throw error;
+        }finally {
+            result.duration = Date.now() - startTime;
+            this.emit("stepEnd", result);
+        }
+        context.logger.writeLog(`\u001b[32mPASS\u001b[0m ${invoke.method} ${result.requestPath}`);
+        context.responses.push(response.body);
+        if(index+1 < sequence.length) {
+            await this.invoke(contextPath, sequence, index+1, context, results, phase);
+        }
+    }
+
+    /**
+     * Repeat the step until the condition of until is satisfied, or until the step passes if until is omitted.
+     * Transient network errors are also retried. Only the last attempt is recorded in the result.
+     * @param {string} contextPath
+     * @param {import("./testset").Invoke} invoke 
+     * @param {TestContext} context
+     * @param {StepResult} result
+     * @returns {Promise<Http.HttpResponse>}
+     * @throws {Error}
+     */
+    async invokeStepWithRetry(contextPath, invoke, context, result) {
+        let retry = /** @type {import("./testset").Retry} */(invoke.retry);
+        let attempts = retry.attempts != null ? retry.attempts : 3;
+        let interval = retry.interval != null ? retry.interval : 1000;
+        let backoff = retry.backoff != null ? retry.backoff : 1;
+        for(let attempt=1; ; attempt++) {
+            /** @type {StepResult} */
+            let attemptResult = {
+                method: result.method,
+                path: result.path,
+                status: "passed",
+                duration: 0,
+                assertions: []
+            };
+            let response;
+            let error;
+            try {
+                response = await this.invokeStep(contextPath, invoke, context, attemptResult);
+            }catch(_error) {
+                error = _error;
+            }
+            let transient = error != null && this.isTransientError(error);
+            // Errors other than the failures of the assertions, e.g. the path is not in the specification, do not change in the next attempt.
+            let fatal = error != null && !transient && !this.isValidationError(error);
+            /** @type {string|null} */
+            let reason = null;
+            if(transient) {
+                reason = error.message;
+            }else if(!fatal && retry.until != null) {
+                if(attemptResult.response == null || !this.evalBrackets(retry.until, context, attemptResult.response.body)) {
+                    reason = `The condition [${retry.until}] is not satisfied.`;
+                }
+            }else if(!fatal && error != null) {
+                reason = error.message;
+            }
+            if(fatal || reason == null || attempt >= attempts) {
+                Object.keys(attemptResult).forEach(key => {
+                    result[key] = attemptResult[key];
+                });
+                result.attempts = attempt;
+                if(reason != null && !transient && retry.until != null) {
+                    throw new ValidationError(`The condition [${retry.until}] is not satisfied after ${attempt} attempts.`);
+                }
+                if(error != null) {
+                    throw error;
+                }
+                return /** @type {Http.HttpResponse} */(response);
+            }
+            if(this.verbose) {
+                context.logger.writeLog(`RETRY: Attempt ${attempt} of ${attempts} for ${invoke.method} ${invoke.path} did not finish. ${reason} The next attempt is made in ${interval}ms.`);
+            }
+            await new Promise(resolve => setTimeout(resolve, interval));
+            interval = interval * backoff;
+            if(retry.maxInterval != null) {
+                interval = Math.min(interval, retry.maxInterval);
+            }
+        }
+    }
+
+    /**
+     * Errors of the connection that may not occur in the next attempt
+     * @param {Error} error 
+     * @returns {boolean}
+     */
+    isTransientError(error) {
+        let code = /** @type {NodeJS.ErrnoException} */(error).code;
+        return ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH"].includes(code) || error.message == "socket hang up";
+    }
+
+    /**
+     * @param {string} contextPath
+     * @param {import("./testset").Invoke} invoke 
+     * @param {TestContext} context
+     * @param {StepResult} result
+     * @returns {Promise<Http.HttpResponse>}
+     * @throws {Error}
+     */
+    async invokeStep(contextPath, invoke, context, result) {
         if(invoke.path == null || invoke.method == null) {
             throw new Error(`Invalid invoke.\n${JSON.stringify(invoke, null, 4)}`)
         }
 
+        // The path of the specification is kept before the placeholders are replaced.
+        let specPath = invoke.path;
+        contextPath = this.resolveTemplate(contextPath, context);
+        invoke = this.resolveInvoke(invoke, context);
+
         let requestPath = invoke.path;
         if(!requestPath.startsWith("http")) {
             if(invoke.contextPath != null) {
@@ -164,7 +1054,11 @@ class Validator {
             }
         }
 
-        let path = this.spec.paths[invoke.path];
+        let pathTemplate = this.findPath(specPath, invoke.path);
+        let path = pathTemplate != null ? this.getPathItem(pathTemplate) : null;
+        if(pathTemplate != null) {
+            result.specPath = pathTemplate;
+        }
         if(path == null) {
             if(invoke.spec != null) {
                 let spec = StandardSpecs.getSpec(invoke.spec);
@@ -174,7 +1068,7 @@ class Validator {
             }
         }
         if(path == null) {
-            throw new Error(`[${invoke.path}] is not found in the specification.`);
+            throw new Error(`[${specPath}] is not found in the specification.`);
         }
         
         let method = invoke.method.toLowerCase();
@@ -183,7 +1077,7 @@ class Validator {
         }
 
         let requestHeaders;
-        if(invoke.request != null) {
+        if(invoke.request != null && invoke.request.headers != null) {
             requestHeaders = invoke.request.headers;
             
             Object.keys(requestHeaders).forEach(key => {
@@ -199,163 +1093,199 @@ class Validator {
                     let credential = authorization.substring("Basic ".length).trim();
                     // If it is not encoded, it is Base64 encoded.
                     if(/^{.+:.+}$/.test(credential)) {
+                        let containsSecret = this.logger.containsSecret(credential);
                         credential = Buffer.from(credential.substring(1, credential.length-1)).toString("base64");
+                        if(containsSecret) {
+                            this.logger.addSecret(credential);
+                        }
                         if(requestHeaders["authorization"] != null) {
                             requestHeaders["authorization"] = authorization.replace(/{.+}/, credential);
                         }else {
                             requestHeaders["Authorization"] = authorization.replace(/{.+}/, credential);
                         }
                     }
-                }else if(authorization.startsWith("Bearer ")) {
-                    let credential = authorization.substring("Bearer ".length).trim();
-                    // Replace context references.
-                    if(requestHeaders["authorization"] != null) {
-                        requestHeaders["authorization"] = "Bearer " + this.replaceBrackets(credential, context);
-                    }else {
-                        requestHeaders["authorization"] = "Bearer " + this.replaceBrackets(credential, context);
-                    }
                 }
             }
         }
 
         let requestBody;
+        /** @type {{[name: string]: any}|undefined} */
+        let parameterValues;
         if(invoke.request != null) {
             requestBody = invoke.request.body;
+            parameterValues = invoke.request.parameters;
         }
-
-        if(path.parameters != null && path.parameters.length > 0) {
-            path.parameters.forEach(parameter => {
-                if(parameter["$ref"] == null) {
-                    parameter = /** @type {import("./openapi3.1").Parameter} */(parameter);
-                    if(parameter.in == "path" && parameter.name != null) {
-                        if(requestBody != null) {
-                            let value = requestBody[parameter.name];
-                            if(value !== undefined) {
-                                if(typeof value == "string") {
-                                    value = this.replaceBrackets(value, context);
-                                }
-                                if(parameter.schema != null) {
-                                    this.validateJson(value, parameter.schema, parameter.name, true);
-                                }
-                                delete requestBody[parameter.name];
-                                requestPath = requestPath.replace("{"+parameter.name+"}", encodeURIComponent(value));
-                            }else {
-                                if(parameter.required != null && parameter.required) {
-                                    throw new Error(`Parameter [${parameter.name}] is required.`);
-                                }
-                            }
-                        }else {
-                            if(parameter.required != null && parameter.required) {
-                                throw new Error(`Parameter [${parameter.name}] is required.`);
-                            }
-                        }
-                    }
-                }else {
-                    let component = this.getComponent(parameter["$ref"]);
-                    if(requestBody != null && component != null && component.properties != null) {
-                        this.validateJson(requestBody, component);
-                        Object.keys(component.properties).forEach(key => {
-                            let value = requestBody[key];
-                            if(value !== undefined) {
-                                delete requestBody[key];
-                                requestPath = requestPath.replace("{"+key+"}", encodeURIComponent(value));
-                            }
-                        });
-                    }
-                }
-            });
-        }
+        let validateRequest = this.contractValidation && (invoke.validateRequest == null || invoke.validateRequest);
+        let bodyKeyCount = this.isPlainObject(requestBody) ? Object.keys(requestBody).length : 0;
 
         /** @type {import("./openapi3.1").Operation} */
         let operation = path[method];
-        if(operation.parameters != null && operation.parameters.length > 0) {
-            let queryParameters = operation.parameters.map(parameter => {
-                if(parameter["$ref"] == null) {
-                    parameter = /** @type {import("./openapi3.1").Parameter} */(parameter);
-                    if(parameter.in == "query" && parameter.name != null) {
-                        if(requestBody != null) {
-                            let value = requestBody[parameter.name];
-                            if(value !== undefined) {
-                                if(typeof value == "string") {
-                                    value = this.replaceBrackets(value, context);
-                                }
-                                if(parameter.schema != null) {
-                                    this.validateJson(value, parameter.schema, parameter.name, true);
-                                }
-                                delete requestBody[parameter.name];
-                                return parameter.name + "=" + encodeURIComponent(value);
-                            }else {
-                                if(parameter.required != null && parameter.required) {
-                                    throw new Error(`Parameter [${parameter.name}] is required.`);
-                                }
-                            }
-                        }else {
-                            if(parameter.required != null && parameter.required) {
-                                throw new Error(`Parameter [${parameter.name}] is required.`);
-                            }
-                        }
-                    }else if(parameter.in == "path" && parameter.name != null) {
-                        if(requestBody != null) {
-                            let value = requestBody[parameter.name];
-                            if(value !== undefined) {
-                                if(typeof value == "string") {
-                                    value = this.replaceBrackets(value, context);
-                                }
-                                if(parameter.schema != null) {
-                                    this.validateJson(value, parameter.schema, parameter.name, true);
-                                }
-                                delete requestBody[parameter.name];
-                                requestPath = requestPath.replace("{"+parameter.name+"}", encodeURIComponent(value));
-                            }else {
-                                if(parameter.required != null && parameter.required) {
-                                    throw new Error(`Parameter [${parameter.name}] is required.`);
-                                }
-                            }
-                        }else {
-                            if(parameter.required != null && parameter.required) {
-                                throw new Error(`Parameter [${parameter.name}] is required.`);
-                            }
-                        }
-                    }
-                }else {
-                    let component = this.getComponent(parameter["$ref"]);
-                    if(requestBody != null && component != null && component.properties != null) {
+        if(operation == null) {
+            throw new Error(`The method [${method}] of [${specPath}] is not defined in the specification.`);
+        }
+
+        /** @type {Array<string>} */
+        let queryParameters = [];
+        /** @type {Array<string>} */
+        let cookies = [];
+        /** @type {Array<string>} */
+        let parameterNames = [];
+        this.getParameters(path, operation).forEach(parameter => {
+            if(parameter["$ref"] != null) {
+                // Reference to a schema whose properties are the path parameters in the body
+                let component = this.getComponent(parameter["$ref"]);
+                if(this.isPlainObject(requestBody) && component != null && component.properties != null) {
+                    if(validateRequest) {
                         this.validateJson(requestBody, component);
-                        Object.keys(component.properties).forEach(key => {
-                            let value = requestBody[key];
-                            if(value !== undefined) {
-                                delete requestBody[key];
-                                return key + "=" + encodeURIComponent(value);
-                            }
-                        });
                     }
+                    Object.keys(component.properties).forEach(key => {
+                        let value = requestBody[key];
+                        if(value !== undefined) {
+                            delete requestBody[key];
+                            requestPath = requestPath.replace("{"+key+"}", encodeURIComponent(value));
+                        }
+                    });
+                }
+                return;
+            }
+            parameter = /** @type {import("./openapi3.1").Parameter} */(parameter);
+            if(parameter.name == null) {
+                return;
+            }
+            // These headers are defined by the request itself, not by the parameters.
+            if(parameter.in == "header" && ["accept", "content-type", "authorization"].includes(parameter.name.toLowerCase())) {
+                return;
+            }
+            parameterNames.push(parameter.name);
+
+            let value;
+            if(parameterValues != null && parameterValues[parameter.name] !== undefined) {
+                value = parameterValues[parameter.name];
+            }else if((parameter.in == "path" || parameter.in == "query") && this.isPlainObject(requestBody) && requestBody[parameter.name] !== undefined) {
+                // The parameters written in the body are also accepted.
+                value = requestBody[parameter.name];
+                delete requestBody[parameter.name];
+            }
+            if(value === undefined) {
+                if(validateRequest && parameter.required != null && parameter.required && !this.isParameterSupplied(parameter, requestPath, requestHeaders)) {
+                    throw new Error(`Parameter [${parameter.name}] is required.`);
+                }
+                return;
+            }
+            if(parameter.schema != null && validateRequest) {
+                this.validateJson(value, parameter.schema, parameter.name, true);
+            }
+
+            let serialized = this.serializeParameter(parameter, value);
+            if(parameter.in == "path") {
+                requestPath = requestPath.replace("{"+parameter.name+"}", serialized);
+            }else if(parameter.in == "query") {
+                queryParameters.push(serialized);
+            }else if(parameter.in == "header") {
+                if(requestHeaders == null) {
+                    requestHeaders = {};
                 }
-                return null;
-            }).filter(parameter => parameter != null).join("&");
-            if(queryParameters.length > 0) {
-                requestPath = requestPath + "?" + queryParameters;
+                let name = parameter.name;
+                let key = Object.keys(requestHeaders).find(key => key.toLowerCase() == name.toLowerCase());
+                requestHeaders[key != null ? key : name] = serialized;
+            }else if(parameter.in == "cookie") {
+                cookies.push(serialized);
             }
+        });
+
+        if(parameterValues != null) {
+            Object.keys(parameterValues).filter(name => !parameterNames.includes(name)).forEach(name => {
+                if(validateRequest) {
+                    throw new Error(`Parameter [${name}] is not defined in the specification.`);
+                }
+                // Undefined parameters are sent as query parameters in negative tests.
+                queryParameters.push(this.serializeParameter({name: name, in: "query"}, parameterValues[name]));
+            });
+        }
+        if(queryParameters.length > 0) {
+            requestPath = requestPath + (requestPath.includes("?") ? "&" : "?") + queryParameters.join("&");
+        }
+        if(cookies.length > 0) {
+            if(requestHeaders == null) {
+                requestHeaders = {};
+            }
+            let key = Object.keys(requestHeaders).find(key => key.toLowerCase() == "cookie");
+            let cookie = this.getHeader(requestHeaders, "cookie");
+            requestHeaders[key != null ? key : "cookie"] = (cookie != null && cookie.length > 0 ? cookie + "; " : "") + cookies.join("; ");
         }
 
+        // The body that consisted only of parameters is not sent.
+        if(bodyKeyCount > 0 && this.isPlainObject(requestBody) && Object.keys(requestBody).length == 0) {
+            requestBody = undefined;
+        }
+
+        let loadedBody = this.loadFiles(requestBody);
+        if(validateRequest && operation.requestBody != null) {
+            this.assert(result, "request", undefined, () => {
+                this.validateRequestBody(operation.requestBody, requestHeaders, loadedBody);
+            });
+        }
+
+        result.requestPath = this.logger.maskSecrets(requestPath);
+
         if(this.verbose) {
-            this.logger.writeLog(`${invoke.method} ${requestPath}`);
-            this.logger.writeLog(`REQUEST:`);
-            this.logger.writeLog(JSON.stringify(requestHeaders));
-            this.logger.writeLog(JSON.stringify(requestBody));
+            context.logger.writeLog(`${invoke.method} ${requestPath}`);
+            context.logger.writeLog(`REQUEST:`);
+            context.logger.writeLog(JSON.stringify(requestHeaders));
+            context.logger.writeLog(JSON.stringify(requestBody));
         }
 
-        let response = await Http.request(method, requestPath, requestHeaders, requestBody);
+        result.request = {
+            method: method.toUpperCase(),
+            url: this.logger.maskSecrets(requestPath),
+            headers: requestHeaders != null ? this.maskSecrets(requestHeaders) : undefined,
+            body: this.maskSecrets(requestBody)
+        };
+
+        // Content types of the parts of multipart/form-data
+        let encoding;
+        let contentType = this.getHeader(requestHeaders, "content-type");
+        if(operation.requestBody != null && contentType != null) {
+            let requestBodySpec = operation.requestBody["$ref"] != null ? this.getComponent(operation.requestBody["$ref"]) : operation.requestBody;
+            if(requestBodySpec != null && requestBodySpec.content != null) {
+                let mediaType = this.getMediaType(requestBodySpec.content, contentType);
+                if(mediaType != null) {
+                    encoding = mediaType.encoding;
+                }
+            }
+        }
+
+        let timeout = invoke.timeout != null ? invoke.timeout : context.timeout != null ? context.timeout : this.timeout;
+        let response;
+        try {
+            response = await Http.request(method, requestPath, requestHeaders, loadedBody, encoding, timeout);
+        }catch(error) {
+            if(error instanceof Http.TimeoutError) {
+                this.assert(result, "timeout", timeout, () => {
+                    throw error;
+                });
+            }
+            throw error;
+        }
+        result.responseStatus = response.status;
+        result.timings = response.timings;
+        result.response = {
+            status: response.status,
+            headers: response.headers,
+            body: response.body
+        };
 
         if(this.verbose) {
-            this.logger.writeLog(`RESPONSE:`);
-            this.logger.writeLog(`Status: ${response.status}`);
-            this.logger.writeLog(JSON.stringify(response.headers));
+            context.logger.writeLog(`RESPONSE:`);
+            context.logger.writeLog(`Status: ${response.status}`);
+            context.logger.writeLog(`Time: ${response.timings.firstByte}ms to first byte, ${response.timings.total}ms in total`);
+            context.logger.writeLog(JSON.stringify(response.headers));
             if(response.body instanceof Buffer) {
-                this.logger.writeLog(response.body.toString("utf8"));
+                context.logger.writeLog(response.body.toString("utf8"));
             }else if(typeof response.body == "object") {
-                this.logger.writeLog(JSON.stringify(response.body));
+                context.logger.writeLog(JSON.stringify(response.body));
             }else {
-                this.logger.writeLog(response.body);
+                context.logger.writeLog(response.body);
             }
         }
         
@@ -364,116 +1294,361 @@ class Validator {
             if(responseSpec == null) {
                 responseSpec = operation.responses["default"];
             }
-            if(responseSpec != null) {
-                if(responseSpec["$ref"] == null) {
-                    let responseContentType = response.headers["content-type"];
-                    if(responseContentType != null) {
-                        if(responseContentType.includes(";")) {
-                            responseContentType = responseContentType.substring(0, responseContentType.indexOf(";")).trim();
-                        }
-                        let mediaType = responseSpec["content"][responseContentType];
-                        if(mediaType != null && mediaType.schema != null) {
-                            let schema = mediaType.schema;
-                            if(schema["$ref"] != null) {
-                                schema = this.getComponent(schema["$ref"]);
-                            }
-                            if(responseContentType.startsWith("application/json")) {
-                                this.validateJson(response.body, schema);
-                            }else {
-                                throw new Error(`Response content type [${responseContentType}] is not supported.`);
-                            }
-                        }else {
-                            throw new Error(`There is no corresponding definition for the response context type [${responseContentType}].`);
-                        }
-                    }
-                }else {
+            if(responseSpec != null && responseSpec["$ref"] != null) {
+                // Response object of the components (#/components/responses/...)
+                let component = this.getComponent(responseSpec["$ref"]);
+                if(component != null && (component.content != null || component.description != null || component.headers != null)) {
+                    responseSpec = component;
+                }
+            }
+
+            let responseContentType = this.getHeader(response.headers, "content-type");
+            let mediaType;
+            let schema;
+            if(responseSpec != null && responseSpec["$ref"] == null && responseSpec["content"] != null && responseContentType != null) {
+                mediaType = this.getMediaType(responseSpec["content"], responseContentType);
+                if(mediaType != null && mediaType.schema != null) {
+                    schema = mediaType.schema["$ref"] != null ? this.getComponent(mediaType.schema["$ref"]) : mediaType.schema;
+                }
+            }
+
+            // The body that is not JSON is parsed by the handler of the content type so that the later steps can refer to it.
+            let handler = responseContentType != null ? this.contentHandlers.find(responseContentType) : null;
+            let parseError = response.parseError;
+            if(handler != null && response.body instanceof Buffer) {
+                try {
+                    response.body = handler.parse(response.body, {
+                        contentType: /** @type {string} */(responseContentType),
+                        schema: schema,
+                        resolveSchema: schema => this.getComponent(schema["$ref"])
+                    });
+                }catch(error) {
+                    parseError = error;
+                }
+            }
+
+            let validateBody = () => {
+                if(responseSpec == null) {
+                    return;
+                }
+                if(responseSpec["$ref"] != null) {
                     let component = this.getComponent(responseSpec["$ref"]);
                     if(component != null) {
                         this.validateJson(response.body, component);
                     }
+                    return;
                 }
+                if(responseContentType == null || responseSpec["content"] == null) {
+                    return;
+                }
+                if(mediaType == null) {
+                    throw new ValidationError(`There is no corresponding definition for the response context type [${responseContentType}].`);
+                }
+                if(parseError != null) {
+                    throw new ValidationError(`Response body cannot be parsed as [${responseContentType}]. ${parseError.message}`);
+                }
+                if(handler == null) {
+                    this.validateBinaryBody(response.body, response.headers, schema);
+                }else if(schema != null) {
+                    if(handler.validate != null) {
+                        handler.validate(response.body, schema, (data, schema) => this.validateJson(data, schema));
+                    }else {
+                        this.validateJson(response.body, schema);
+                    }
+                }
+            };
+            if(this.contractValidation) {
+                this.assert(result, "schema", undefined, () => {
+                    /** @type {Array<Error>} */
+                    let errors = [];
+                    try {
+                        validateBody();
+                    }catch(error) {
+                        errors.push(error);
+                    }
+                    if(responseSpec != null && responseSpec["$ref"] == null && responseSpec["headers"] != null) {
+                        errors = errors.concat(this.validateResponseHeaders(responseSpec["headers"], response.headers));
+                    }
+                    if(errors.length == 1) {
+                        throw errors[0];
+                    }else if(errors.length > 1) {
+                        throw new AggregateError(errors);
+                    }
+                });
             }
         }
 
         if(invoke.response != null) {
             let testingResponse = invoke.response;
             if(testingResponse.status != null) {
-                if(testingResponse.status != response.status) {
-                    throw new Error(`Response status [${response.status}] differs from expected value [${testingResponse.status}].\nResponse body:\n${this.stringifyObject(response.body)}`);
-                }
+                this.assert(result, "status", testingResponse.status, () => {
+                    if(testingResponse.status != response.status) {
+                        throw new ValidationError(`Response status [${response.status}] differs from expected value [${testingResponse.status}].\nResponse body:\n${this.stringifyObject(response.body)}`);
+                    }
+                });
             }
             if(testingResponse.headers != null) {
-                let expectedHeaders = testingResponse.headers;
-                if(typeof expectedHeaders == "string") {
-                    if(!this.evalBrackets(expectedHeaders, context, response.headers)) {
-                        throw new Error(`Response body differs from expected value.\nResponse headers:\n${this.stringifyObject(response.headers)}\nExpected:\n${expectedHeaders}.`);
-                    }
-                }else {
-                    Object.keys(expectedHeaders).forEach(key => {
-                        if(expectedHeaders[key] != response.headers[key]) {
-                            throw new Error(`Response header [${response.headers[key]}] differs from expected value [${expectedHeaders[key]}].`);
+                this.assert(result, "headers", testingResponse.headers, () => {
+                    let expectedHeaders = testingResponse.headers;
+                    if(typeof expectedHeaders == "string") {
+                        if(!this.evalBrackets(expectedHeaders, context, response.headers)) {
+                            throw new ValidationError(`Response body differs from expected value.\nResponse headers:\n${this.stringifyObject(response.headers)}\nExpected:\n${expectedHeaders}.`);
                         }
-                    });
-                }
+                    }else {
+                        Object.keys(expectedHeaders).forEach(key => {
+                            let value = this.getHeader(response.headers, key);
+                            if(expectedHeaders[key] != value) {
+                                throw new ValidationError(`Response header [${value}] differs from expected value [${expectedHeaders[key]}].`);
+                            }
+                        });
+                    }
+                });
             }
             if(testingResponse.body != null) {
-                let expectedBody = testingResponse.body;
-                if(!this.evalBrackets(expectedBody, context, response.body)) {
-                    throw new Error(`Response body differs from expected value.\nResponse body:\n${this.stringifyObject(response.body)}\nExpected:\n${expectedBody}.`);
-                }else if(!/{.+}/.test(expectedBody) && this.stringifyObject(response.body) != this.stringifyObject(expectedBody)) {
-                    throw new Error(`Response body differs from expected value.\nResponse body:\n${this.stringifyObject(response.body)}\nExpected:\n${expectedBody}.`);
+                this.assert(result, "body", testingResponse.body, () => {
+                    if(response.parseError != null) {
+                        throw new ValidationError(`Response body cannot be parsed as [${this.getHeader(response.headers, "content-type")}]. ${response.parseError.message}`);
+                    }
+                    let expectedBody = testingResponse.body;
+                    if(typeof expectedBody == "string" && /{.+}/.test(expectedBody)) {
+                        if(!this.evalBrackets(expectedBody, context, response.body)) {
+                            throw new ValidationError(`Response body differs from expected value.\nResponse body:\n${this.stringifyObject(response.body)}\nExpected:\n${expectedBody}.`);
+                        }
+                    }else if(this.stringifyObject(response.body) != this.stringifyObject(expectedBody)) {
+                        throw new ValidationError(`Response body differs from expected value.\nResponse body:\n${this.stringifyObject(response.body)}\nExpected:\n${this.stringifyObject(expectedBody)}.`);
+                    }
+                });
+            }
+            if(testingResponse.maxDuration != null) {
+                let maxDuration = testingResponse.maxDuration;
+                this.assert(result, "duration", maxDuration, () => {
+                    if(response.timings.total > maxDuration) {
+                        throw new ValidationError(`Response time [${response.timings.total}ms] exceeds the maximum duration [${maxDuration}ms].`);
+                    }
+                });
+            }
+        }
+        if(invoke.capture != null) {
+            this.captureVariables(invoke.capture, response, context);
+        }
+
+        return response;
+    }
+
+    /**
+     * Store the values of the response in the variables.
+     * The JSONPath expressions are evaluated for the object consisting of status, headers and body of the response.
+     * @param {import("./testset").Captures} capture 
+     * @param {Http.HttpResponse} response 
+     * @param {TestContext} context 
+     * @throws {Error}
+     */
+    captureVariables(capture, response, context) {
+        let target = {
+            status: response.status,
+            headers: response.headers,
+            body: response.body
+        };
+        Object.keys(capture).forEach(name => {
+            let setting = capture[name];
+            let path = typeof setting == "string" ? setting : setting.path;
+            let scope = typeof setting == "string" ? "testCase" : setting.scope;
+            let values = JSONPath.query(target, path);
+            if(values.length == 0) {
+                throw new Error(`The variable [${name}] could not be captured. [${path}] is not found in the response.`);
+            }
+            if(scope == "global") {
+                context.globals[name] = values[0];
+            }else {
+                context.variables[name] = values[0];
+            }
+            if(this.verbose) {
+                context.logger.writeLog(`CAPTURE: ${name} = ${this.stringifyObject(values[0])}`);
+            }
+        });
+    }
+
+    /**
+     * Replace the placeholders in contextPath, path, request and expected response of the invoke.
+     * The invoke in the test set is not modified.
+     * @param {import("./testset").Invoke} invoke 
+     * @param {TestContext} context 
+     * @returns {import("./testset").Invoke}
+     * @throws {Error}
+     */
+    resolveInvoke(invoke, context) {
+        let resolved = Object.assign({}, invoke);
+        resolved.contextPath = this.resolveTemplate(invoke.contextPath, context);
+        resolved.path = this.resolveTemplate(invoke.path, context);
+        if(invoke.request != null) {
+            resolved.request = {
+                headers: this.resolveTemplate(invoke.request.headers, context),
+                parameters: this.resolveTemplate(invoke.request.parameters, context),
+                body: this.resolveTemplate(invoke.request.body, context)
+            };
+        }
+        if(invoke.response != null) {
+            // The conditions such as {$.sku == data.sku} are not references, so they are left for the assertions.
+            resolved.response = Object.assign({}, invoke.response, {
+                status: this.resolveTemplate(invoke.response.status, context),
+                headers: this.resolveTemplate(invoke.response.headers, context),
+                body: this.resolveTemplate(invoke.response.body, context)
+            });
+        }
+        return resolved;
+    }
+
+    /**
+     * Replace the placeholders in the strings included in the value.
+     * If the whole string is a placeholder, the referred value is used as it is so that its type is preserved.
+     * Placeholders that are not references are left as they are.
+     * @param {any} value 
+     * @param {TestContext} context 
+     * @returns {any}
+     * @throws {Error}
+     */
+    resolveTemplate(value, context) {
+        if(typeof value == "string") {
+            // Inner placeholders are replaced first, e.g. {base64({secret.CREDENTIAL})}.
+            for(let depth=0; depth<8; depth++) {
+                let matched = value.match(/^{([^{}]+)}$/);
+                if(matched != null) {
+                    let resolved = this.replaceContext(matched[1], context);
+                    return resolved !== matched[1] ? resolved : value;
                 }
+                let replaced = value.replace(/{([^{}]+)}/g, (source, target) => {
+                    let resolved = this.replaceContext(target, context);
+                    if(resolved === target) {
+                        return source;
+                    }
+                    return (resolved != null && typeof resolved == "object") ? JSON.stringify(resolved) : String(resolved);
+                });
+                if(replaced == value) {
+                    break;
+                }
+                value = replaced;
+            }
+            return value;
+        }else if(Array.isArray(value)) {
+            return value.map(entry => this.resolveTemplate(entry, context));
+        }else if(value != null && typeof value == "object" && !(value instanceof Buffer)) {
+            let resolved = {};
+            Object.keys(value).forEach(key => {
+                resolved[key] = this.resolveTemplate(value[key], context);
+            });
+            return resolved;
+        }
+        return value;
+    }
+
+    /**
+     * Copy the value replacing the file references {$file: "path"} with the contents of the files.
+     * The path is resolved from the directory of the test set.
+     * @param {any} value 
+     * @returns {any}
+     * @throws {Error}
+     */
+    loadFiles(value) {
+        if(Array.isArray(value)) {
+            return value.map(entry => this.loadFiles(entry));
+        }else if(this.isPlainObject(value)) {
+            if(typeof value["$file"] == "string") {
+                return Http.loadFile(Path.resolve(this.baseDirectory, value["$file"]), value["filename"], value["contentType"]);
             }
+            let loaded = {};
+            Object.keys(value).forEach(key => {
+                loaded[key] = this.loadFiles(value[key]);
+            });
+            return loaded;
         }
-        this.logger.writeLog(`\u001b[32mPASS\u001b[0m ${invoke.method} ${requestPath}`);
-        context.push(response.body);
-        if(index+1 < sequence.length) {
-            await this.invoke(contextPath, sequence, index+1, context);
+        return value;
+    }
+
+    /**
+     * Copy the value replacing the secrets in the strings with ***.
+     * @param {any} value 
+     * @returns {any}
+     */
+    maskSecrets(value) {
+        if(typeof value == "string") {
+            return this.logger.maskSecrets(value);
+        }else if(Array.isArray(value)) {
+            return value.map(entry => this.maskSecrets(entry));
+        }else if(value instanceof Buffer) {
+            let string = value.toString("utf8");
+            let masked = this.logger.maskSecrets(string);
+            return masked != string ? Buffer.from(masked, "utf8") : value;
+        }else if(value instanceof Error) {
+            // The copy keeps the class so that the reporters can tell the failures from the errors.
+            let masked = Object.create(Object.getPrototypeOf(value));
+            Object.getOwnPropertyNames(value).forEach(key => {
+                masked[key] = this.maskSecrets(value[key]);
+            });
+            return masked;
+        }else if(value != null && typeof value == "object") {
+            let masked = {};
+            Object.keys(value).forEach(key => {
+                masked[key] = this.maskSecrets(value[key]);
+            });
+            return masked;
         }
+        return value;
     }
 
     /**
-     * @param {string | null} definition 
-     * @param {Array<any>} context 
-     * @param {Http.HttpResponse} [response] 
-     * @returns {string | null}
-     */
-    replaceBrackets(definition, context, response) {
-        if(definition == null) return null;
-        definition = definition.replace(/{([^}]+)}/g, (_, target) => {
-            target = this.replaceContext(target, context);
-            if(response != null) {
-                target = this.replaceResponse(target, response);
-            }
-            return target;
-        });
-        return definition;
+     * Run the assertion and record the result in the step.
+     * @param {StepResult} step 
+     * @param {AssertionKind} kind 
+     * @param {any} expected 
+     * @param {() => void} assertion 
+     * @throws {Error}
+     */
+    assert(step, kind, expected, assertion) {
+        /** @type {AssertionResult} */
+        let result = {
+            kind: kind,
+            passed: true
+        };
+        if(expected !== undefined) {
+            result.expected = expected;
+        }
+        step.assertions.push(result);
+        try {
+            assertion();
+        }catch(error) {
+            result.passed = false;
+            result.error = error;
+            this.emit("assertionFailed", result, step);
+            throw error;
+        }
     }
 
     /**
+     * Evaluate the conditions in the brackets such as {$.status == 'done'}.
+     * A bracket that is not a comparison of the supported operators is not satisfied.
      * @param {string | null} definition 
-     * @param {Array<any>} context 
+     * @param {TestContext} context 
      * @param {any} response 
-     * @returns {boolean}
+     * @returns {boolean} True if the definition has conditions and all of them are satisfied
      */
     evalBrackets(definition, context, response) {
         if(definition == null) return false;
         let results = [];
         definition.replace(/{([^}]+)}/g, (source, target) => {
-            let result = true;
-            target.replace(/^([a-zA-Z0-9_.*\(\)\[\]@<>=!$'":-]+) ([=><!]+|in) ([a-zA-Z0-9_.*\(\)\[\]@<>=!$'":-]+)$/, (source, operand1, operator, operand2) => {
-                if(/^'.+'$/.test(operand1) || /^".+"$/.test(operand1)) {
+            let result = false;
+            target.replace(/^('[^']*'|"[^"]*"|[a-zA-Z0-9_.*\(\)\[\]@<>=!$'":-]+) ([=><!]+|in) ('[^']*'|"[^"]*"|[a-zA-Z0-9_.*\(\)\[\]@<>=!$'":-]+)$/, (source, operand1, operator, operand2) => {
+                if(/^'.*'$/.test(operand1) || /^".*"$/.test(operand1)) {
                     operand1 = operand1.substring(1, operand1.length-1);
                 }else {
-                    operand1 = this.replaceContext(operand1, context);
-                    operand1 = this.replaceResponse(operand1, response);
+                    let value = this.replaceContext(operand1, context);
+                    operand1 = value !== operand1 ? value : this.replaceResponse(operand1, response);
                 }
 
-                if(/^'.+'$/.test(operand2) || /^".+"$/.test(operand1)) {
+                if(/^'.*'$/.test(operand2) || /^".*"$/.test(operand2)) {
                     operand2 = operand2.substring(1, operand2.length-1);
                 }else {
-                    operand2 = this.replaceContext(operand2, context);
-                    operand2 = this.replaceResponse(operand2, response);
+                    let value = this.replaceContext(operand2, context);
+                    operand2 = value !== operand2 ? value : this.replaceResponse(operand2, response);
                 }
 
                 if(operator == "=" || operator == "==") {
@@ -580,19 +1755,57 @@ class Validator {
             results.push(result);
             return source;
         });
-        return results.every(entry => entry);
+        return results.length > 0 && results.every(entry => entry);
     }
 
     /**
+     * Resolve a reference to the response of the previous step (context[n].path), a generator function (uuid(), now(+1d)),
+     * an environment variable (env.NAME, secret.NAME) or a variable (name, vars.name.path).
+     * If the definition is not a reference, it is returned as it is.
      * @param {string} definition 
-     * @param {Array<any>} context 
-     * @returns {string}
+     * @param {TestContext} context 
+     * @returns {any}
+     * @throws {Error}
      */
     replaceContext(definition, context) {
-        return definition.replace(/^context\[([0-9]{1,})\]\.([a-zA-Z0-9_.*\(\)\[\]@<>=!]+)$/, (_, index, target) => {
-            let values = JSONPath.query(context[index], target);
+        let matched = definition.match(/^context\[([0-9]{1,})\]\.([a-zA-Z0-9_.*\(\)\[\]@<>=!]+)$/);
+        if(matched != null) {
+            let values = JSONPath.query(context.responses[Number(matched[1])], matched[2]);
             return values.length > 0 ? values[0] : null;
-        });
+        }
+        matched = definition.match(/^([a-zA-Z][a-zA-Z0-9]*)\((.*)\)$/);
+        if(matched != null && this.generators.has(matched[1])) {
+            return this.generators.call(matched[1], matched[2]);
+        }
+        matched = definition.match(/^(env|secret)\.([a-zA-Z_][a-zA-Z0-9_]*)$/);
+        if(matched != null) {
+            let value = this.environment[matched[2]];
+            if(value === undefined) {
+                throw new Error(`The environment variable [${matched[2]}] is not defined.`);
+            }
+            return value;
+        }
+        matched = definition.match(/^(vars\.)?([a-zA-Z_][a-zA-Z0-9_]*)((\.|\[)[a-zA-Z0-9_.*\(\)\[\]@<>=!'"-]+)?$/);
+        if(matched != null) {
+            let name = matched[2];
+            let value;
+            if(Object.prototype.hasOwnProperty.call(context.variables, name)) {
+                value = context.variables[name];
+            }else if(Object.prototype.hasOwnProperty.call(context.globals, name)) {
+                value = context.globals[name];
+            }else {
+                if(matched[1] != null) {
+                    throw new Error(`The variable [${name}] is not defined.`);
+                }
+                return definition;
+            }
+            if(matched[3] != null) {
+                let values = JSONPath.query(value, "$"+matched[3]);
+                return values.length > 0 ? values[0] : null;
+            }
+            return value;
+        }
+        return definition;
     }
 
     /**
@@ -601,6 +1814,10 @@ class Validator {
      * @returns {string|Array<string>}
      */
     replaceResponse(definition, response) {
+        // Literals are not JSONPath expressions; 1 would select the second item of an array.
+        if(/^-?[0-9.]+$/.test(definition) || definition == "true" || definition == "false" || definition == "null") {
+            return definition;
+        }
         let values = JSONPath.query(response, definition);
         return values.length == 1 ? values[0] : (values.length > 1 ? values : definition);
     }
@@ -622,300 +1839,559 @@ class Validator {
     }
 
     /**
+     * Validate the data against the schema of JSON Schema 2020-12.
      * @param {any} data 
      * @param {import("./json-schema").JsonSchema} schema 
-     * @param {string} [key] 
-     * @param {boolean} [enableCast]
+     * @param {string} [key] Name of the data, used in the error message when the violation is at the root
+     * @param {boolean} [enableCast] Convert the string into the type of the schema before validation, e.g. for parameters.
      * @throws {Error}
      */
     validateJson(data, schema, key, enableCast) {
-        if(schema.oneOf != null) {
-            if(schema.oneOf.length == 0) {
-                throw new Error(`Schema is invalid.\n${JSON.stringify(schema, null, 4)}`);
-            }
-            let _error;
-            let result = schema.oneOf.some(_schema => {
-                try {
-                    this.validateJson(data, _schema, key);
-                }catch(error) {
-                    _error = error;
-                    return false;
-                }
-                return true;
-            });
-            if(!result) {
-                throw _error;
-            }
+        if(enableCast != undefined && enableCast) {
+            data = this.castValue(data, schema);
+        }
+        let errors = this.schemaValidator.validate(data, schema);
+        if(errors.length == 0) {
             return;
-        }else if(schema.anyOf != null) {
-            if(schema.anyOf.length == 0) {
-                throw new Error(`Schema is invalid.\n${JSON.stringify(schema, null, 4)}`);
+        }
+        /** @type {Array<Violation>} */
+        let violations = errors.map(error => {
+            return {
+                instanceLocation: error.instanceLocation,
+                schemaLocation: error.schemaLocation,
+                keyword: error.keyword,
+                message: error.message
+            };
+        });
+        let lines = violations.map(violation => {
+            let location = violation.instanceLocation.length > 0 ? violation.instanceLocation : (key != null ? key : "(root)");
+            return `  ${location}: ${violation.message} [${violation.keyword} at ${violation.schemaLocation}]`;
+        });
+        let location = violations[0].instanceLocation.split("/");
+        let errorKey = location.length > 1 ? location[location.length-1].replaceAll("~1", "/").replaceAll("~0", "~") : key;
+        throw new ValidationError(`Data and schema do not match.\n${lines.join("\n")}`, schema, data, errorKey, violations);
+    }
+
+    /**
+     * Convert the primitive value into the type of the schema. The value is returned as it is if it cannot be converted.
+     * @param {any} value 
+     * @param {import("./json-schema").JsonSchema} schema 
+     * @returns {any}
+     */
+    castValue(value, schema) {
+        if(schema != null && schema["$ref"] != null) {
+            let component = this.getComponent(schema["$ref"]);
+            if(component != null) {
+                schema = component;
             }
-            let _error;
-            let result = schema.anyOf.some(_schema => {
-                try {
-                    this.validateJson(data, _schema, key);
-                }catch(error) {
-                    _error = error;
-                    return false;
-                }
-                return true;
-            });
-            if(!result) {
-                throw _error;
+        }
+        if(schema == null || schema.type == null) {
+            return value;
+        }
+        /** @type {Array<string>} */
+        let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if(typeof value == "string") {
+            if((types.includes("integer") || types.includes("number")) && value.trim().length > 0 && !isNaN(Number(value))) {
+                return Number(value);
+            }else if(types.includes("boolean") && (value == "true" || value == "false")) {
+                return value == "true";
             }
-            return;
-        }else if(schema.allOf != null) {
-            if(schema.allOf.length == 0) {
-                throw new Error(`Schema is invalid.\n${JSON.stringify(schema, null, 4)}`);
+        }else if((typeof value == "number" || typeof value == "boolean") && types.includes("string") && !types.includes(typeof value)) {
+            return String(value);
+        }
+        return value;
+    }
+
+    /**
+     * Find the path item of the specification.
+     * If the path is not defined as it is, the path whose template matches the resolved path is used.
+     * @param {string} path The path written in the test case
+     * @param {string} [resolvedPath] The path whose placeholders are replaced
+     * @returns {import("./openapi3.1").PathItem|null} 
+     */
+    getPathItem(path, resolvedPath) {
+        let templatePath = this.findPath(path, resolvedPath);
+        return templatePath != null ? this.resolvePathItem(this.spec.paths[templatePath]) : null;
+    }
+
+    /**
+     * Find the key of the path item of the specification in the same way as getPathItem.
+     * @param {string} path The path written in the test case
+     * @param {string} [resolvedPath] The path whose placeholders are replaced
+     * @returns {string|null} The path of the specification such as /items/{id}
+     */
+    findPath(path, resolvedPath) {
+        if(this.spec.paths == null) {
+            return null;
+        }
+        if(this.spec.paths[path] != null) {
+            return path;
+        }
+        if(resolvedPath == null) {
+            return null;
+        }
+        if(resolvedPath.includes("?")) {
+            resolvedPath = resolvedPath.substring(0, resolvedPath.indexOf("?"));
+        }
+        if(this.spec.paths[resolvedPath] != null) {
+            return resolvedPath;
+        }
+        let templatePath = Object.keys(this.spec.paths).find(templatePath => {
+            let pattern = templatePath.split(/{[^}]+}/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("[^/]+");
+            return new RegExp("^"+pattern+"$").test(resolvedPath);
+        });
+        return templatePath != null ? templatePath : null;
+    }
+
+    /**
+     * @param {import("./openapi3.1").PathItem} pathItem 
+     * @returns {import("./openapi3.1").PathItem}
+     */
+    resolvePathItem(pathItem) {
+        if(pathItem["$ref"] != null) {
+            let component = this.getComponent(pathItem["$ref"]);
+            if(component != null) {
+                return component;
             }
-            let _error;
-            let result = schema.allOf.every(_schema => {
-                try {
-                    this.validateJson(data, _schema, key);
-                }catch(error) {
-                    _error = error;
-                    return false;
-                }
-                return true;
-            });
-            if(!result) {
-                throw _error;
+        }
+        return pathItem;
+    }
+
+    /**
+     * Validate the request body of the test case against the requestBody of the operation.
+     * @param {import("./openapi3.1").RequestBody|import("./openapi3.1").Reference} requestBodySpec 
+     * @param {import("node:http").IncomingHttpHeaders|undefined} requestHeaders 
+     * @param {any} requestBody 
+     * @throws {Error}
+     */
+    validateRequestBody(requestBodySpec, requestHeaders, requestBody) {
+        if(requestBodySpec["$ref"] != null) {
+            let component = this.getComponent(requestBodySpec["$ref"]);
+            if(component == null) {
+                throw new Error(`The request body [${requestBodySpec["$ref"]}] is not found in the specification.`);
             }
+            requestBodySpec = component;
+        }
+        requestBodySpec = /** @type {import("./openapi3.1").RequestBody} */(requestBodySpec);
+        if(requestBody == null) {
+            if(requestBodySpec.required != null && requestBodySpec.required) {
+                throw new ValidationError(`The request body is required.`);
+            }
+            return;
+        }
+        if(requestBodySpec.content == null) {
             return;
-        }else if(schema.not != null) {
+        }
+        let contentType = this.getHeader(requestHeaders, "content-type");
+        if(contentType == null) {
+            throw new ValidationError(`The content type of the request body is not specified. Available content types are [${Object.keys(requestBodySpec.content).join(", ")}].`);
+        }
+        let mediaType = this.getMediaType(requestBodySpec.content, contentType);
+        if(mediaType == null) {
+            throw new ValidationError(`The request content type [${contentType}] is not defined in the specification.`);
+        }
+        if(requestBody instanceof Http.FileContent || requestBody instanceof Buffer) {
+            // A file is validated only if it is JSON.
+            if(!/[/+]json\b/.test(contentType) || mediaType.schema == null) {
+                return;
+            }
+            let data = requestBody instanceof Http.FileContent ? requestBody.data : requestBody;
             try {
-                this.validateJson(data, schema.not, key);
+                requestBody = JSON.parse(data.toString("utf8"));
             }catch(error) {
-                return;
+                throw new ValidationError(`The request body cannot be parsed as JSON. ${error.message}`);
             }
-            throw ValidationError(schema, data, "The data meets a negative condition.", key);
-        }
-
-        if(schema["$ref"] != null) {
-            let _schema = this.getComponent(schema["$ref"]);
-            if(_schema == null) {
-                throw new Error(`Schema is invalid.\n${JSON.stringify(schema, null, 4)}`);
+        }else if(contentType.toLowerCase().startsWith("multipart/form-data")) {
+            // A body written as a string or a buffer is sent as it is.
+            if(!this.isPlainObject(requestBody)) {
+                return;
             }
-            schema = _schema;
-        }
-
-        /**
-         * 
-         * @param {object} schema 
-         * @param {any} data 
-         * @param {string} message 
-         * @param {string} [key] 
-         * @returns {Error}
-         */
-        function ValidationError(schema, data, message, key) {
-            return new Error(`Data and schema do not match. ${message}${key != null ? "\nKEY: "+key : ""}\nSCHEMA:\n${JSON.stringify(schema, null, 4)}\nDATA:\n${JSON.stringify(data, null, 4)}`);
+            requestBody = this.convertParts(requestBody, mediaType.encoding);
+        }else if(!/[/+]json\b/.test(contentType) && !contentType.startsWith("application/x-www-form-urlencoded")) {
+            return;
         }
-
-        if(schema.type == null) {
-            throw new Error(`Schema is invalid.\n${JSON.stringify(schema, null, 4)}`);
+        if(mediaType.schema != null) {
+            this.validateJson(requestBody, mediaType.schema);
         }
+    }
 
-        if(schema.type == "array") {
-            if(!Array.isArray(data)) {
-                throw ValidationError(schema, data, "Type mismatch.", key);
-            }
-            if(schema.maxItems != null) {
-                if(data.length > schema.maxItems) {
-                    throw ValidationError(schema, data, "The value is above the maximum length.", key);
+    /**
+     * Convert the parts of multipart/form-data into the values validated against the schema.
+     * Files are converted into strings with one character per byte, so that maxLength limits their sizes.
+     * @param {{[name: string]: any}} requestBody 
+     * @param {import("./openapi3.1").Encodings} [encoding] 
+     * @returns {{[name: string]: any}}
+     * @throws {ValidationError} If the content type of a file is not declared in the encoding of the part.
+     */
+    convertParts(requestBody, encoding) {
+        /** @type {{[name: string]: any}} */
+        let result = {};
+        Object.keys(requestBody).forEach(name => {
+            let declaredType = encoding != null && encoding[name] != null ? encoding[name].contentType : undefined;
+            /** @type {(value: any) => any} */
+            let convert = value => {
+                if(value instanceof Http.FileContent) {
+                    if(declaredType != null && value.contentType != null && !Http.matchContentType(declaredType, value.contentType)) {
+                        throw new ValidationError(`The content type [${value.contentType}] of the part [${name}] is not one of [${declaredType}].`);
+                    }
+                    return value.data.toString("latin1");
+                }else if(value instanceof Buffer) {
+                    return value.toString("latin1");
                 }
+                return value;
+            };
+            if(requestBody[name] !== undefined) {
+                result[name] = Array.isArray(requestBody[name]) ? requestBody[name].map(convert) : convert(requestBody[name]);
             }
-            if(schema.minItems != null) {
-                if(data.length < schema.minItems) {
-                    throw ValidationError(schema, data, "The value is below the maximum length.", key);
-                }
+        });
+        return result;
+    }
+
+    /**
+     * Validate the response headers against the headers of the response object.
+     * The header names are case-insensitive, and Content-Type is ignored as it is validated by the content.
+     * @param {import("./openapi3.1").Headers} headersSpec 
+     * @param {import("node:http").IncomingHttpHeaders} responseHeaders 
+     * @returns {Array<Error>} Violations of all headers
+     */
+    validateResponseHeaders(headersSpec, responseHeaders) {
+        /** @type {Array<Error>} */
+        let errors = [];
+        Object.keys(headersSpec).forEach(name => {
+            if(name.toLowerCase() == "content-type") {
+                return;
             }
-            if(schema.items != null) {
-                let valueSchema = schema.items;
-                if(valueSchema["$ref"] != null) {
-                    let _valueSchema = this.getComponent(valueSchema["$ref"]);
-                    if(_valueSchema != null) {
-                        valueSchema = _valueSchema;
+            try {
+                let header = headersSpec[name];
+                if(header["$ref"] != null) {
+                    header = this.getComponent(header["$ref"]);
+                    if(header == null) {
+                        throw new Error(`The header [${headersSpec[name]["$ref"]}] is not found in the specification.`);
                     }
                 }
-                data.forEach(value => {
-                    this.validateJson(value, valueSchema);
-                });
-            }
-        }else if(schema.type == "object") {
-            if(data == null || typeof data != "object") {
-                throw ValidationError(schema, data, "Type mismatch.", key);
-            }
-            let errors = [];
-            Object.keys(data).forEach(key => {
-                if(schema.required != null) {
-                    schema.required.forEach(key => {
-                        if(data[key] === undefined) {
-                            throw ValidationError(schema, undefined, "Required property is not included.", key);
-                        }
-                    });
+                header = /** @type {import("./openapi3.1").Header} */(header);
+                let value = this.getHeader(responseHeaders, name);
+                if(value == null) {
+                    if(header.required != null && header.required) {
+                        throw new ValidationError(`Required response header [${name}] is not included.`, undefined, undefined, name);
+                    }
+                    return;
                 }
-                if(schema.properties != null) {
-                    let value = data[key];
-                    let valueSchema = schema.properties[key];
-                    if(valueSchema == null) {
-                        throw ValidationError(schema, value, "Schema not found.", key);
+                if(header.schema != null) {
+                    let schema = header.schema["$ref"] != null ? this.getComponent(header.schema["$ref"]) : header.schema;
+                    if(schema != null) {
+                        this.validateJson(this.deserializeHeader(value, schema, header.explode != null && header.explode), schema, name);
                     }
-                    if(valueSchema["$ref"] != null) {
-                        let _valueSchema = this.getComponent(valueSchema["$ref"]);
-                        if(_valueSchema != null) {
-                            valueSchema = _valueSchema;
+                }else if(header.content != null) {
+                    let contentType = Object.keys(header.content)[0];
+                    let mediaType = contentType != null ? header.content[contentType] : null;
+                    if(mediaType != null && mediaType.schema != null) {
+                        let schema = mediaType.schema["$ref"] != null ? this.getComponent(mediaType.schema["$ref"]) : mediaType.schema;
+                        let data = value;
+                        if(/[/+]json\b/.test(contentType)) {
+                            try {
+                                data = JSON.parse(value);
+                            }catch(error) {
+                                throw new ValidationError(`Response header [${name}] is not JSON.`, schema, value, name);
+                            }
                         }
+                        this.validateJson(data, schema, name);
                     }
-                    try {
-                        this.validateJson(value, valueSchema, key);
-                    }catch(error) {
-                        errors.push(error);
-                    }
-                }
-            });
-            if(errors.length > 0) {
-                throw new AggregateError(errors);
-            }
-        }else if(schema.type == "string") {
-            if(enableCast != undefined && enableCast) {
-                data = data.toString();
-            }
-            if(typeof data != "string") {
-                throw ValidationError(schema, data, "Type mismatch", key);
-            }
-            if(schema.maxLength != null) {
-                if(data.length > schema.maxLength) {
-                    throw ValidationError(schema, data, "The value is above the maximum length.", key);
-                }
-            }
-            if(schema.minLength != null) {
-                if(data.length < schema.minLength) {
-                    throw ValidationError(schema, data, "The value is below the minimum length.", key);
-                }
-            }
-            if(schema.enum != null) {
-                if(!schema.enum.includes(data)) {
-                    throw ValidationError(schema, data, "The value is not included in the available values.", key);
-                }
-            }
-            if(schema.pattern != null) {
-                if(!new RegExp(schema.pattern.replaceAll("\\\\", "\\")).test(data)) {
-                    throw ValidationError(schema, data, "The value does not follow format.", key);
-                }
-            }
-            if(schema.format != null) {
-                if(schema.format == "date-time" && !/^[0-9]{4}-[0-9]{2}-[0-9]{2}(T|t)[0-9]{2}:[0-9]{2}:[0-9]{2}(.[0-9]{3}|.[0-9]{6})*(Z|z|(\+|-)[0-9]{2}:[0-9]{2})$/.test(data)) {
-                    throw ValidationError(schema, data, "Format mismatch.");
-                }else if(schema.format == "date" && !/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(data)) {
-                    throw ValidationError(schema, data, "Format mismatch.");
-                }else if(schema.format == "time" && !/^[0-9]{2}:[0-9]{2}:[0-9]{2}(Z|z|(\+|-)[0-9]{2}:[0-9]{2})$/.test(data)) {
-                    throw ValidationError(schema, data, "Format mismatch.");
-                }else if(schema.format == "duration" && !/^P(([0-9]{1,}[YMD])*T{0,1}([0-9]{1,}[HMS])*|[0-9]{1,}W)*$/.test(data)) {
-                    throw ValidationError(schema, data, "Format mismatch.");
-                }else if(schema.format == "email" && !/^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/.test(data)) {
-                    throw ValidationError(schema, data, "Format mismatch.");
-                }else if(schema.format == "hostname" && !/^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$|^(([a-zA-Z0-9]|[a-zA-Z0-9][a-zA-Z0-9\-]*[a-zA-Z0-9])\.)+([A-Za-z]|[A-Za-z][A-Za-z0-9\-]*[A-Za-z0-9])$/.test(data)) {
-                    throw ValidationError(schema, data, "Format mismatch.");
-                }else if(schema.format == "ipv4" && !/^((25[0-5]|(2[0-4]|1\d|[1-9]|)\d)\.?\b){4}$/.test(data)) {
-                    throw ValidationError(schema, data, "Format mismatch.");
-                }else if(schema.format == "ipv6" && !/^(([0-9a-fA-F]{1,4}:){7,7}[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,7}:|([0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,5}(:[0-9a-fA-F]{1,4}){1,2}|([0-9a-fA-F]{1,4}:){1,4}(:[0-9a-fA-F]{1,4}){1,3}|([0-9a-fA-F]{1,4}:){1,3}(:[0-9a-fA-F]{1,4}){1,4}|([0-9a-fA-F]{1,4}:){1,2}(:[0-9a-fA-F]{1,4}){1,5}|[0-9a-fA-F]{1,4}:((:[0-9a-fA-F]{1,4}){1,6})|:((:[0-9a-fA-F]{1,4}){1,7}|:)|fe80:(:[0-9a-fA-F]{0,4}){0,4}%[0-9a-zA-Z]{1,}|::(ffff(:0{1,4}){0,1}:){0,1}((25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])\.){3,3}(25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])|([0-9a-fA-F]{1,4}:){1,4}:((25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])\.){3,3}(25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9]))$/.test(data)) {
-                    throw ValidationError(schema, data, "Format mismatch.");
-                }else if(schema.format == "uri" && !/^([a-z][a-z0-9+.-]+):(\/\/([^@]+@)?([a-z0-9.\-_~]+)(:\d+)?)?((?:[a-z0-9-._~]|%[a-f0-9]|[!$&'()*+,;=:@])+(?:\/(?:[a-z0-9-._~]|%[a-f0-9]|[!$&'()*+,;=:@])*)*|(?:\/(?:[a-z0-9-._~]|%[a-f0-9]|[!$&'()*+,;=:@])+)*)?(\?(?:[a-z0-9-._~]|%[a-f0-9]|[!$&'()*+,;=:@]|[/?])+)?(\#(?:[a-z0-9-._~]|%[a-f0-9]|[!$&'()*+,;=:@]|[/?])+)?$/.test(data)) {
-                    throw ValidationError(schema, data, "Format mismatch.");
-                }else if(schema.format == "uuid" && !/^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(data)) {
-                    throw ValidationError(schema, data, "Format mismatch.");
-                }
-            }
-        }else if(schema.type == "number") {
-            if(enableCast != undefined && enableCast) {
-                data = Number(data);
-            }
-            if(typeof data != "number") {
-                throw ValidationError(schema, data, "Type mismatch.", key);
-            }
-            if(schema.maximum != null) {
-                if(data > schema.maximum) {
-                    throw ValidationError(schema, data, "The value is above the maximum value.", key);
-                }
-            }
-            if(schema.minimum != null) {
-                if(data < schema.minimum) {
-                    throw ValidationError(schema, data, "The value is below the minimum value.", key);
                 }
+            }catch(error) {
+                errors.push(error);
             }
-            if(schema.exclusiveMaximum != null) {
-                if(data >= schema.exclusiveMaximum) {
-                    throw ValidationError(schema, data, "The value is above the maximum value.", key);
-                }
+        });
+        return errors;
+    }
+
+    /**
+     * Convert the header value of the simple style into the type of the schema.
+     * @param {string} value 
+     * @param {import("./json-schema").JsonSchema} schema 
+     * @param {boolean} explode 
+     * @returns {any}
+     */
+    deserializeHeader(value, schema, explode) {
+        /**
+         * @param {any} schema 
+         * @returns {any}
+         */
+        let resolve = schema => schema != null && schema["$ref"] != null ? this.getComponent(schema["$ref"]) : schema;
+        /**
+         * @param {any} schema 
+         * @returns {Array<string>}
+         */
+        let typesOf = schema => schema == null ? [] : (Array.isArray(schema.type) ? schema.type : (schema.type != null ? [schema.type] : []));
+        /**
+         * @param {string} text 
+         * @param {any} schema 
+         * @returns {any}
+         */
+        let cast = (text, schema) => {
+            let types = typesOf(schema);
+            if((types.includes("integer") || types.includes("number")) && text.length > 0 && !isNaN(Number(text))) {
+                return Number(text);
+            }else if(types.includes("boolean") && (text == "true" || text == "false")) {
+                return text == "true";
             }
-            if(schema.exclusiveMinimum != null) {
-                if(data < schema.exclusiveMinimum) {
-                    throw ValidationError(schema, data, "The value is below the minimum value.", key);
+            return text;
+        };
+        let types = typesOf(schema);
+        if(types.includes("array")) {
+            let itemSchema = resolve(schema.items);
+            return value.split(",").map(entry => cast(entry.trim(), itemSchema));
+        }else if(types.includes("object")) {
+            let properties = schema.properties != null ? schema.properties : {};
+            let entries = value.split(",").map(entry => entry.trim());
+            let result = {};
+            if(explode) {
+                entries.forEach(entry => {
+                    let separator = entry.indexOf("=");
+                    let key = separator != -1 ? entry.substring(0, separator) : entry;
+                    result[key] = cast(separator != -1 ? entry.substring(separator+1) : "", resolve(properties[key]));
+                });
+            }else {
+                for(let i=0; i<entries.length; i+=2) {
+                    result[entries[i]] = cast(i+1 < entries.length ? entries[i+1] : "", resolve(properties[entries[i]]));
                 }
             }
-        }else if(schema.type == "integer") {
-            if(typeof data != "number") {
-                throw ValidationError(schema, data, "Type mismatch.", key);
-            }else if(data.toString().includes(".")) {
-                throw ValidationError(schema, data, "Type mismatch.", key);
-            }
-            if(schema.maximum != null) {
-                if(data > schema.maximum) {
-                    throw ValidationError(schema, data, "The value is above the maximum value.", key);
-                }
+            return result;
+        }
+        return cast(value.trim(), schema);
+    }
+
+    /**
+     * Validate the length of the binary body, since its content cannot be validated against the schema.
+     * @param {any} body 
+     * @param {import("node:http").IncomingHttpHeaders} headers 
+     * @param {import("./json-schema").JsonSchema} [schema] 
+     * @throws {ValidationError}
+     */
+    validateBinaryBody(body, headers, schema) {
+        if(body == null) {
+            return;
+        }
+        let length = body instanceof Buffer ? body.length : Buffer.byteLength(typeof body == "string" ? body : JSON.stringify(body));
+        let contentLength = this.getHeader(headers, "content-length");
+        if(contentLength != null && Number(contentLength) != length) {
+            throw new ValidationError(`The length of the response body [${length}] differs from Content-Length [${contentLength}].`);
+        }
+        if(schema != null && schema.minLength != null && length < schema.minLength) {
+            throw new ValidationError(`The length of the response body [${length}] is less than [${schema.minLength}].`, schema, body);
+        }
+        if(schema != null && schema.maxLength != null && length > schema.maxLength) {
+            throw new ValidationError(`The length of the response body [${length}] is greater than [${schema.maxLength}].`, schema, body);
+        }
+    }
+
+    /**
+     * Find the media type that matches the content type, including wildcards such as application/* and *\/*.
+     * @param {import("./openapi3.1").Content} content 
+     * @param {string} contentType 
+     * @returns {import("./openapi3.1").MediaType|null}
+     */
+    getMediaType(content, contentType) {
+        let mimeType = contentType.split(";")[0].trim().toLowerCase();
+        let key = Object.keys(content).find(key => key.toLowerCase() == mimeType);
+        if(key == null) {
+            key = Object.keys(content).find(key => key.toLowerCase() == mimeType.split("/")[0]+"/*");
+        }
+        if(key == null) {
+            key = Object.keys(content).find(key => key == "*/*");
+        }
+        return key != null ? content[key] : null;
+    }
+
+    /**
+     * @param {import("node:http").IncomingHttpHeaders|undefined} headers 
+     * @param {string} name 
+     * @returns {string|undefined}
+     */
+    getHeader(headers, name) {
+        if(headers == null) {
+            return undefined;
+        }
+        let key = Object.keys(headers).find(key => key.toLowerCase() == name.toLowerCase());
+        if(key == null) {
+            return undefined;
+        }
+        let value = headers[key];
+        return Array.isArray(value) ? value.join(", ") : (value != null ? String(value) : undefined);
+    }
+
+    /**
+     * @param {any} value 
+     * @returns {boolean}
+     */
+    isPlainObject(value) {
+        return value != null && typeof value == "object" && !Array.isArray(value) && !(value instanceof Buffer);
+    }
+
+    /**
+     * Resolve the reference of the parameter (#/components/parameters/...).
+     * The reference to a schema is returned as it is.
+     * @param {import("./openapi3.1").Parameter|import("./openapi3.1").Reference} parameter 
+     * @returns {import("./openapi3.1").Parameter|import("./openapi3.1").Reference}
+     */
+    resolveParameter(parameter) {
+        if(parameter["$ref"] == null) {
+            return parameter;
+        }
+        let component = this.getComponent(parameter["$ref"]);
+        if(component != null && component["in"] != null) {
+            return /** @type {import("./openapi3.1").Parameter} */(component);
+        }
+        return parameter;
+    }
+
+    /**
+     * Parameters of the path item and the operation.
+     * The parameter of the operation overrides the one of the path item with the same name and location.
+     * @param {import("./openapi3.1").PathItem} pathItem
+     * @param {import("./openapi3.1").Operation} operation
+     * @returns {Array<import("./openapi3.1").Parameter|import("./openapi3.1").Reference>}
+     */
+    getParameters(pathItem, operation) {
+        /** @type {Array<import("./openapi3.1").Parameter|import("./openapi3.1").Reference>} */
+        let parameters = [];
+        [pathItem.parameters, operation.parameters].forEach(definitions => {
+            if(definitions == null) {
+                return;
             }
-            if(schema.minimum != null) {
-                if(data < schema.minimum) {
-                    throw ValidationError(schema, data, "The value is below the minimum value.", key);
+            definitions.forEach(parameter => {
+                parameter = this.resolveParameter(parameter);
+                if(parameter["$ref"] == null) {
+                    let index = parameters.findIndex(entry => entry["$ref"] == null && entry["name"] == parameter["name"] && entry["in"] == parameter["in"]);
+                    if(index != -1) {
+                        parameters[index] = parameter;
+                        return;
+                    }
                 }
+                parameters.push(parameter);
+            });
+        });
+        return parameters;
+    }
+
+    /**
+     * Whether the parameter is already written in the path or the headers of the request.
+     * @param {import("./openapi3.1").Parameter} parameter
+     * @param {string} requestPath
+     * @param {import("node:http").IncomingHttpHeaders|undefined} requestHeaders
+     * @returns {boolean}
+     */
+    isParameterSupplied(parameter, requestPath, requestHeaders) {
+        if(parameter.in == "path") {
+            return !requestPath.includes("{"+parameter.name+"}");
+        }else if(parameter.in == "query") {
+            let query = requestPath.includes("?") ? requestPath.substring(requestPath.indexOf("?")+1) : "";
+            return query.split("&").some(entry => decodeURIComponent(entry.split("=")[0]) == parameter.name);
+        }else if(parameter.in == "header") {
+            return this.getHeader(requestHeaders, parameter.name) != null;
+        }else if(parameter.in == "cookie") {
+            let cookie = this.getHeader(requestHeaders, "cookie");
+            return cookie != null && cookie.split(";").some(entry => entry.trim().split("=")[0] == parameter.name);
+        }
+        return false;
+    }
+
+    /**
+     * Serialize the value of the parameter according to its style and explode.
+     * The path parameter is serialized into the string replacing {name}, the query parameter and the cookie into name=value pairs
+     * and the header into its value.
+     * @param {import("./openapi3.1").Parameter} parameter
+     * @param {any} value
+     * @returns {string}
+     * @throws {Error}
+     */
+    serializeParameter(parameter, value) {
+        let style = parameter.style;
+        if(style == null) {
+            style = parameter.in == "query" || parameter.in == "cookie" ? "form" : "simple";
+        }
+        if(!["matrix", "label", "simple", "form", "spaceDelimited", "pipeDelimited", "deepObject"].includes(style)) {
+            throw new Error(`The style [${style}] of parameter [${parameter.name}] is not supported.`);
+        }
+        let explode = parameter.explode != null ? parameter.explode : style == "form";
+
+        /**
+         * @param {any} value
+         * @returns {string}
+         */
+        let encode = value => {
+            let text = value == null ? "" : (typeof value == "object" ? JSON.stringify(value) : String(value));
+            if(parameter.in == "header") {
+                return text;
             }
-            if(schema.exclusiveMaximum != null) {
-                if(data >= schema.exclusiveMaximum) {
-                    throw ValidationError(schema, data, "The value is above the maximum value.", key);
-                }
+            let encoded = encodeURIComponent(text);
+            if(parameter.in == "query" && parameter.allowReserved) {
+                encoded = encoded.replace(/%(21|23|24|26|27|28|29|2A|2B|2C|2F|3A|3B|3D|3F|40|5B|5D)/gi, decodeURIComponent);
             }
-            if(schema.exclusiveMinimum != null) {
-                if(data < schema.exclusiveMinimum) {
-                    throw ValidationError(schema, data, "The value is below the minimum value.", key);
-                }
+            return encoded;
+        };
+        let name = encode(parameter.name);
+        let separator = parameter.in == "cookie" ? "; " : "&";
+
+        if(!Array.isArray(value) && !this.isPlainObject(value)) {
+            if(style == "matrix") {
+                return ";" + name + "=" + encode(value);
+            }else if(style == "label") {
+                return "." + encode(value);
+            }else if(style == "simple") {
+                return encode(value);
             }
-        }else if(schema.type == "boolean") {
-            if(typeof data != "boolean") {
-                throw ValidationError(schema, data, "Type mismatch.", key);
+            return name + "=" + encode(value);
+        }
+
+        if(style == "deepObject") {
+            if(!this.isPlainObject(value)) {
+                throw new Error(`The style [deepObject] of parameter [${parameter.name}] requires an object.`);
             }
-        }else if(schema.type == "null") {
-            if(data != null) {
-                throw ValidationError(schema, data, "Type mismatch.", key);
+            return Object.keys(value).map(key => name + "[" + encode(key) + "]=" + encode(value[key])).join(separator);
+        }
+
+        /** @type {Array<string>} */
+        let entries;
+        if(Array.isArray(value)) {
+            entries = value.map(entry => encode(entry));
+        }else if(explode) {
+            entries = Object.keys(value).map(key => encode(key) + "=" + encode(value[key]));
+        }else {
+            entries = Object.keys(value).flatMap(key => [encode(key), encode(value[key])]);
+        }
+        // The exploded array repeats the name, while the exploded object uses its keys as the names.
+        let prefix = Array.isArray(value) ? name + "=" : "";
+        if(explode) {
+            if(style == "matrix") {
+                return entries.map(entry => ";" + prefix + entry).join("");
+            }else if(style == "label") {
+                return entries.map(entry => "." + entry).join("");
+            }else if(style == "simple") {
+                return entries.join(",");
             }
+            return entries.map(entry => prefix + entry).join(separator);
         }
+        if(style == "matrix") {
+            return ";" + name + "=" + entries.join(",");
+        }else if(style == "label") {
+            return "." + entries.join(",");
+        }else if(style == "simple") {
+            return entries.join(",");
+        }
+        let delimiter = style == "spaceDelimited" ? "%20" : (style == "pipeDelimited" ? "|" : ",");
+        return name + "=" + entries.join(delimiter);
     }
 
     /**
+     * Resolve the reference in the specification.
+     * JSON pointers into the specification (#/components/schemas/A/properties/b) and into other files (common.yaml#/Foo) are supported.
      * @param {string} path 
-     * @returns {import("./json-schema").JsonSchema|null} 
+     * @returns {any|null} 
+     * @throws {Error} If the referred file cannot be loaded or the references are circular.
      */
     getComponent(path) {
-        if(this.spec.components == null) {
-            return null;
-        }
-        let components = this.spec.components.schemas;
-        if(components == null) {
-            return null;
-        }
-        if(path.startsWith("#/components/schemas/")) {
-            let componentName = path.substring("#/components/schemas/".length);
-            let _componentNames = Object.keys(components);
-            let component = null;
-            for(let _componentName of _componentNames) {
-                if(componentName == _componentName) {
-                    component = components[componentName];
-                    break;
-                }
-            }
-            return component;
-        }
-        return null;
+        return this.referenceResolver.resolve(path);
     }
 
     /**
@@ -931,4 +2407,5 @@ class Validator {
         }
     }
 }
-exports.Validator = Validator;
\ No newline at end of file
+exports.Validator = Validator;
+exports.ValidationError = ValidationError;
\ No newline at end of file